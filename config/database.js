@@ -20,58 +20,138 @@ if (!fs.existsSync(dataDir)) {
 
 let db;
 
+// Directory holding the numbered migration scripts (e.g. 001-create-core-tables.js).
+const migrationsDir = path.join(__dirname, "../migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
 /**
- * Creates all necessary database tables if they don't already exist.
+ * Promise wrapper around db.run used by the migrations and setup steps below.
  */
-function createTables(silent = false) {
+function runStatement(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run(
-        `CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT NOT NULL UNIQUE,
-          email TEXT NOT NULL UNIQUE,
-          password_hash TEXT NOT NULL,
-          api_key TEXT UNIQUE,
-          is_admin BOOLEAN DEFAULT 0,
-          is_approved BOOLEAN DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`
-      );
-      db.run(
-        `CREATE TABLE IF NOT EXISTS categories (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, slug TEXT NOT NULL UNIQUE)`
-      );
-      db.run(
-        `CREATE TABLE IF NOT EXISTS languages (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, slug TEXT NOT NULL UNIQUE)`
-      );
-      db.run(
-        `CREATE TABLE IF NOT EXISTS snippets (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          slug TEXT NOT NULL UNIQUE,
-          short_id TEXT UNIQUE,
-          description TEXT,
-          code TEXT NOT NULL,
-          tags TEXT,
-          reference_url TEXT,
-          category_id INTEGER,
-          language_id INTEGER,
-          user_id INTEGER,
-          is_private BOOLEAN DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
-          FOREIGN KEY (language_id) REFERENCES languages(id) ON DELETE SET NULL,
-          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-        (err) => {
-          if (err) return reject(err);
-          // Only log table creation message if not in silent mode.
-          if (!silent) {
-            console.log("Database tables checked/created successfully.");
-          }
-          resolve();
-        }
-      );
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Promise wrapper around db.all used by the migrations and setup steps below.
+ */
+function allRows(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Checks whether a table has a column with the given name.
+ */
+async function hasColumn(table, column) {
+  const columns = await allRows(`PRAGMA table_info(${table})`);
+  return columns.some((col) => col.name === column);
+}
+
+/**
+ * Loads the migration scripts, ordered by their version number.
+ * Each script exports an `up` function receiving the { run, all, hasColumn } helpers.
+ */
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(migrationsDir)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      return { version: parseInt(version, 10), name, file };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} in ${migrationsDir}.`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Creates the table recording which migrations have been applied.
+ */
+function createMigrationsTable() {
+  return runStatement(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+/**
+ * Lists every known migration along with whether and when it was applied.
+ */
+async function getMigrationStatus() {
+  await createMigrationsTable();
+  const applied = await allRows("SELECT version, applied_at FROM schema_migrations");
+  const appliedAt = new Map(applied.map((row) => [row.version, row.applied_at]));
+
+  return loadMigrations().map((migration) => ({
+    ...migration,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null,
+  }));
+}
+
+/**
+ * Applies all pending migrations in order. Each migration runs in its own
+ * transaction together with its 'schema_migrations' record, so a failing
+ * migration is rolled back completely and the ones after it are not attempted.
+ * Resolves with the list of migrations that were applied.
+ */
+async function runMigrations(silent = false) {
+  const pending = (await getMigrationStatus()).filter((migration) => !migration.applied);
+  const helpers = { run: runStatement, all: allRows, hasColumn };
+
+  for (const migration of pending) {
+    const label = `${String(migration.version).padStart(3, "0")}-${migration.name}`;
+    if (!silent) {
+      console.log(`Applying migration ${label}...`);
+    }
+
+    await runStatement("BEGIN");
+    try {
+      const { up } = require(path.join(migrationsDir, migration.file));
+      await up(helpers);
+      await runStatement("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+        migration.version,
+        migration.name,
+      ]);
+      await runStatement("COMMIT");
+    } catch (err) {
+      await runStatement("ROLLBACK");
+      err.message = `Migration ${label} failed: ${err.message}`;
+      throw err;
+    }
+  }
+
+  if (!silent) {
+    console.log(
+      pending.length > 0
+        ? `Applied ${pending.length} migration(s).`
+        : "Database schema is up to date."
+    );
+  }
+  return pending;
+}
+
+/**
+ * Enables foreign key enforcement so that ON DELETE rules (e.g. removing a
+ * snippet's revisions along with it) are applied. SQLite leaves this off by default.
+ */
+function enableForeignKeys() {
+  return new Promise((resolve, reject) => {
+    db.run("PRAGMA foreign_keys = ON", (err) => {
+      if (err) return reject(err);
+      resolve();
     });
   });
 }
@@ -109,11 +189,10 @@ function seedAdminUser(silent = false) {
           console.log("No admin user found, creating initial admin...");
         }
         const passwordHash = await authService.hashPassword(ADMIN_PASSWORD);
-        const apiKey = authService.generateApiKey();
-        const sql = `INSERT INTO users (username, email, password_hash, api_key, is_admin, is_approved) VALUES (?, ?, ?, ?, 1, 1)`;
+        const sql = `INSERT INTO users (username, email, password_hash, is_admin, is_approved) VALUES (?, ?, ?, 1, 1)`;
         db.run(
           sql,
-          [ADMIN_USERNAME, ADMIN_EMAIL, passwordHash, apiKey],
+          [ADMIN_USERNAME, ADMIN_EMAIL, passwordHash],
           (err) => {
             if (err) return reject(err);
             if (!silent) {
@@ -173,9 +252,10 @@ function seedLanguages(silent = false) {
 }
 
 /**
- * Database initialization process.
+ * Opens the database connection and enables foreign key enforcement,
+ * without touching the schema.
  */
-function initializeDatabase(silent = false) {
+function connectDatabase(silent = false) {
   return new Promise((resolve, reject) => {
     db = new sqlite3.Database(dbPath, (err) => {
       if (err) {
@@ -187,8 +267,15 @@ function initializeDatabase(silent = false) {
       }
       resolve();
     });
-  })
-    .then(() => createTables(silent)) // Create tables, passing silent flag.
+  }).then(() => enableForeignKeys());
+}
+
+/**
+ * Database initialization process.
+ */
+function initializeDatabase(silent = false) {
+  return connectDatabase(silent)
+    .then(() => runMigrations(silent)) // Bring the schema up to date, passing silent flag.
     .then(() => seedAdminUser(silent)) // Seed admin, passing silent flag.
     .then(() => seedLanguages(silent)) // Seed languages, passing silent flag.
     .then(async () => {
@@ -227,6 +314,9 @@ function getDb() {
 }
 
 module.exports = {
+  connectDatabase,
   initializeDatabase,
+  getMigrationStatus,
+  runMigrations,
   getDb,
 };
@@ -6,21 +6,119 @@ const asyncHandler = require("express-async-handler");
 const snippetService = require("../services/snippet.service");
 const categoryService = require("../services/category.service");
 const languageService = require("../services/language.service");
+const snippetFileService = require("../services/snippet-file.service");
+const exportService = require("../services/export.service");
+const snippetPackService = require("../services/snippet-pack.service");
+const importService = require("../services/import.service");
+const commentService = require("../services/comment.service");
+const languageDetectionService = require("../services/language-detection.service");
 const slugify = require("../utils/slugify");
+const { parseSearchQuery, isEmptyQuery } = require("../utils/search-query");
 
 /**
  * Default items per page for API listings, if not specified by client.
  */
 const DEFAULT_API_ITEMS_PER_PAGE = 10;
 
+/**
+ * Snippet fields a client may set through the API.
+ */
+const EDITABLE_SNIPPET_FIELDS = [
+  "title",
+  "description",
+  "code",
+  "tags",
+  "category_id",
+  "language_id",
+  "reference_url",
+  "is_private",
+  "visibility",
+  "team_id",
+  "expires_at",
+  "max_views",
+  "files",
+];
+
+/**
+ * Normalizes the various truthy forms a JSON client may send for the privacy flag.
+ */
+const toPrivacyFlag = (value) =>
+  value === true || value === 1 || value === "1" || value === "true" ? 1 : 0;
+
+/**
+ * Checks whether a list of files submitted by a client has any file with content.
+ */
+const hasFileContent = (files) =>
+  Array.isArray(files) &&
+  files.some((file) => file && typeof file.content === "string" && file.content.trim());
+
+/**
+ * Checks the optional `files` field, a list of `{ filename, language_id, content }`.
+ */
+const isValidFilesField = (files) =>
+  files === undefined || files === null || Array.isArray(files);
+
+/**
+ * Checks the optional expiry fields: an `expires_at` date and a positive
+ * whole `max_views` number.
+ */
+const isValidExpiry = ({ expires_at, max_views }) =>
+  (expires_at === undefined || expires_at === null || expires_at === "" ||
+    !Number.isNaN(Date.parse(expires_at))) &&
+  (max_views === undefined || max_views === null || max_views === "" ||
+    (Number.isInteger(Number(max_views)) && Number(max_views) > 0));
+
+const INVALID_EXPIRY_MESSAGE =
+  "expires_at must be a date and max_views a positive whole number.";
+
+const INVALID_FILES_MESSAGE =
+  "Files must be an array of { filename, language_id, content } objects.";
+
+/**
+ * Adds the files of a snippet to its API representation.
+ */
+const withFiles = async (snippet) => ({
+  ...snippet,
+  files: (await snippetFileService.findAllForSnippet(snippet.id)).map(
+    ({ filename, language_id, language_name, language_slug, content }) => ({
+      filename,
+      language_id,
+      language_name,
+      language_slug,
+      content,
+    })
+  ),
+});
+
+/**
+ * Finds a snippet by its slug, short ID or numeric ID.
+ */
+const findSnippetByIdentifier = async (identifier) => {
+  const snippet = await snippetService.findByIdentifierWithDetail(identifier);
+  if (snippet || !/^\d+$/.test(identifier)) {
+    return snippet;
+  }
+  return snippetService.findByIdWithDetail(identifier);
+};
+
 /**
  * Creates a new snippet via the API.
+ * The code can be given as a single `code` field or as a list of `files`.
+ * Files without a language get a detected one, listed in the response with
+ * its confidence.
  */
 const createSnippet = asyncHandler(async (req, res) => {
-  const { title, description, code, tags, category_id, language_id, reference_url } = req.body;
+  const { title, description, code, tags, category_id, language_id, reference_url, files } = req.body;
+
+  if (!isValidFilesField(files)) {
+    return res.status(400).json({ message: INVALID_FILES_MESSAGE });
+  }
+  if (!isValidExpiry(req.body)) {
+    return res.status(400).json({ message: INVALID_EXPIRY_MESSAGE });
+  }
 
   // Basic validation for required fields
-  if (!title || !code) {
+  if (!title || (!code && !hasFileContent(files))) {
     return res.status(400).json({ message: "Title and code are required." });
   }
 
@@ -36,11 +134,22 @@ const createSnippet = asyncHandler(async (req, res) => {
     category_id,
     language_id,
     reference_url,
+    files,
+    is_private: toPrivacyFlag(req.body.is_private),
+    visibility: req.body.visibility,
+    team_id: req.body.team_id || null,
+    expires_at: req.body.expires_at,
+    max_views: req.body.max_views,
     user_id: userId,
   };
+  const detectedLanguages = await languageDetectionService.fillMissingLanguages(snippetData);
 
   const newSnippet = await snippetService.create(snippetData);
-  res.status(201).json({ message: "Snippet created successfully", snippetId: newSnippet.lastID });
+  res.status(201).json({
+    message: "Snippet created successfully",
+    snippetId: newSnippet.lastID,
+    detectedLanguages,
+  });
 });
 
 /**
@@ -65,6 +174,353 @@ const listUserSnippets = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Retrieves a single snippet by its slug, short ID or numeric ID.
+ * Private snippets are only returned to users who may view them, expired
+ * snippets to nobody. Reading counts as a view of a snippet with a view limit.
+ */
+const getSnippet = asyncHandler(async (req, res) => {
+  const snippet = await findSnippetByIdentifier(req.params.identifier);
+
+  if (!snippet) {
+    return res.status(404).json({ message: "Snippet not found." });
+  }
+  if (!(await snippetService.canView(req.user, snippet))) {
+    return res
+      .status(403)
+      .json({ message: "Forbidden: This snippet is private." });
+  }
+  if (!(await snippetService.consumeView(req.user, snippet))) {
+    return res.status(410).json({ message: "This snippet has expired." });
+  }
+
+  res.json({ data: await withFiles(snippet) });
+});
+
+/**
+ * Updates an existing snippet via the API.
+ * PUT replaces all editable fields, PATCH only changes the fields provided.
+ * Like on creation, files left without a language get a detected one.
+ */
+const updateSnippet = asyncHandler(async (req, res) => {
+  const snippet = await findSnippetByIdentifier(req.params.identifier);
+
+  if (!snippet) {
+    return res.status(404).json({ message: "Snippet not found." });
+  }
+  if (!(await snippetService.canModify(req.user, snippet))) {
+    return res
+      .status(403)
+      .json({ message: "Forbidden: You can only edit your own snippets." });
+  }
+
+  const isPartial = req.method === "PATCH";
+  const body = req.body || {};
+  const snippetData = {};
+
+  EDITABLE_SNIPPET_FIELDS.forEach((field) => {
+    snippetData[field] =
+      isPartial && body[field] === undefined ? snippet[field] : body[field];
+  });
+  snippetData.is_private = toPrivacyFlag(snippetData.is_private);
+  // A changed `is_private` flag without a `visibility` still changes the visibility.
+  if (body.visibility === undefined && body.is_private !== undefined) {
+    snippetData.visibility = snippetData.is_private ? "private" : "public";
+  }
+
+  if (!isValidFilesField(snippetData.files)) {
+    return res.status(400).json({ message: INVALID_FILES_MESSAGE });
+  }
+  if (!isValidExpiry(snippetData)) {
+    return res.status(400).json({ message: INVALID_EXPIRY_MESSAGE });
+  }
+  // Without `files`, the `code` and `language_id` fields update the snippet's first file.
+  if (!hasFileContent(snippetData.files)) {
+    delete snippetData.files;
+  }
+
+  if (!snippetData.title || (!snippetData.code && !snippetData.files)) {
+    return res.status(400).json({ message: "Title and code are required." });
+  }
+
+  const detectedLanguages = await languageDetectionService.fillMissingLanguages(snippetData);
+
+  await snippetService.update(snippet.id, req.user, snippetData);
+  const updatedSnippet = await snippetService.findByIdWithDetail(snippet.id);
+
+  res.json({
+    message: "Snippet updated successfully",
+    data: await withFiles(updatedSnippet),
+    detectedLanguages,
+  });
+});
+
+/**
+ * Deletes an existing snippet via the API.
+ */
+const deleteSnippet = asyncHandler(async (req, res) => {
+  const snippet = await findSnippetByIdentifier(req.params.identifier);
+
+  if (!snippet) {
+    return res.status(404).json({ message: "Snippet not found." });
+  }
+  if (!(await snippetService.canModify(req.user, snippet))) {
+    return res
+      .status(403)
+      .json({ message: "Forbidden: You can only delete your own snippets." });
+  }
+
+  await snippetService.remove(snippet.id, req.user);
+  res.json({ message: "Snippet deleted successfully", snippetId: snippet.id });
+});
+
+/**
+ * Picks the fields of a comment returned by the API.
+ */
+const toApiComment = ({ id, author_name, body, body_html, filename, line_number, created_at, updated_at }) => ({
+  id,
+  author_name,
+  body,
+  body_html,
+  filename,
+  line_number,
+  created_at,
+  updated_at,
+});
+
+/**
+ * Finds a snippet the API user may view and comment on, or sends a 404/403
+ * response and resolves with null.
+ */
+const findCommentableSnippet = async (req, res) => {
+  const snippet = await findSnippetByIdentifier(req.params.identifier);
+  if (!snippet) {
+    res.status(404).json({ message: "Snippet not found." });
+    return null;
+  }
+  if (!(await snippetService.canView(req.user, snippet))) {
+    res.status(403).json({ message: "Forbidden: This snippet is private." });
+    return null;
+  }
+  return snippet;
+};
+
+/**
+ * Finds a comment on the given snippet that the API user may change, or
+ * sends a 404/403 response and resolves with null.
+ */
+const findModifiableComment = async (req, res, snippet) => {
+  const comment = await commentService.findById(req.params.commentId);
+  if (!comment || comment.snippet_id !== snippet.id) {
+    res.status(404).json({ message: "Comment not found." });
+    return null;
+  }
+  if (!commentService.canModify(req.user, comment)) {
+    res.status(403).json({ message: "Forbidden: You can only change your own comments." });
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * Lists the comments on a snippet, oldest first.
+ */
+const listComments = asyncHandler(async (req, res) => {
+  const snippet = await findCommentableSnippet(req, res);
+  if (!snippet) return;
+
+  const comments = await commentService.findAllForSnippet(snippet.id);
+  res.json({ data: comments.map(toApiComment) });
+});
+
+/**
+ * Posts a Markdown comment on a snippet, optionally anchored to a line
+ * through `line_number` and `filename`.
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const snippet = await findCommentableSnippet(req, res);
+  if (!snippet) return;
+
+  const input = req.body || {};
+  const body = typeof input.body === "string" ? input.body.trim() : "";
+  const error = commentService.validateBody(body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const anchor = await commentService.resolveAnchor(snippet.id, input.filename, input.line_number);
+  const result = await commentService.create(snippet.id, req.user.id, { body, ...anchor });
+  const comment = await commentService.findById(result.lastID);
+  res.status(201).json({ message: "Comment created successfully", data: toApiComment(comment) });
+});
+
+/**
+ * Updates the body and line anchor of a comment. Authors can update their
+ * own comments, admins all comments.
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const snippet = await findCommentableSnippet(req, res);
+  if (!snippet) return;
+  const comment = await findModifiableComment(req, res, snippet);
+  if (!comment) return;
+
+  const input = req.body || {};
+  const body = typeof input.body === "string" ? input.body.trim() : comment.body;
+  const error = commentService.validateBody(body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const anchor =
+    input.line_number === undefined
+      ? { filename: comment.filename, line_number: comment.line_number }
+      : await commentService.resolveAnchor(snippet.id, input.filename, input.line_number);
+  await commentService.update(comment.id, { body, ...anchor });
+  const updatedComment = await commentService.findById(comment.id);
+  res.json({ message: "Comment updated successfully", data: toApiComment(updatedComment) });
+});
+
+/**
+ * Deletes a comment. Authors can delete their own comments, admins all comments.
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const snippet = await findCommentableSnippet(req, res);
+  if (!snippet) return;
+  const comment = await findModifiableComment(req, res, snippet);
+  if (!comment) return;
+
+  await commentService.remove(comment.id);
+  res.json({ message: "Comment deleted successfully", commentId: comment.id });
+});
+
+/**
+ * Searches snippets using the same query language as the public search page.
+ * Besides public snippets, the results include the user's own private snippets
+ * (all snippets for admins), so `is:private` can be used to search them.
+ */
+const searchSnippets = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q : "";
+  const parsedQuery = parseSearchQuery(q);
+
+  if (isEmptyQuery(parsedQuery)) {
+    return res.status(400).json({ message: "A search query (q) is required." });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_API_ITEMS_PER_PAGE;
+
+  const totalItems = await snippetService.countSearchResults(parsedQuery, req.user);
+  const results = await snippetService.search(parsedQuery, page, limit, req.user);
+
+  // Highlight markers are meant for HTML rendering and are left out of the API.
+  const snippets = results.map(
+    ({ title_highlight, description_highlight, code_excerpt, ...snippet }) => snippet
+  );
+
+  res.json({
+    data: snippets,
+    meta: {
+      query: parsedQuery,
+      totalItems,
+      currentPage: page,
+      limit,
+      totalPages: Math.ceil(totalItems / limit),
+    },
+  });
+});
+
+/**
+ * Exports the API user's snippets (all snippets for admins).
+ * Returns the JSON archive by default, or a ZIP of Markdown files with `?format=markdown`.
+ */
+const exportSnippets = asyncHandler(async (req, res) => {
+  const format = req.query.format || "json";
+
+  if (format === "markdown") {
+    const archive = await exportService.buildMarkdownZip(req.user);
+    res.attachment("snippets.zip");
+    res.type("application/zip");
+    return res.send(archive);
+  }
+  if (format !== "json") {
+    return res.status(400).json({ message: 'Format must be "json" or "markdown".' });
+  }
+
+  res.json(await exportService.buildArchive(req.user));
+});
+
+/**
+ * Exports the API user's own snippets as a VS Code, JetBrains or Sublime Text
+ * snippet pack. The `category`, `tag` and `author` query parameters narrow
+ * down the included snippets.
+ */
+const exportPack = asyncHandler(async (req, res) => {
+  const { format } = req.params;
+  if (!snippetPackService.PACK_FORMATS[format]) {
+    return res.status(400).json({
+      message: `Format must be one of: ${Object.keys(snippetPackService.PACK_FORMATS).join(", ")}.`,
+    });
+  }
+
+  const pack = await snippetPackService.buildPack(
+    format,
+    { category: req.query.category, tag: req.query.tag, username: req.query.author },
+    req.user.id
+  );
+  if (pack.count === 0) {
+    return res.status(404).json({ message: "None of your snippets match this pack." });
+  }
+
+  res.attachment(pack.filename);
+  res.type(pack.contentType);
+  res.send(pack.content);
+});
+
+/**
+ * Imports snippets from an uploaded export archive, VS Code snippet file or
+ * Gist download and returns a summary. `format` (default "auto") names the
+ * upload's format, `on_conflict` ("skip" or "rename") decides what happens to
+ * snippets whose slug is taken, and `dry_run=true` previews the import
+ * without creating anything.
+ */
+const importSnippets = asyncHandler(async (req, res) => {
+  if (req.uploadError || !req.file) {
+    return res.status(400).json({
+      message: req.uploadError || "Upload the file as the 'file' field of a multipart form.",
+    });
+  }
+
+  const param = (name) => req.body[name] || req.query[name];
+  const onConflict = param("on_conflict") || "skip";
+  if (!importService.CONFLICT_STRATEGIES.includes(onConflict)) {
+    return res.status(400).json({ message: 'on_conflict must be "skip" or "rename".' });
+  }
+  const format = param("format") || "auto";
+  if (!importService.IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `format must be one of: ${importService.IMPORT_FORMATS.join(", ")}.`,
+    });
+  }
+  const dryRun = ["true", "1"].includes(String(param("dry_run")));
+
+  let upload;
+  try {
+    upload = importService.parseUpload(req.file.buffer, req.file.originalname, format);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  const summary = await importService.importSnippets(upload.snippets, req.user, {
+    onConflict,
+    dryRun,
+    categories: upload.categories,
+    languages: upload.languages,
+  });
+  res.json({
+    message: dryRun ? "Import preview" : "Import finished",
+    data: { format: upload.format, ...summary },
+  });
+});
 
 /**
  * Looks up a category by its name or slug and returns its ID and details.
@@ -113,6 +569,17 @@ const lookupLanguage = asyncHandler(async (req, res) => {
 module.exports = {
   createSnippet,
   listUserSnippets,
+  getSnippet,
+  updateSnippet,
+  deleteSnippet,
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  searchSnippets,
+  exportSnippets,
+  exportPack,
+  importSnippets,
   lookupCategory,
   lookupLanguage,
 };
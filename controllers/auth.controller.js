@@ -5,6 +5,7 @@
 const asyncHandler = require("express-async-handler");
 const userService = require("../services/user.service");
 const authService = require("../services/auth.service");
+const apiTokenService = require("../services/api-token.service");
 
 /**
  * Renders the login page for dashboard access.
@@ -99,21 +100,33 @@ const handleLogout = (req, res) => {
 };
 
 /**
- * Renders the current user's profile page.
+ * Renders the profile page with the user's account details and API tokens.
+ * `newToken` holds a just-created token, which can only be shown this once.
  */
-const renderProfilePage = asyncHandler(async (req, res) => {
-  // Fetch API key
-  const apiKeyResult = await userService.getApiKeyForUser(req.session.user.id);
-  // Fetch full user object for current email
-  const user = await userService.findById(req.session.user.id);
+const renderProfile = async (req, res, { error = null, success = null, newToken = null } = {}) => {
+  const userId = req.session.user.id;
+  const [user, apiTokens] = await Promise.all([
+    userService.findById(userId),
+    apiTokenService.findAllForUser(userId),
+  ]);
 
   res.render("admin/profile", {
     title: "My Profile",
-    apiKey: apiKeyResult ? apiKeyResult.api_key : "API Key not found.",
     userEmail: user ? user.email : "N/A",
-    error: null,
-    success: req.query.success || null,
+    apiTokens,
+    apiScopes: apiTokenService.API_SCOPES,
+    expiryOptions: apiTokenService.EXPIRY_OPTIONS,
+    newToken,
+    error,
+    success,
   });
+};
+
+/**
+ * Renders the current user's profile page.
+ */
+const renderProfilePage = asyncHandler(async (req, res) => {
+  await renderProfile(req, res, { success: req.query.success || null });
 });
 
 /**
@@ -242,15 +255,44 @@ const handleUpdatePassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Handles the request to regenerate a user's API key.
+ * Handles the creation of a named API token with the chosen scopes and expiry.
  */
-const handleRegenerateApiKey = asyncHandler(async (req, res) => {
-  const userId = req.session.user.id;
-  await userService.regenerateApiKey(userId);
-  // Redirect back to the profile page with a success message in the query string
-  res.redirect("/admin/profile?success=API key regenerated successfully!");
+const handleCreateApiToken = asyncHandler(async (req, res) => {
+  const name = (req.body.name || "").trim();
+  const scopes = [].concat(req.body.scopes || []);
+  const expiresInDays = parseInt(req.body.expires_in_days, 10) || null;
+
+  if (!name || name.length > 100) {
+    res.status(400);
+    return renderProfile(req, res, { error: "Please give the token a name of up to 100 characters." });
+  }
+  if (scopes.length === 0 || !scopes.every((scope) => apiTokenService.API_SCOPES[scope])) {
+    res.status(400);
+    return renderProfile(req, res, { error: "Please choose at least one valid scope." });
+  }
+  if (expiresInDays && !apiTokenService.EXPIRY_OPTIONS.some((option) => option.days === expiresInDays)) {
+    res.status(400);
+    return renderProfile(req, res, { error: "Please choose a valid expiry." });
+  }
+
+  const { token } = await apiTokenService.create(req.session.user.id, {
+    name,
+    scopes,
+    expiresInDays,
+  });
+  await renderProfile(req, res, {
+    success: `API token '${name}' created. Copy it now, it will not be shown again.`,
+    newToken: token,
+  });
 });
 
+/**
+ * Handles the request to revoke one of the user's API tokens.
+ */
+const handleRevokeApiToken = asyncHandler(async (req, res) => {
+  await apiTokenService.revoke(req.params.id, req.session.user.id);
+  res.redirect("/admin/profile?success=API token revoked.");
+});
 
 module.exports = {
   renderLoginPage,
@@ -262,5 +304,6 @@ module.exports = {
   renderProfileEditForm,
   handleUpdateEmail,
   handleUpdatePassword,
-  handleRegenerateApiKey,
+  handleCreateApiToken,
+  handleRevokeApiToken,
 };
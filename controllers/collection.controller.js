@@ -0,0 +1,165 @@
+/**
+ * Controller for handling admin collection management requests.
+ */
+
+const asyncHandler = require("express-async-handler");
+const collectionService = require("../services/collection.service");
+const snippetService = require("../services/snippet.service");
+
+/**
+ * Reads the collection fields submitted by the collection forms.
+ */
+const getCollectionData = (body = {}) => ({
+  name: (body.name || "").trim(),
+  description: (body.description || "").trim(),
+  is_private: body.is_private === "1",
+});
+
+/**
+ * Finds a collection owned by the logged-in user, or sends a 404/403 response
+ * and resolves with null.
+ */
+const findOwnCollection = async (req, res, id) => {
+  const collection = await collectionService.findById(id);
+  if (!collection) {
+    res.status(404).send("Collection not found");
+    return null;
+  }
+  if (collection.user_id !== req.session.user.id) {
+    res.status(403).send("Forbidden: You can only manage your own collections.");
+    return null;
+  }
+  return collection;
+};
+
+/**
+ * Renders the list of the logged-in user's collections with a form to create one.
+ */
+const getAllCollections = asyncHandler(async (req, res) => {
+  const collections = await collectionService.findAllForUser(req.session.user.id);
+  res.render("admin/collections", {
+    collections,
+    title: "My Collections",
+    error: req.query.error || null,
+  });
+});
+
+/**
+ * Handles creating a new collection.
+ */
+const createCollection = asyncHandler(async (req, res) => {
+  const data = getCollectionData(req.body);
+  if (!data.name) {
+    return res.redirect(
+      `/admin/collections?error=${encodeURIComponent("A collection needs a name.")}`
+    );
+  }
+  const result = await collectionService.create(req.session.user.id, data);
+  res.redirect(`/admin/collections/${result.lastID}`);
+});
+
+/**
+ * Renders a collection's settings and its snippets in order.
+ */
+const getCollection = asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, req.params.id);
+  if (!collection) return;
+
+  const snippets = await snippetService.findInCollection(collection.id, collection.user_id);
+  res.render("admin/collection", {
+    collection,
+    snippets,
+    title: `Collection: ${collection.name}`,
+    error: req.query.error || null,
+    success: req.query.success || null,
+  });
+});
+
+/**
+ * Handles updating a collection's name, description and visibility.
+ */
+const updateCollection = asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, req.params.id);
+  if (!collection) return;
+
+  const data = getCollectionData(req.body);
+  if (!data.name) {
+    return res.redirect(
+      `/admin/collections/${collection.id}?error=${encodeURIComponent("A collection needs a name.")}`
+    );
+  }
+  await collectionService.update(collection.id, data);
+  res.redirect(
+    `/admin/collections/${collection.id}?success=${encodeURIComponent("Collection updated.")}`
+  );
+});
+
+/**
+ * Handles deleting a collection.
+ */
+const deleteCollection = asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, req.params.id);
+  if (!collection) return;
+
+  await collectionService.remove(collection.id);
+  res.redirect("/admin/collections");
+});
+
+/**
+ * Handles adding a snippet to one of the user's collections. Users can add
+ * public snippets of any author and their own private snippets.
+ */
+const addSnippet = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const collection = await findOwnCollection(req, res, body.collection_id);
+  if (!collection) return;
+
+  const snippet = await snippetService.findById(body.snippet_id);
+  if (!snippet) {
+    return res.status(404).send("Snippet not found");
+  }
+  if (snippet.is_private && snippet.user_id !== req.session.user.id) {
+    return res.status(403).send("Forbidden: This snippet is private.");
+  }
+
+  await collectionService.addSnippet(collection.id, snippet.id);
+  res.redirect(
+    `/admin/collections/${collection.id}?success=${encodeURIComponent(
+      `Added "${snippet.title}".`
+    )}`
+  );
+});
+
+/**
+ * Handles removing a snippet from a collection.
+ */
+const removeSnippet = asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, req.params.id);
+  if (!collection) return;
+
+  await collectionService.removeSnippet(collection.id, req.params.snippetId);
+  res.redirect(`/admin/collections/${collection.id}`);
+});
+
+/**
+ * Handles moving a snippet one place up or down in a collection.
+ */
+const moveSnippet = asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, req.params.id);
+  if (!collection) return;
+
+  const direction = (req.body || {}).direction === "up" ? "up" : "down";
+  await collectionService.moveSnippet(collection.id, req.params.snippetId, direction);
+  res.redirect(`/admin/collections/${collection.id}`);
+});
+
+module.exports = {
+  getAllCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addSnippet,
+  removeSnippet,
+  moveSnippet,
+};
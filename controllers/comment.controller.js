@@ -0,0 +1,146 @@
+/**
+ * Controller for writing, editing and moderating comments on snippets.
+ */
+
+const asyncHandler = require("express-async-handler");
+const commentService = require("../services/comment.service");
+const snippetService = require("../services/snippet.service");
+const userService = require("../services/user.service");
+const snippetFileService = require("../services/snippet-file.service");
+
+/**
+ * Builds the public URL of a snippet's page.
+ */
+const snippetPath = (res, snippet) =>
+  `/${res.locals.urlStyle === "shortid" && snippet.short_id ? snippet.short_id : snippet.slug}`;
+
+/**
+ * Finds a comment the logged-in user may change, or sends a 404/403 response
+ * and resolves with null.
+ */
+const findModifiableComment = async (req, res) => {
+  const comment = await commentService.findById(req.params.id);
+  if (!comment) {
+    res.status(404).send("Comment not found");
+    return null;
+  }
+  if (!commentService.canModify(req.session.user, comment)) {
+    res.status(403).send("Forbidden: You can only change your own comments.");
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * Renders the comment edit form, offering the snippet's files as anchors.
+ */
+const renderCommentForm = async (res, comment, snippet, error = null) => {
+  const files = await snippetFileService.findAllForSnippet(snippet.id);
+  res.render("admin/comment-form", {
+    comment,
+    snippet,
+    filenames: files.map((file) => file.filename),
+    title: "Edit Comment",
+    error,
+  });
+};
+
+/**
+ * Renders the moderation list of the most recent comments on all snippets.
+ */
+const getAllComments = asyncHandler(async (req, res) => {
+  const comments = await commentService.findRecent();
+  res.render("admin/comments", {
+    comments,
+    title: "Moderate Comments",
+  });
+});
+
+/**
+ * Handles posting a comment on a snippet. Only approved users may comment.
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const snippet = await snippetService.findById(req.params.snippetId);
+  if (!snippet || !(await snippetService.canView(req.session.user, snippet))) {
+    return res.status(404).send("Snippet not found");
+  }
+
+  const user = await userService.findById(req.session.user.id);
+  if (!user || !user.is_approved) {
+    return res.status(403).send("Forbidden: Your account has not been approved.");
+  }
+
+  const input = req.body || {};
+  const body = (input.body || "").trim();
+  const error = commentService.validateBody(body);
+  if (error) {
+    return res.redirect(
+      `${snippetPath(res, snippet)}?comment_error=${encodeURIComponent(error)}#comments`
+    );
+  }
+
+  const anchor = await commentService.resolveAnchor(snippet.id, input.filename, input.line_number);
+  const result = await commentService.create(snippet.id, user.id, { body, ...anchor });
+  res.redirect(`${snippetPath(res, snippet)}#comment-${result.lastID}`);
+});
+
+/**
+ * Renders the form to edit a comment.
+ */
+const getCommentForm = asyncHandler(async (req, res) => {
+  const comment = await findModifiableComment(req, res);
+  if (!comment) return;
+
+  const snippet = await snippetService.findById(comment.snippet_id);
+  await renderCommentForm(res, comment, snippet);
+});
+
+/**
+ * Handles updating a comment's body and line anchor.
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const comment = await findModifiableComment(req, res);
+  if (!comment) return;
+
+  const snippet = await snippetService.findById(comment.snippet_id);
+  const input = req.body || {};
+  const body = (input.body || "").trim();
+  const error = commentService.validateBody(body);
+  if (error) {
+    res.status(400);
+    return renderCommentForm(
+      res,
+      { ...comment, body, filename: input.filename, line_number: input.line_number },
+      snippet,
+      error
+    );
+  }
+
+  const anchor = await commentService.resolveAnchor(snippet.id, input.filename, input.line_number);
+  await commentService.update(comment.id, { body, ...anchor });
+  res.redirect(`${snippetPath(res, snippet)}#comment-${comment.id}`);
+});
+
+/**
+ * Handles deleting a comment, by its author or an admin.
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findModifiableComment(req, res);
+  if (!comment) return;
+
+  await commentService.remove(comment.id);
+
+  if ((req.body || {}).redirect === "moderation") {
+    return res.redirect("/admin/comments");
+  }
+  const snippet = await snippetService.findById(comment.snippet_id);
+  res.redirect(`${snippetPath(res, snippet)}#comments`);
+});
+
+module.exports = {
+  getAllComments,
+  createComment,
+  getCommentForm,
+  updateComment,
+  deleteComment,
+};
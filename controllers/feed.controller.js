@@ -0,0 +1,167 @@
+/**
+ * Controller for the RSS, Atom and JSON feeds of the public archive pages.
+ */
+
+const crypto = require("crypto");
+const asyncHandler = require("express-async-handler");
+const snippetService = require("../services/snippet.service");
+const categoryService = require("../services/category.service");
+const languageService = require("../services/language.service");
+const userService = require("../services/user.service");
+const markdownService = require("../services/markdown.service");
+const feedService = require("../services/feed.service");
+const parseTags = require("../utils/tags");
+
+const FEED_ITEMS = parseInt(process.env.FEED_ITEMS, 10) || 20;
+
+/**
+ * Escapes code for use inside the HTML content of a feed item.
+ */
+const escapeHtml = (text) =>
+  String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * Turns a snippet into a feed item with absolute URLs. Feed readers keep
+ * what they fetch, so the code of a snippet with a view limit is never part
+ * of an item, even though the feed queries already leave such snippets out.
+ */
+const toFeedItem = (snippet, baseUrl, urlStyle) => {
+  const identifier = urlStyle === "shortid" && snippet.short_id ? snippet.short_id : snippet.slug;
+  const codeHtml = snippet.max_views ? "" : `<pre><code>${escapeHtml(snippet.code)}</code></pre>`;
+  return {
+    url: `${baseUrl}/${identifier}`,
+    title: snippet.title,
+    summary: markdownService.excerpt(snippet.description),
+    contentHtml: `${markdownService.render(snippet.description)}${codeHtml}`,
+    author: snippet.author_name,
+    tags: parseTags(snippet.tags),
+    published: snippet.created_at,
+    updated: snippet.updated_at,
+  };
+};
+
+/**
+ * Sends a feed of snippets in the format named by the `format` route
+ * parameter. `path` is the archive page the feed belongs to. Clients that
+ * already have the current feed, judged by its ETag or Last-Modified date,
+ * get a 304 Not Modified response.
+ */
+const sendFeed = (req, res, { title, description, path, snippets }) => {
+  const { format } = req.params;
+  const baseUrl = `${req.protocol}://${req.get("host")}`;
+  const { content, updated } = feedService.buildFeed(format, {
+    title,
+    description,
+    pageUrl: `${baseUrl}${path || "/"}`,
+    feedUrl: `${baseUrl}${path}/feed/${format}`,
+    items: snippets.map((snippet) => toFeedItem(snippet, baseUrl, res.locals.urlStyle)),
+  });
+
+  res.set({
+    "Content-Type": feedService.FEED_FORMATS[format].contentType,
+    ETag: `"${crypto.createHash("sha1").update(content).digest("hex")}"`,
+    "Last-Modified": updated.toUTCString(),
+    "Cache-Control": "public, max-age=0, must-revalidate",
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(content);
+};
+
+/**
+ * Rejects feed formats other than the FEED_FORMATS with a 404 response.
+ */
+const checkFeedFormat = (req, res, next) => {
+  if (!feedService.FEED_FORMATS[req.params.format]) {
+    return res.status(404).send("Feed format not found");
+  }
+  next();
+};
+
+/**
+ * Sends the feed of the latest public snippets.
+ */
+const getIndexFeed = asyncHandler(async (req, res) => {
+  const snippets = await snippetService.findPaginated(1, FEED_ITEMS);
+  sendFeed(req, res, {
+    title: process.env.HOMEPAGE_TITLE || "All Snippets",
+    description: process.env.HOMEPAGE_SUBTITLE || "The latest public snippets.",
+    path: "",
+    snippets,
+  });
+});
+
+/**
+ * Sends the feed of a category's latest public snippets.
+ */
+const getCategoryFeed = asyncHandler(async (req, res) => {
+  const category = await categoryService.findBySlug(req.params.slug);
+  if (!category) return res.status(404).send("Category not found");
+
+  const snippets = await snippetService.findPaginatedByCategory(category.id, 1, FEED_ITEMS);
+  sendFeed(req, res, {
+    title: `Category: ${category.name}`,
+    description: `The latest public snippets in the category "${category.name}".`,
+    path: `/category/${category.slug}`,
+    snippets,
+  });
+});
+
+/**
+ * Sends the feed of a language's latest public snippets.
+ */
+const getLanguageFeed = asyncHandler(async (req, res) => {
+  const language = await languageService.findBySlug(req.params.slug);
+  if (!language) return res.status(404).send("Language not found");
+
+  const snippets = await snippetService.findPaginatedByLanguage(language.id, 1, FEED_ITEMS);
+  sendFeed(req, res, {
+    title: `Language: ${language.name}`,
+    description: `The latest public snippets written in ${language.name}.`,
+    path: `/language/${language.slug}`,
+    snippets,
+  });
+});
+
+/**
+ * Sends the feed of a tag's latest public snippets.
+ */
+const getTagFeed = asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+  const snippets = await snippetService.findPaginatedByTag(tag, 1, FEED_ITEMS);
+  sendFeed(req, res, {
+    title: `Tagged: "${tag}"`,
+    description: `The latest public snippets tagged "${tag}".`,
+    path: `/tag/${encodeURIComponent(tag)}`,
+    snippets,
+  });
+});
+
+/**
+ * Sends the feed of an author's latest public snippets.
+ */
+const getAuthorFeed = asyncHandler(async (req, res) => {
+  const author = await userService.findByUsername(req.params.username);
+  if (!author) return res.status(404).send("Author not found");
+
+  const snippets = await snippetService.findPaginatedByAuthor(author.username, 1, FEED_ITEMS);
+  sendFeed(req, res, {
+    title: `Snippets by ${author.username}`,
+    description: `The latest public snippets posted by ${author.username}.`,
+    path: `/author/${encodeURIComponent(author.username)}`,
+    snippets,
+  });
+});
+
+module.exports = {
+  checkFeedFormat,
+  getIndexFeed,
+  getCategoryFeed,
+  getLanguageFeed,
+  getTagFeed,
+  getAuthorFeed,
+};
@@ -7,10 +7,40 @@ const snippetService = require("../services/snippet.service");
 const categoryService = require("../services/category.service");
 const languageService = require("../services/language.service");
 const userService = require("../services/user.service");
+const snippetFileService = require("../services/snippet-file.service");
+const snippetPackService = require("../services/snippet-pack.service");
+const highlightService = require("../services/highlight.service");
+const starService = require("../services/star.service");
+const collectionService = require("../services/collection.service");
+const commentService = require("../services/comment.service");
+const markdownService = require("../services/markdown.service");
+const teamService = require("../services/team.service");
+const shareLinkService = require("../services/share-link.service");
+const embedService = require("../services/embed.service");
 const languageExtensionMap = require("../utils/language-map");
+const { createZip } = require("../utils/zip");
+const {
+  parseSearchQuery,
+  isEmptyQuery,
+  renderMatches,
+} = require("../utils/search-query");
 
 const ITEMS_PER_PAGE = parseInt(process.env.ITEMS_PER_PAGE, 10) || 5;
 
+// Width in pixels oEmbed responses report for embeds, unless `maxwidth` is smaller.
+const EMBED_WIDTH = 720;
+// Smallest width or height in pixels `maxwidth` and `maxheight` can ask for.
+const MIN_EMBED_SIZE = 100;
+
+/**
+ * Adds a plain-text excerpt of each snippet's Markdown description, for snippet cards.
+ */
+const withExcerpts = (snippets) =>
+  snippets.map((snippet) => ({
+    ...snippet,
+    excerpt: markdownService.excerpt(snippet.description),
+  }));
+
 /**
  * Renders the home page with a paginated list of all snippets.
  */
@@ -23,7 +53,7 @@ const renderIndexPage = asyncHandler(async (req, res) => {
     title: "All Snippets",
     mainTitle: process.env.HOMEPAGE_TITLE,
     subtitle: process.env.HOMEPAGE_SUBTITLE,
-    snippets,
+    snippets: withExcerpts(snippets),
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
@@ -52,7 +82,9 @@ const renderCategoryPage = asyncHandler(async (req, res) => {
   res.render("public/category", {
     title: `Category: ${category.name}`,
     categoryName: category.name,
-    snippets,
+    categorySlug: category.slug,
+    feedPath: `/category/${category.slug}`,
+    snippets: withExcerpts(snippets),
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
@@ -62,37 +94,496 @@ const renderCategoryPage = asyncHandler(async (req, res) => {
 });
 
 /**
- * Renders the detail page for a single snippet.
+ * Retrieves the files of a snippet. A snippet without stored files is
+ * treated as a single file holding its code.
  */
-const renderSnippetPage = asyncHandler(async (req, res) => {
-  const { identifier } = req.params;
-  const snippet = await snippetService.findByIdentifierWithDetail(identifier);
+const getSnippetFiles = async (snippet) => {
+  const files = await snippetFileService.findAllForSnippet(snippet.id);
+  if (files.length > 0) {
+    return files;
+  }
+
+  const extension = languageExtensionMap[snippet.language_slug] || ".txt";
+  return [
+    {
+      filename: `${snippet.slug}${extension}`,
+      content: snippet.code,
+      language_name: snippet.language_name,
+      language_slug: snippet.language_slug,
+    },
+  ];
+};
+
+/**
+ * Finds the identifier a snippet's own URLs use, depending on the URL style.
+ */
+const snippetIdentifier = (res, snippet) =>
+  res.locals.urlStyle === "shortid" && snippet.short_id ? snippet.short_id : snippet.slug;
+
+/**
+ * Finds the absolute URL of this site, for links used on other sites.
+ */
+const siteUrl = (req) => `${req.protocol}://${req.get("host")}`;
+
+/**
+ * Builds the embed codes and oEmbed discovery URL of a snippet page. Snippets
+ * hidden from anonymous visitors can only be embedded through a share link
+ * without a password; for others, resolves with null.
+ */
+const buildEmbedCodes = async (req, res, snippet, files, shareLink) => {
+  const embeddable = shareLink
+    ? !shareLink.password_hash
+    : await snippetService.canView(null, snippet);
+  if (!embeddable) {
+    return null;
+  }
+
+  const baseUrl = siteUrl(req);
+  const identifier = snippetIdentifier(res, snippet);
+  const query = embedService.toEmbedQuery({ token: shareLink && shareLink.token });
+  const pageUrl = shareLink ? `${baseUrl}/s/${shareLink.token}` : `${baseUrl}/${identifier}`;
+  const lineCounts = files.map((file) => String(file.content).replace(/\n$/, "").split("\n").length);
 
-  if (!snippet) return res.status(404).send("Snippet not found");
+  return {
+    oembedUrl: `${baseUrl}/oembed?url=${encodeURIComponent(pageUrl)}&format=json`,
+    iframeHtml: embedService.buildIframeHtml({
+      url: `${baseUrl}/embed/${identifier}${query}`,
+      title: snippet.title,
+      height: embedService.estimateHeight(lineCounts),
+    }),
+    scriptHtml: embedService.buildScriptHtml(`${baseUrl}/embed/${identifier}.js${query}`),
+  };
+};
+
+/**
+ * Renders the detail page of a snippet the viewer may see, counting the view.
+ * With `shareLink`, the page was opened through that share link, and its
+ * download goes through the link too.
+ */
+const renderSnippet = async (req, res, snippet, shareLink = null) => {
+  const user = req.session.user;
+  if (!(await snippetService.consumeView(user, snippet))) {
+    return res.status(410).send("This snippet has expired");
+  }
+  if (snippet.expires_at || snippet.max_views || shareLink) {
+    res.set("Cache-Control", "no-store");
+  }
+  if (shareLink) {
+    res.set("X-Robots-Tag", "noindex");
+  }
+
+  const files = await getSnippetFiles(snippet);
+  const [highlightedFiles, forkedFrom, forkCount, forks, isStarred, collections, comments, canView, embed] =
+    await Promise.all([
+      highlightService.highlightSnippetFiles(snippet.id, files),
+      snippet.forked_from_id ? snippetService.findByIdWithDetail(snippet.forked_from_id) : null,
+      snippetService.countForks(snippet.id),
+      snippetService.findPublicForks(snippet.id),
+      user ? starService.isStarred(user.id, snippet.id) : false,
+      user ? collectionService.findAllForUser(user.id) : [],
+      commentService.findAllForSnippet(snippet.id),
+      snippetService.canView(user, snippet),
+      buildEmbedCodes(req, res, snippet, files, shareLink),
+    ]);
 
   res.render("public/snippet", {
     title: snippet.title,
     snippet,
+    descriptionHtml: markdownService.render(snippet.description),
+    files: highlightedFiles,
+    forkedFrom,
+    forkCount,
+    forks,
+    isStarred,
+    collections,
+    comments,
+    downloadUrl: shareLink
+      ? `/s/${shareLink.token}/download`
+      : `/download/${snippetIdentifier(res, snippet)}`,
+    // Viewers who only see the snippet through a share link cannot fork or comment on it.
+    sharedAccess: !canView,
+    embed,
+    commentError: req.query.comment_error || null,
   });
+};
+
+/**
+ * Sends a snippet's source code as a download, counting the view. Snippets
+ * with more than one file are downloaded as a ZIP archive.
+ */
+const sendSnippetDownload = async (req, res, snippet) => {
+  if (!(await snippetService.consumeView(req.session.user, snippet))) {
+    return res.status(410).send("This snippet has expired");
+  }
+
+  const files = await getSnippetFiles(snippet);
+
+  if (files.length > 1) {
+    const archive = createZip(
+      files.map((file) => ({ name: file.filename, content: file.content }))
+    );
+    res.attachment(`${snippet.slug}.zip`);
+    res.setHeader("Content-Type", "application/zip");
+    return res.send(archive);
+  }
+
+  // Filenames may contain non-ASCII characters, which res.attachment() encodes.
+  res.attachment(files[0].filename);
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.send(files[0].content);
+};
+
+/**
+ * Renders the detail page for a single snippet. Private and team-only
+ * snippets are only shown to the viewers `canView` allows; everyone else
+ * needs a share link.
+ */
+const renderSnippetPage = asyncHandler(async (req, res) => {
+  const { identifier } = req.params;
+  const snippet = await snippetService.findByIdentifierWithDetail(identifier);
+
+  if (!snippet || !(await snippetService.canView(req.session.user, snippet))) {
+    return res.status(404).send("Snippet not found");
+  }
+
+  await renderSnippet(req, res, snippet);
 });
 
 /**
  * Handles the download request for a snippet's source code.
+ * A download counts as a view of a snippet with a view limit.
  */
 const downloadSnippet = asyncHandler(async (req, res) => {
   const { identifier } = req.params;
   const snippet = await snippetService.findByIdentifierWithDetail(identifier);
 
+  if (!snippet || !(await snippetService.canView(req.session.user, snippet))) {
+    return res.status(404).send("Snippet not found");
+  }
+
+  await sendSnippetDownload(req, res, snippet);
+});
+
+/**
+ * Finds the share link for the `token` route parameter and its snippet, or
+ * sends a 404 response and resolves with null.
+ */
+const findSharedSnippet = async (req, res) => {
+  const link = await shareLinkService.findByToken(req.params.token);
+  const snippet = link && (await snippetService.findByIdWithDetail(link.snippet_id));
+  if (!snippet) {
+    res.status(404).send("Share link not found");
+    return null;
+  }
+  return { link, snippet };
+};
+
+/**
+ * Checks whether a share link is usable in this session: it has no password,
+ * or the password was entered for its current token.
+ */
+const isShareLinkUnlocked = (req, link) =>
+  !link.password_hash || (req.session.unlockedShareLinks || []).includes(link.token);
+
+/**
+ * Renders the password form of a protected share link.
+ */
+const renderSharePasswordForm = (res, link, error = null) =>
+  res.status(401).render("public/share-password", {
+    title: "Password Required",
+    token: link.token,
+    error,
+  });
+
+/**
+ * Renders a snippet opened through a share link, asking for the link's
+ * password first if it has one. Every use of the link is recorded.
+ */
+const renderSharedSnippetPage = asyncHandler(async (req, res) => {
+  const shared = await findSharedSnippet(req, res);
+  if (!shared) return;
+
+  const { link, snippet } = shared;
+  if (!isShareLinkUnlocked(req, link)) {
+    return renderSharePasswordForm(res, link);
+  }
+
+  await shareLinkService.markUsed(link.id);
+  await renderSnippet(req, res, snippet, link);
+});
+
+/**
+ * Handles the password form of a share link. The correct password unlocks
+ * the link for the rest of the session.
+ */
+const unlockSharedSnippet = asyncHandler(async (req, res) => {
+  const shared = await findSharedSnippet(req, res);
+  if (!shared) return;
+
+  const { link } = shared;
+  if (!(await shareLinkService.checkPassword(link, (req.body || {}).password))) {
+    return renderSharePasswordForm(res, link, "Wrong password.");
+  }
+
+  req.session.unlockedShareLinks = [...(req.session.unlockedShareLinks || []), link.token];
+  res.redirect(`/s/${link.token}`);
+});
+
+/**
+ * Downloads a snippet through a share link.
+ */
+const downloadSharedSnippet = asyncHandler(async (req, res) => {
+  const shared = await findSharedSnippet(req, res);
+  if (!shared) return;
+
+  const { link, snippet } = shared;
+  if (!isShareLinkUnlocked(req, link)) {
+    return res.redirect(`/s/${link.token}`);
+  }
+
+  await shareLinkService.markUsed(link.id);
+  await sendSnippetDownload(req, res, snippet);
+});
+
+/**
+ * Finds a snippet to embed. Snippets hidden from anonymous visitors need the
+ * `token` of one of their share links, and links with a password cannot be
+ * used, since an embed cannot ask for it. Resolves with `{ snippet, link }`,
+ * or with the `status` and `message` of the error response.
+ */
+const findEmbeddableSnippet = async (identifier, token) => {
+  const snippet = await snippetService.findByIdentifierWithDetail(identifier);
   if (!snippet) {
+    return { status: 404, message: "Snippet not found" };
+  }
+  if (snippet.is_expired) {
+    return { status: 410, message: "This snippet has expired" };
+  }
+
+  if (!token) {
+    return (await snippetService.canView(null, snippet))
+      ? { snippet, link: null }
+      : { status: 404, message: "Snippet not found" };
+  }
+
+  const link = await shareLinkService.findByToken(token);
+  if (!link || link.snippet_id !== snippet.id) {
+    return { status: 404, message: "Share link not found" };
+  }
+  if (link.password_hash) {
+    return { status: 403, message: "Password-protected share links cannot be embedded" };
+  }
+  return { snippet, link };
+};
+
+/**
+ * Prepares the files of an embed: the highlighted lines of the file named by
+ * the `file` option, or of every file. A `lines` range only makes sense for
+ * one file, so without `file` it shows the first file.
+ */
+const getEmbedFiles = async (snippet, options) => {
+  const files = await highlightService.highlightSnippetFiles(
+    snippet.id,
+    await getSnippetFiles(snippet)
+  );
+  const shownFiles = options.file
+    ? files.filter((file) => file.filename === options.file)
+    : files.slice(0, options.lines ? 1 : files.length);
+
+  return shownFiles.map((file) => ({
+    filename: file.filename,
+    language_name: file.language_name,
+    highlight_language: file.highlight_language,
+    ...embedService.selectLines(
+      highlightService.splitHighlightedLines(file.highlighted),
+      options.lines
+    ),
+  }));
+};
+
+/**
+ * Renders a snippet for an iframe on another site. The `file`, `lines` and
+ * `theme` query parameters pick what is shown and how; snippets hidden from
+ * anonymous visitors need a share link `token`.
+ */
+const renderEmbed = asyncHandler(async (req, res) => {
+  const options = embedService.parseEmbedOptions(req.query);
+  const { snippet, link, status, message } = await findEmbeddableSnippet(
+    req.params.identifier,
+    options.token
+  );
+  if (!snippet) {
+    return res.status(status).send(message);
+  }
+
+  const files = await getEmbedFiles(snippet, options);
+  if (files.length === 0) {
+    return res.status(404).send("File not found");
+  }
+  if (!(await snippetService.consumeView(req.session.user, snippet))) {
+    return res.status(410).send("This snippet has expired");
+  }
+  if (link) {
+    await shareLinkService.markUsed(link.id);
+  }
+
+  if (snippet.expires_at || snippet.max_views || link) {
+    res.set("Cache-Control", "no-store");
+  }
+  res.set("X-Robots-Tag", "noindex");
+  res.render("public/embed", {
+    title: snippet.title,
+    snippet,
+    files,
+    theme: options.theme,
+    themeStylesheet: embedService.EMBED_THEMES[options.theme],
+    snippetUrl: link
+      ? `${siteUrl(req)}/s/${link.token}`
+      : `${siteUrl(req)}/${snippetIdentifier(res, snippet)}`,
+  });
+});
+
+/**
+ * Sends the script variant of an embed, which inserts the embed's iframe
+ * where the script tag is and lets it grow to fit. Takes the same query
+ * parameters as the embed.
+ */
+const sendEmbedScript = asyncHandler(async (req, res) => {
+  const options = embedService.parseEmbedOptions(req.query);
+  const { snippet, status, message } = await findEmbeddableSnippet(
+    req.params.identifier,
+    options.token
+  );
+  if (!snippet) {
+    return res.status(status).send(message);
+  }
+
+  const files = await getEmbedFiles(snippet, options);
+  if (files.length === 0) {
+    return res.status(404).send("File not found");
+  }
+
+  if (snippet.expires_at || snippet.max_views || options.token) {
+    res.set("Cache-Control", "no-store");
+  }
+  res.type("application/javascript");
+  res.render("public/embed-script", {
+    title: snippet.title,
+    embedUrl: `${siteUrl(req)}/embed/${snippetIdentifier(res, snippet)}${embedService.toEmbedQuery(
+      req.query
+    )}`,
+    height: embedService.estimateHeight(files.map((file) => file.lines.length)),
+  });
+});
+
+/**
+ * Reads an oEmbed `maxwidth` or `maxheight` parameter, raised to
+ * MIN_EMBED_SIZE when smaller. Resolves to null when it is missing or not a
+ * number.
+ */
+const parseMaxSize = (value) => {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) ? null : Math.max(size, MIN_EMBED_SIZE);
+};
+
+/**
+ * Answers oEmbed requests for the snippet page, share link and embed URLs of
+ * this site with a "rich" response holding the embed's iframe. The `file`,
+ * `lines`, `theme` and `token` parameters of the URL carry over to the embed,
+ * and `maxwidth` and `maxheight` limit its size. Only JSON is supported.
+ */
+const getOEmbed = asyncHandler(async (req, res) => {
+  if (req.query.format && req.query.format !== "json") {
+    return res.status(501).send("Only the JSON oEmbed format is supported");
+  }
+
+  let url;
+  let match;
+  try {
+    url = new URL(String(req.query.url || ""));
+    match = /^\/(?:(s|snippet|embed)\/)?([^/]+)$/.exec(decodeURIComponent(url.pathname));
+  } catch (err) {
+    return res.status(400).send("A valid snippet URL is required");
+  }
+  if (url.host !== req.get("host") || !match) {
     return res.status(404).send("Snippet not found");
   }
 
-  const extension = languageExtensionMap[snippet.language_slug] || ".txt";
-  const filename = `${snippet.slug}${extension}`;
+  const params = Object.fromEntries(url.searchParams);
+  let identifier = match[1] === "embed" ? match[2].replace(/\.js$/, "") : match[2];
+  if (match[1] === "s") {
+    const link = await shareLinkService.findByToken(identifier);
+    const shared = link && (await snippetService.findByIdWithDetail(link.snippet_id));
+    if (!shared) {
+      return res.status(404).send("Share link not found");
+    }
+    params.token = link.token;
+    identifier = shared.slug;
+  }
 
-  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-  res.setHeader("Content-Type", "text/plain; charset=utf-8");
-  res.send(snippet.code);
+  const options = embedService.parseEmbedOptions(params);
+  const { snippet, status, message } = await findEmbeddableSnippet(identifier, options.token);
+  if (!snippet) {
+    return res.status(status).send(message);
+  }
+  const files = await getEmbedFiles(snippet, options);
+  if (files.length === 0) {
+    return res.status(404).send("File not found");
+  }
+
+  const baseUrl = siteUrl(req);
+  const maxWidth = parseMaxSize(req.query.maxwidth);
+  const width = Math.min(maxWidth || EMBED_WIDTH, EMBED_WIDTH);
+  const height = embedService.estimateHeight(
+    files.map((file) => file.lines.length),
+    parseMaxSize(req.query.maxheight) || undefined
+  );
+  const embedUrl = `${baseUrl}/embed/${snippetIdentifier(res, snippet)}${embedService.toEmbedQuery(params)}`;
+
+  res.set("Access-Control-Allow-Origin", "*");
+  res.json({
+    version: "1.0",
+    type: "rich",
+    provider_name: "Code Snippets",
+    provider_url: `${baseUrl}/`,
+    title: snippet.title,
+    ...(snippet.author_name && {
+      author_name: snippet.author_name,
+      author_url: `${baseUrl}/author/${encodeURIComponent(snippet.author_name)}`,
+    }),
+    html: embedService.buildIframeHtml({
+      url: embedUrl,
+      title: snippet.title,
+      height,
+      width: maxWidth ? width : undefined,
+    }),
+    width,
+    height,
+  });
+});
+
+/**
+ * Downloads public snippets as an editor snippet pack. The `category`, `tag`
+ * and `author` query parameters narrow down the included snippets.
+ */
+const downloadPack = asyncHandler(async (req, res) => {
+  const { format } = req.params;
+  if (!snippetPackService.PACK_FORMATS[format]) {
+    return res.status(404).send("Snippet pack format not found");
+  }
+
+  const pack = await snippetPackService.buildPack(format, {
+    category: req.query.category,
+    tag: req.query.tag,
+    username: req.query.author,
+  });
+  if (pack.count === 0) {
+    return res.status(404).send("No public snippets match this pack");
+  }
+
+  res.attachment(pack.filename);
+  res.type(pack.contentType);
+  res.send(pack.content);
 });
 
 /**
@@ -105,8 +596,32 @@ const renderSearchPage = asyncHandler(async (req, res) => {
   }
 
   const page = parseInt(req.query.page, 10) || 1;
-  const totalItems = await snippetService.countSearchResults(query);
-  const snippets = await snippetService.search(query, page, ITEMS_PER_PAGE);
+  const parsedQuery = parseSearchQuery(query);
+
+  // A query with nothing searchable in it (e.g. only punctuation) finds nothing.
+  const isSearchable = !isEmptyQuery(parsedQuery);
+  const totalItems = isSearchable
+    ? await snippetService.countSearchResults(parsedQuery)
+    : 0;
+  const results = isSearchable
+    ? await snippetService.search(parsedQuery, page, ITEMS_PER_PAGE)
+    : [];
+
+  // Turn the match markers from the search index into safe <mark> HTML, with
+  // the description reduced to a plain-text excerpt like on the cards.
+  // Filter-only queries have no text matches and are shown as plain cards.
+  const snippets = withExcerpts(results).map((snippet) =>
+    snippet.title_highlight === undefined
+      ? snippet
+      : {
+          ...snippet,
+          highlight: {
+            title: renderMatches(snippet.title_highlight),
+            description: renderMatches(markdownService.excerpt(snippet.description_highlight)),
+            code: renderMatches(snippet.code_excerpt),
+          },
+        }
+  );
 
   res.render("public/search", {
     title: `Search: "${query}"`,
@@ -136,7 +651,8 @@ const renderTagPage = asyncHandler(async (req, res) => {
   res.render("public/tag", {
     title: `Tagged: "${tag}"`,
     tag: tag,
-    snippets,
+    feedPath: `/tag/${encodeURIComponent(tag)}`,
+    snippets: withExcerpts(snippets),
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
@@ -166,7 +682,8 @@ const renderLanguagePage = asyncHandler(async (req, res) => {
     title: `Language: ${language.name}`,
     mainTitle: "Language Archive",
     subtitle: `Showing all snippets for: <span class="bg-yellow-300 px-2 dark:text-black">'${language.name}'</span>`,
-    snippets,
+    feedPath: `/language/${language.slug}`,
+    snippets: withExcerpts(snippets),
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
@@ -198,7 +715,8 @@ const renderAuthorPage = asyncHandler(async (req, res) => {
   res.render("public/author", {
     title: `Snippets by ${author.username}`,
     authorName: author.username,
-    snippets,
+    feedPath: `/author/${encodeURIComponent(author.username)}`,
+    snippets: withExcerpts(snippets),
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
@@ -207,13 +725,81 @@ const renderAuthorPage = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Renders a collection's snippets in their collection order. Private
+ * collections are only shown to their owner, and only the owner sees their
+ * own private snippets in a collection.
+ */
+const renderCollectionPage = asyncHandler(async (req, res) => {
+  const collection = await collectionService.findBySlug(req.params.slug);
+  const isOwner = !!req.session.user && collection && collection.user_id === req.session.user.id;
+
+  if (!collection || (collection.is_private && !isOwner)) {
+    return res.status(404).send("Collection not found");
+  }
+
+  const snippets = await snippetService.findInCollection(
+    collection.id,
+    isOwner ? collection.user_id : null
+  );
+
+  res.render("public/collection", {
+    title: `Collection: ${collection.name}`,
+    collection,
+    snippets: withExcerpts(snippets),
+    isOwner,
+  });
+});
+
+/**
+ * Renders a team's archive page with its members and snippets. Members also
+ * see the team's private and team-only snippets.
+ */
+const renderTeamPage = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const page = parseInt(req.query.page, 10) || 1;
+  const team = await teamService.findBySlug(slug);
+
+  if (!team) return res.status(404).send("Team not found");
+
+  const user = req.session.user;
+  const isMember = !!(user && (await teamService.getRole(team.id, user.id)));
+  const [totalItems, snippets, members] = await Promise.all([
+    snippetService.countByTeam(team.id, isMember),
+    snippetService.findPaginatedByTeam(team.id, page, ITEMS_PER_PAGE, isMember),
+    teamService.findMembers(team.id),
+  ]);
+
+  res.render("public/team", {
+    title: `Team: ${team.name}`,
+    team,
+    members,
+    isMember,
+    snippets: withExcerpts(snippets),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalItems / ITEMS_PER_PAGE),
+      baseUrl: `/team/${slug}`,
+    },
+  });
+});
+
 module.exports = {
   renderIndexPage,
   renderCategoryPage,
   renderSnippetPage,
   downloadSnippet,
+  renderSharedSnippetPage,
+  unlockSharedSnippet,
+  downloadSharedSnippet,
+  renderEmbed,
+  sendEmbedScript,
+  getOEmbed,
+  downloadPack,
   renderSearchPage,
   renderTagPage,
   renderLanguagePage,
   renderAuthorPage,
+  renderCollectionPage,
+  renderTeamPage,
 };
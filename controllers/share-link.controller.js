@@ -0,0 +1,100 @@
+/**
+ * Controller for managing the share links of a snippet.
+ */
+
+const asyncHandler = require("express-async-handler");
+const snippetService = require("../services/snippet.service");
+const shareLinkService = require("../services/share-link.service");
+
+/**
+ * Finds a snippet the logged-in user may manage the share links of, or
+ * sends a 404/403 response and resolves with null.
+ */
+const findModifiableSnippet = async (req, res) => {
+  const snippet = await snippetService.findById(req.params.id);
+  if (!snippet) {
+    res.status(404).send("Snippet not found");
+    return null;
+  }
+  if (!(await snippetService.canModify(req.session.user, snippet))) {
+    res.status(403).send("Forbidden: You can only share your own and your teams' snippets.");
+    return null;
+  }
+  return snippet;
+};
+
+/**
+ * Redirects back to a snippet's share links with an error or success message.
+ */
+const redirectToShareLinks = (res, snippetId, type, message) =>
+  res.redirect(`/admin/snippets/${snippetId}/share-links?${type}=${encodeURIComponent(message)}`);
+
+/**
+ * Renders a snippet's share links with a form to create a new one.
+ */
+const getShareLinks = asyncHandler(async (req, res) => {
+  const snippet = await findModifiableSnippet(req, res);
+  if (!snippet) return;
+
+  const links = await shareLinkService.findAllForSnippet(snippet.id);
+  res.render("admin/share-links", {
+    snippet,
+    links,
+    baseUrl: `${req.protocol}://${req.get("host")}`,
+    title: "Share Links",
+    error: req.query.error || null,
+    success: req.query.success || null,
+  });
+});
+
+/**
+ * Handles creating a share link with an optional label and password.
+ */
+const createShareLink = asyncHandler(async (req, res) => {
+  const snippet = await findModifiableSnippet(req, res);
+  if (!snippet) return;
+
+  const body = req.body || {};
+  await shareLinkService.create(snippet.id, req.session.user.id, {
+    label: (body.label || "").trim(),
+    password: body.password || null,
+  });
+  redirectToShareLinks(res, snippet.id, "success", "Share link created.");
+});
+
+/**
+ * Handles giving a share link a new token. The old URL stops working.
+ */
+const reissueShareLink = asyncHandler(async (req, res) => {
+  const snippet = await findModifiableSnippet(req, res);
+  if (!snippet) return;
+
+  const link = await shareLinkService.findForSnippet(snippet.id, req.params.linkId);
+  if (!link) {
+    return res.status(404).send("Share link not found");
+  }
+  await shareLinkService.reissue(link.id);
+  redirectToShareLinks(res, snippet.id, "success", "Share link re-issued. The old URL no longer works.");
+});
+
+/**
+ * Handles revoking a share link.
+ */
+const revokeShareLink = asyncHandler(async (req, res) => {
+  const snippet = await findModifiableSnippet(req, res);
+  if (!snippet) return;
+
+  const link = await shareLinkService.findForSnippet(snippet.id, req.params.linkId);
+  if (!link) {
+    return res.status(404).send("Share link not found");
+  }
+  await shareLinkService.remove(link.id);
+  redirectToShareLinks(res, snippet.id, "success", "Share link revoked.");
+});
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  reissueShareLink,
+  revokeShareLink,
+};
@@ -6,6 +6,23 @@ const asyncHandler = require("express-async-handler");
 const snippetService = require("../services/snippet.service");
 const categoryService = require("../services/category.service");
 const languageService = require("../services/language.service");
+const revisionService = require("../services/revision.service");
+const snippetFileService = require("../services/snippet-file.service");
+const markdownService = require("../services/markdown.service");
+const teamService = require("../services/team.service");
+const languageDetectionService = require("../services/language-detection.service");
+const { diffFiles } = require("../utils/diff");
+
+/**
+ * Formats a stored UTC timestamp for a datetime-local input, in server time.
+ */
+const toDateTimeLocal = (timestamp) => {
+  if (!timestamp) {
+    return "";
+  }
+  const date = new Date(`${timestamp.replace(" ", "T")}Z`);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
 
 /**
  * Renders the admin dashboard with a list of snippets.
@@ -30,31 +47,48 @@ const getAllSnippets = asyncHandler(async (req, res) => {
  */
 const getSnippetForm = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const [categories, languages] = await Promise.all([
+  const [categories, languages, memberships] = await Promise.all([
     categoryService.findAll(),
     languageService.findAll(),
+    teamService.findAllForUser(req.session.user.id),
   ]);
+  // Snippets can be shared with the teams the user may create snippets for.
+  const teams = memberships.filter((team) => teamService.EDITOR_ROLES.includes(team.role));
 
   if (id) {
     const snippet = await snippetService.findById(id);
     if (!snippet) {
       return res.status(404).send("Snippet not found");
     }
-    if (!req.session.user.is_admin && snippet.user_id !== req.session.user.id) {
-      return res.status(403).send("Forbidden: You can only edit your own snippets.");
+    if (!(await snippetService.canModify(req.session.user, snippet))) {
+      return res.status(403).send("Forbidden: You can only edit your own and your teams' snippets.");
+    }
+    // Keep the snippet's current team selectable, e.g. for an admin outside the team.
+    if (snippet.team_id && !teams.some((team) => team.id === snippet.team_id)) {
+      const team = await teamService.findById(snippet.team_id);
+      if (team) {
+        teams.push(team);
+      }
     }
+    const files = await snippetFileService.findAllForSnippet(snippet.id);
     res.render("admin/snippet-form", {
       snippet,
+      files: files.length > 0 ? files : [{ content: snippet.code, language_id: snippet.language_id }],
       categories,
       languages,
+      teams,
+      expiresAt: toDateTimeLocal(snippet.expires_at),
       action: `/admin/snippets/update/${snippet.id}`,
       title: "Edit Snippet",
     });
   } else {
     res.render("admin/snippet-form", {
       snippet: {},
+      files: [{}],
       categories,
       languages,
+      teams,
+      expiresAt: "",
       action: "/admin/snippets/add",
       title: "Create New Snippet",
     });
@@ -63,25 +97,26 @@ const getSnippetForm = asyncHandler(async (req, res) => {
 
 /**
  * Handles creation of a new snippet, associating it with the logged-in user
+ * and optionally one of the user's teams.
  */
 const createSnippet = asyncHandler(async (req, res) => {
   const snippetData = {
     ...req.body,
     user_id: req.session.user.id,
-    is_private: req.body.is_private === '1' ? 1 : 0,
+    team_id: req.body.team_id || null,
   };
   await snippetService.create(snippetData);
   res.redirect("/admin/snippets");
 });
 
 /**
- * Handles updating an existing snippet, including its privacy status.
+ * Handles updating an existing snippet, including its visibility and team.
  */
 const updateSnippet = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const snippetData = {
     ...req.body,
-    is_private: req.body.is_private === '1' ? 1 : 0,
+    team_id: req.body.team_id || null,
   };
   await snippetService.update(id, req.session.user, snippetData);
   res.redirect("/admin/snippets");
@@ -96,10 +131,123 @@ const deleteSnippet = asyncHandler(async (req, res) => {
   res.redirect("/admin/snippets");
 });
 
+/**
+ * Handles forking a snippet into a private copy owned by the logged-in user,
+ * then opens the copy for editing. A fork reveals the code like a view does,
+ * so expired snippets cannot be forked and forks count toward a view limit.
+ */
+const forkSnippet = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const user = req.session.user;
+  const snippet = await snippetService.findByIdWithDetail(id);
+  if (!snippet || !(await snippetService.canView(user, snippet))) {
+    return res.status(404).send("Snippet not found");
+  }
+  if (!(await snippetService.consumeView(user, snippet))) {
+    return res.status(410).send("This snippet has expired");
+  }
+
+  const result = await snippetService.fork(id, user);
+  res.redirect(`/admin/snippets/edit/${result.lastID}`);
+});
+
+/**
+ * Renders a Markdown description for the live preview on the snippet form.
+ */
+const previewDescription = (req, res) => {
+  const { description } = req.body || {};
+  res.json({ html: markdownService.render(description) });
+};
+
+/**
+ * Detects the language of a file on the snippet form, to suggest it when none is chosen.
+ */
+const detectLanguage = asyncHandler(async (req, res) => {
+  const { filename, content } = req.body || {};
+  res.json({ language: await languageDetectionService.detect({ filename, content }) });
+});
+
+/**
+ * Lists the files of a revision. Revisions recorded before files were kept
+ * only have the code of the first file, which stands in as a nameless file.
+ */
+const revisionFiles = (revision) =>
+  revision.files || [{ filename: null, content: revision.code }];
+
+/**
+ * Renders the revision history of a snippet, with a line-level diff between two revisions.
+ * Without explicit `from`/`to` query parameters, the two most recent revisions are compared.
+ */
+const getSnippetHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const snippet = await snippetService.findById(id);
+  if (!snippet) {
+    return res.status(404).send("Snippet not found");
+  }
+  if (!(await snippetService.canModify(req.session.user, snippet))) {
+    return res.status(403).send("Forbidden: You can only view the history of your own and your teams' snippets.");
+  }
+
+  const revisions = await revisionService.findAllForSnippet(id);
+
+  const fromId = req.query.from || (revisions[1] && revisions[1].id);
+  const toId = req.query.to || (revisions[0] && revisions[0].id);
+  let comparison = null;
+
+  if (fromId && toId) {
+    const [from, to] = await Promise.all([
+      revisionService.findForSnippet(id, fromId),
+      revisionService.findForSnippet(id, toId),
+    ]);
+    if (from && to) {
+      comparison = { from, to, files: diffFiles(revisionFiles(from), revisionFiles(to)) };
+    }
+  }
+
+  res.render("admin/snippet-history", {
+    snippet,
+    revisions,
+    comparison,
+    title: "Snippet History",
+    success: req.query.success || null,
+  });
+});
+
+/**
+ * Handles restoring a snippet to one of its previous revisions.
+ */
+const restoreSnippetRevision = asyncHandler(async (req, res) => {
+  const { id, revisionId } = req.params;
+  const snippet = await snippetService.findById(id);
+  if (!snippet) {
+    return res.status(404).send("Snippet not found");
+  }
+  if (!(await snippetService.canModify(req.session.user, snippet))) {
+    return res.status(403).send("Forbidden: You can only restore your own and your teams' snippets.");
+  }
+
+  const revision = await revisionService.findForSnippet(id, revisionId);
+  if (!revision) {
+    return res.status(404).send("Revision not found");
+  }
+
+  await snippetService.restoreRevision(id, req.session.user, revisionId);
+  res.redirect(
+    `/admin/snippets/${id}/history?success=${encodeURIComponent(
+      `Restored revision #${revision.revision_number}.`
+    )}`
+  );
+});
+
 module.exports = {
   getAllSnippets,
   getSnippetForm,
   createSnippet,
   updateSnippet,
   deleteSnippet,
+  forkSnippet,
+  previewDescription,
+  detectLanguage,
+  getSnippetHistory,
+  restoreSnippetRevision,
 };
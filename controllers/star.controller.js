@@ -0,0 +1,51 @@
+/**
+ * Controller for starring snippets and listing starred snippets.
+ */
+
+const asyncHandler = require("express-async-handler");
+const snippetService = require("../services/snippet.service");
+const starService = require("../services/star.service");
+
+/**
+ * Renders the list of public snippets the logged-in user has starred.
+ */
+const getStarredSnippets = asyncHandler(async (req, res) => {
+  const snippets = await snippetService.findStarredByUser(req.session.user.id);
+  res.render("admin/starred", {
+    snippets,
+    title: "Starred Snippets",
+  });
+});
+
+/**
+ * Stars a public snippet for the logged-in user, or removes the star if the
+ * snippet is already starred, then returns to the snippet.
+ */
+const toggleStar = asyncHandler(async (req, res) => {
+  const snippet = await snippetService.findById(req.params.snippetId);
+  if (!snippet) {
+    return res.status(404).send("Snippet not found");
+  }
+  if (snippet.is_private) {
+    return res.status(403).send("Forbidden: Only public snippets can be starred.");
+  }
+
+  const userId = req.session.user.id;
+  if (await starService.isStarred(userId, snippet.id)) {
+    await starService.unstar(userId, snippet.id);
+  } else {
+    await starService.star(userId, snippet.id);
+  }
+
+  if ((req.body || {}).redirect === "starred") {
+    return res.redirect("/admin/starred");
+  }
+  const identifier =
+    res.locals.urlStyle === "shortid" && snippet.short_id ? snippet.short_id : snippet.slug;
+  res.redirect(`/${identifier}`);
+});
+
+module.exports = {
+  getStarredSnippets,
+  toggleStar,
+};
@@ -0,0 +1,71 @@
+/**
+ * Controller for handling admin tag management requests.
+ */
+
+const asyncHandler = require("express-async-handler");
+const tagService = require("../services/tag.service");
+
+/**
+ * Renders the page to manage all tags.
+ */
+const getAllTags = asyncHandler(async (req, res) => {
+  const tags = await tagService.findAll();
+  res.render("admin/tags", {
+    tags,
+    title: "Manage Tags",
+  });
+});
+
+/**
+ * Handles renaming a tag. Renaming onto an existing tag name merges the two tags.
+ */
+const renameTag = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  const { id } = req.params;
+  if (name && name.trim() && id) {
+    await tagService.rename(id, name.trim().replace(/\s+/g, " "));
+  }
+  res.redirect("/admin/tags");
+});
+
+/**
+ * Handles merging one tag into another.
+ */
+const mergeTags = asyncHandler(async (req, res) => {
+  const { source_id, target_id } = req.body;
+  if (source_id && target_id) {
+    await tagService.merge(source_id, target_id);
+  }
+  res.redirect("/admin/tags");
+});
+
+/**
+ * Handles the deletion of a tag.
+ */
+const deleteTag = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (id) {
+    await tagService.remove(id);
+  }
+  res.redirect("/admin/tags");
+});
+
+/**
+ * Returns existing tag names starting with the `q` query parameter, for autocomplete.
+ */
+const suggestTags = asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!prefix) {
+    return res.json([]);
+  }
+  const tags = await tagService.suggest(prefix);
+  res.json(tags.map((tag) => tag.name));
+});
+
+module.exports = {
+  getAllTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  suggestTags,
+};
@@ -0,0 +1,178 @@
+/**
+ * Controller for handling admin team management requests.
+ */
+
+const asyncHandler = require("express-async-handler");
+const teamService = require("../services/team.service");
+const userService = require("../services/user.service");
+
+/**
+ * Reads the team fields submitted by the team forms.
+ */
+const getTeamData = (body = {}) => ({
+  name: (body.name || "").trim(),
+  description: (body.description || "").trim(),
+});
+
+/**
+ * Finds a team the logged-in user belongs to, along with their role, or
+ * sends a 404/403 response and resolves with null. Admins may manage every
+ * team as if they were an owner. With `ownerOnly`, only owners are let through.
+ */
+const findMemberTeam = async (req, res, id, ownerOnly = false) => {
+  const team = await teamService.findById(id);
+  if (!team) {
+    res.status(404).send("Team not found");
+    return null;
+  }
+
+  const user = req.session.user;
+  const role = user.is_admin ? "owner" : await teamService.getRole(team.id, user.id);
+  if (!role || (ownerOnly && role !== "owner")) {
+    res.status(403).send("Forbidden: Only team owners can manage this team.");
+    return null;
+  }
+  return { ...team, role };
+};
+
+/**
+ * Redirects back to a team's page with an error or success message.
+ */
+const redirectToTeam = (res, teamId, type, message) =>
+  res.redirect(`/admin/teams/${teamId}?${type}=${encodeURIComponent(message)}`);
+
+/**
+ * Renders the list of the logged-in user's teams with a form to create one.
+ */
+const getAllTeams = asyncHandler(async (req, res) => {
+  const teams = await teamService.findAllForUser(req.session.user.id);
+  res.render("admin/teams", {
+    teams,
+    title: "My Teams",
+    error: req.query.error || null,
+  });
+});
+
+/**
+ * Handles creating a new team owned by the logged-in user.
+ */
+const createTeam = asyncHandler(async (req, res) => {
+  const data = getTeamData(req.body);
+  if (!data.name) {
+    return res.redirect(`/admin/teams?error=${encodeURIComponent("A team needs a name.")}`);
+  }
+  const result = await teamService.create(req.session.user.id, data);
+  res.redirect(`/admin/teams/${result.lastID}`);
+});
+
+/**
+ * Renders a team's members and, for owners, its settings.
+ */
+const getTeam = asyncHandler(async (req, res) => {
+  const team = await findMemberTeam(req, res, req.params.id);
+  if (!team) return;
+
+  const members = await teamService.findMembers(team.id);
+  res.render("admin/team", {
+    team,
+    members,
+    roles: teamService.TEAM_ROLES,
+    title: `Team: ${team.name}`,
+    error: req.query.error || null,
+    success: req.query.success || null,
+  });
+});
+
+/**
+ * Handles updating a team's name and description.
+ */
+const updateTeam = asyncHandler(async (req, res) => {
+  const team = await findMemberTeam(req, res, req.params.id, true);
+  if (!team) return;
+
+  const data = getTeamData(req.body);
+  if (!data.name) {
+    return redirectToTeam(res, team.id, "error", "A team needs a name.");
+  }
+  await teamService.update(team.id, data);
+  redirectToTeam(res, team.id, "success", "Team updated.");
+});
+
+/**
+ * Handles deleting a team. Its snippets stay with their authors.
+ */
+const deleteTeam = asyncHandler(async (req, res) => {
+  const team = await findMemberTeam(req, res, req.params.id, true);
+  if (!team) return;
+
+  await teamService.remove(team.id);
+  res.redirect("/admin/teams");
+});
+
+/**
+ * Handles adding a user to a team by username, or changing a member's role.
+ * A team always keeps at least one owner.
+ */
+const saveMember = asyncHandler(async (req, res) => {
+  const team = await findMemberTeam(req, res, req.params.id, true);
+  if (!team) return;
+
+  const body = req.body || {};
+  const role = body.role;
+  if (!teamService.TEAM_ROLES[role]) {
+    return redirectToTeam(res, team.id, "error", "Please choose a valid role.");
+  }
+
+  const user = await userService.findByUsername((body.username || "").trim());
+  if (!user) {
+    return redirectToTeam(res, team.id, "error", "User not found.");
+  }
+
+  const currentRole = await teamService.getRole(team.id, user.id);
+  if (currentRole === "owner" && role !== "owner" && (await teamService.countOwners(team.id)) <= 1) {
+    return redirectToTeam(res, team.id, "error", "A team needs at least one owner.");
+  }
+
+  await teamService.setMember(team.id, user.id, role);
+  redirectToTeam(
+    res,
+    team.id,
+    "success",
+    currentRole ? `${user.username} is now ${role}.` : `Added ${user.username} as ${role}.`
+  );
+});
+
+/**
+ * Handles removing a member from a team. Owners may remove anyone but the
+ * last owner; every member may leave a team on their own.
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const userId = Number(req.params.userId);
+  const isLeaving = userId === req.session.user.id;
+  const team = await findMemberTeam(req, res, req.params.id, !isLeaving);
+  if (!team) return;
+
+  const role = await teamService.getRole(team.id, userId);
+  if (!role) {
+    return redirectToTeam(res, team.id, "error", "This user is not a member of the team.");
+  }
+  if (role === "owner" && (await teamService.countOwners(team.id)) <= 1) {
+    return redirectToTeam(res, team.id, "error", "A team needs at least one owner.");
+  }
+
+  await teamService.removeMember(team.id, userId);
+  if (isLeaving && !req.session.user.is_admin) {
+    return res.redirect("/admin/teams");
+  }
+  redirectToTeam(res, team.id, "success", "Member removed.");
+});
+
+module.exports = {
+  getAllTeams,
+  createTeam,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  saveMember,
+  removeMember,
+};
@@ -0,0 +1,114 @@
+/**
+ * Controller for exporting and importing snippets in the admin area.
+ */
+
+const asyncHandler = require("express-async-handler");
+const exportService = require("../services/export.service");
+const importService = require("../services/import.service");
+
+/**
+ * Builds the base name of export downloads, e.g. `snippets-2025-01-31`.
+ */
+const exportFilename = () =>
+  `snippets-${new Date().toISOString().slice(0, 10)}`;
+
+/**
+ * Renders the import/export page, optionally with an import summary or error.
+ * For a dry run, `pending` holds the upload and options to import on confirmation.
+ */
+const renderTransferPage = (res, { summary = null, error = null, pending = null } = {}) => {
+  res.render("admin/transfer", {
+    title: "Import & Export",
+    formats: importService.IMPORT_FORMATS,
+    summary,
+    error,
+    pending,
+  });
+};
+
+/**
+ * Displays the import/export page.
+ */
+const getTransferPage = (req, res) => {
+  renderTransferPage(res);
+};
+
+/**
+ * Downloads a JSON archive of the user's snippets (all snippets for admins).
+ */
+const exportJson = asyncHandler(async (req, res) => {
+  const archive = await exportService.buildArchive(req.session.user);
+  res.attachment(`${exportFilename()}.json`);
+  res.type("application/json");
+  res.send(JSON.stringify(archive, null, 2));
+});
+
+/**
+ * Downloads a ZIP with one Markdown file per snippet of the user (all snippets for admins).
+ */
+const exportMarkdown = asyncHandler(async (req, res) => {
+  const archive = await exportService.buildMarkdownZip(req.session.user);
+  res.attachment(`${exportFilename()}.zip`);
+  res.type("application/zip");
+  res.send(archive);
+});
+
+/**
+ * Imports an uploaded export archive, VS Code snippet file or Gist download
+ * and shows a summary of the result. The "preview" action runs the import as
+ * a dry run; confirming the preview posts the upload again, base64-encoded in
+ * the `content` field.
+ */
+const importUpload = asyncHandler(async (req, res) => {
+  const fail = (error) => {
+    res.status(400);
+    renderTransferPage(res, { error });
+  };
+
+  if (req.uploadError) {
+    return fail(req.uploadError);
+  }
+
+  let buffer;
+  let filename;
+  if (req.file) {
+    buffer = req.file.buffer;
+    filename = req.file.originalname;
+  } else if (req.body.content) {
+    buffer = Buffer.from(req.body.content, "base64");
+    filename = req.body.filename || "";
+  } else {
+    return fail("Please choose a file to import.");
+  }
+
+  const format = req.body.format || "auto";
+  const onConflict = req.body.on_conflict || "skip";
+  const dryRun = req.body.action === "preview";
+
+  let upload;
+  try {
+    upload = importService.parseUpload(buffer, filename, format);
+  } catch (err) {
+    return fail(err.message);
+  }
+
+  const summary = await importService.importSnippets(upload.snippets, req.session.user, {
+    onConflict,
+    dryRun,
+    categories: upload.categories,
+    languages: upload.languages,
+  });
+  summary.format = upload.format;
+
+  const pending = dryRun
+    ? { content: buffer.toString("base64"), filename, format, onConflict }
+    : null;
+  renderTransferPage(res, { summary, pending });
+});
+
+module.exports = {
+  getTransferPage,
+  exportJson,
+  exportMarkdown,
+  importUpload,
+};
@@ -0,0 +1,24 @@
+/**
+ * SQL conditions shared by the queries that list snippets. They expect the
+ * snippets table aliased as `s` and its author's users row as `u`.
+ */
+
+/**
+ * Whether a snippet is past its expiry date or has used up its views.
+ */
+const IS_EXPIRED = `((s.expires_at IS NOT NULL AND s.expires_at <= CURRENT_TIMESTAMP)
+      OR (s.max_views IS NOT NULL AND s.view_count >= s.max_views))`;
+
+/**
+ * Whether a snippet may appear in public listings, searches, feeds, packs and
+ * tag counts: public, from an approved user and unexpired. Snippets with a
+ * view limit are left out too, since a listing would show their code without
+ * counting a view; they are only reachable by their own URL.
+ */
+const IS_PUBLICLY_LISTED = `(s.is_private = 0 AND u.is_approved = 1
+      AND s.max_views IS NULL AND NOT ${IS_EXPIRED})`;
+
+module.exports = {
+  IS_EXPIRED,
+  IS_PUBLICLY_LISTED,
+};
@@ -3,7 +3,7 @@
  */
 
 const asyncHandler = require("express-async-handler");
-const userService = require("../services/user.service");
+const apiTokenService = require("../services/api-token.service");
 
 const isApiAuthenticated = asyncHandler(async (req, res, next) => {
   let token;
@@ -17,15 +17,34 @@ const isApiAuthenticated = asyncHandler(async (req, res, next) => {
     return res.status(401).json({ message: "Not authorized, no token provided." });
   }
 
-  const user = await userService.findByApiKey(token);
+  const result = await apiTokenService.findByToken(token);
 
-  if (!user) {
+  if (!result) {
     return res.status(401).json({ message: "Not authorized, token is invalid." });
   }
+  if (result.token.is_expired) {
+    return res.status(401).json({ message: "Not authorized, token has expired." });
+  }
+
+  await apiTokenService.markUsed(result.token.id);
 
-  // Attach the authenticated user's info to the request object
-  req.user = user;
+  // Attach the authenticated user's info and the token's scopes to the request object
+  req.user = result.user;
+  req.apiToken = result.token;
   next();
 });
 
-module.exports = { isApiAuthenticated };
+/**
+ * Creates middleware that only lets requests through whose API token was
+ * granted the given scope. Must run after isApiAuthenticated.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiToken && req.apiToken.scopes.includes(scope)) {
+      return next();
+    }
+    res.status(403).json({ message: `Forbidden, this token lacks the '${scope}' scope.` });
+  };
+}
+
+module.exports = { isApiAuthenticated, requireScope };
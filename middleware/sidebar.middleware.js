@@ -6,6 +6,7 @@ const asyncHandler = require("express-async-handler");
 const snippetService = require("../services/snippet.service");
 const categoryService = require("../services/category.service");
 const languageService = require("../services/language.service");
+const tagService = require("../services/tag.service");
 
 const populateSidebarData = asyncHandler(async (req, res, next) => {
   // Fetch all necessary data for the sidebar in parallel.
@@ -14,7 +15,7 @@ const populateSidebarData = asyncHandler(async (req, res, next) => {
       snippetService.findRecent(5),
       categoryService.findAllWithCount(),
       languageService.findAllWithCount(),
-      snippetService.findAllTags(),
+      tagService.findAllWithCount(),
     ]);
 
   res.locals.sidebar = {
@@ -0,0 +1,36 @@
+/**
+ * File upload middleware.
+ */
+
+const multer = require("multer");
+
+// Uploads are kept in memory, so their size is capped (20 MB by default).
+const MAX_UPLOAD_SIZE =
+  parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 20 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 1,
+    // Import previews send the upload back base64-encoded in a form field.
+    fieldSize: Math.ceil(MAX_UPLOAD_SIZE / 3) * 4 + 4,
+  },
+});
+
+/**
+ * Middleware accepting a single uploaded file in the `file` field of a
+ * multipart form, available as `req.file`. Upload problems such as an
+ * oversized file are left in `req.uploadError` for the controller to report.
+ */
+function uploadSingleFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      req.uploadError = err.message;
+      return next();
+    }
+    next(err);
+  });
+}
+
+module.exports = { uploadSingleFile };
@@ -0,0 +1,47 @@
+/**
+ * Creates the core tables: users, categories, languages and snippets.
+ *
+ * Databases created before the migration system already have these tables,
+ * so every statement only creates what is missing.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        api_key TEXT UNIQUE,
+        is_admin BOOLEAN DEFAULT 0,
+        is_approved BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS categories (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, slug TEXT NOT NULL UNIQUE)`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS languages (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, slug TEXT NOT NULL UNIQUE)`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        slug TEXT NOT NULL UNIQUE,
+        short_id TEXT UNIQUE,
+        description TEXT,
+        code TEXT NOT NULL,
+        reference_url TEXT,
+        category_id INTEGER,
+        language_id INTEGER,
+        user_id INTEGER,
+        is_private BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
+        FOREIGN KEY (language_id) REFERENCES languages(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+  },
+};
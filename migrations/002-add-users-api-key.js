@@ -0,0 +1,23 @@
+/**
+ * Adds the 'api_key' column to databases created before API access existed,
+ * and gives every user without a key a fresh one.
+ */
+const authService = require("../services/auth.service");
+
+module.exports = {
+  up: async ({ run, all, hasColumn }) => {
+    if (!(await hasColumn("users", "api_key"))) {
+      // SQLite cannot add a UNIQUE column, so uniqueness comes from an index.
+      await run("ALTER TABLE users ADD COLUMN api_key TEXT");
+      await run("CREATE UNIQUE INDEX IF NOT EXISTS idx_users_api_key ON users (api_key)");
+    }
+
+    const users = await all("SELECT id FROM users WHERE api_key IS NULL");
+    for (const user of users) {
+      await run("UPDATE users SET api_key = ? WHERE id = ?", [
+        authService.generateApiKey(),
+        user.id,
+      ]);
+    }
+  },
+};
@@ -0,0 +1,11 @@
+/**
+ * Adds the 'is_private' column to databases created before private snippets
+ * existed. Existing snippets stay public.
+ */
+module.exports = {
+  up: async ({ run, hasColumn }) => {
+    if (!(await hasColumn("snippets", "is_private"))) {
+      await run("ALTER TABLE snippets ADD COLUMN is_private BOOLEAN DEFAULT 0");
+    }
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Creates the table holding the revision history of snippets.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        revision_number INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        code TEXT NOT NULL,
+        user_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (snippet_id, revision_number),
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )`
+    );
+  },
+};
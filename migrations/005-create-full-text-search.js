@@ -0,0 +1,37 @@
+/**
+ * Creates the FTS5 full-text index over snippet titles, descriptions and code,
+ * along with the triggers that keep it in sync with the 'snippets' table, and
+ * builds it from the snippets already stored.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS snippets_fts USING fts5(
+        title, description, code,
+        content='snippets', content_rowid='id',
+        prefix='2 3'
+      )`
+    );
+    await run(
+      `CREATE TRIGGER IF NOT EXISTS snippets_fts_insert AFTER INSERT ON snippets BEGIN
+        INSERT INTO snippets_fts (rowid, title, description, code)
+        VALUES (new.id, new.title, new.description, new.code);
+      END`
+    );
+    await run(
+      `CREATE TRIGGER IF NOT EXISTS snippets_fts_delete AFTER DELETE ON snippets BEGIN
+        INSERT INTO snippets_fts (snippets_fts, rowid, title, description, code)
+        VALUES ('delete', old.id, old.title, old.description, old.code);
+      END`
+    );
+    await run(
+      `CREATE TRIGGER IF NOT EXISTS snippets_fts_update AFTER UPDATE OF title, description, code ON snippets BEGIN
+        INSERT INTO snippets_fts (snippets_fts, rowid, title, description, code)
+        VALUES ('delete', old.id, old.title, old.description, old.code);
+        INSERT INTO snippets_fts (rowid, title, description, code)
+        VALUES (new.id, new.title, new.description, new.code);
+      END`
+    );
+    await run("INSERT INTO snippets_fts (snippets_fts) VALUES ('rebuild')");
+  },
+};
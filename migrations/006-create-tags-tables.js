@@ -0,0 +1,46 @@
+/**
+ * Creates the 'tags' and 'snippet_tags' tables, moves tags from the legacy
+ * comma-separated 'snippets.tags' column into them and drops the column.
+ */
+const parseTags = require("../utils/tags");
+
+module.exports = {
+  up: async ({ run, all, hasColumn }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      )`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_tags (
+        snippet_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (snippet_id, tag_id),
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_snippet_tags_tag_id ON snippet_tags (tag_id)`
+    );
+
+    if (!(await hasColumn("snippets", "tags"))) {
+      return;
+    }
+
+    const rows = await all(
+      "SELECT id, tags FROM snippets WHERE tags IS NOT NULL AND TRIM(tags) != ''"
+    );
+    for (const row of rows) {
+      for (const name of parseTags(row.tags)) {
+        await run("INSERT OR IGNORE INTO tags (name) VALUES (?)", [name]);
+        await run(
+          "INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) SELECT ?, id FROM tags WHERE name = ?",
+          [row.id, name]
+        );
+      }
+    }
+    await run("ALTER TABLE snippets DROP COLUMN tags");
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * Creates the 'snippet_files' table holding the files of multi-file snippets,
+ * and turns the code of every existing snippet into its first file.
+ */
+const languageExtensionMap = require("../utils/language-map");
+
+module.exports = {
+  up: async ({ run, all }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        filename TEXT NOT NULL,
+        language_id INTEGER,
+        content TEXT NOT NULL,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (language_id) REFERENCES languages(id) ON DELETE SET NULL
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_snippet_files_snippet_id ON snippet_files (snippet_id, position)`
+    );
+
+    const snippets = await all(
+      `SELECT s.id, s.slug, s.code, s.language_id, l.slug as language_slug
+       FROM snippets s
+       LEFT JOIN languages l ON s.language_id = l.id
+       WHERE NOT EXISTS (SELECT 1 FROM snippet_files f WHERE f.snippet_id = s.id)`
+    );
+    for (const snippet of snippets) {
+      const extension = languageExtensionMap[snippet.language_slug] || ".txt";
+      await run(
+        "INSERT INTO snippet_files (snippet_id, position, filename, language_id, content) VALUES (?, 0, ?, ?, ?)",
+        [snippet.id, `${snippet.slug}${extension}`, snippet.language_id, snippet.code]
+      );
+    }
+  },
+};
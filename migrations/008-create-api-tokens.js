@@ -0,0 +1,48 @@
+/**
+ * Creates the 'api_tokens' table for named, scoped and expiring API tokens,
+ * and turns every user's legacy API key into a token with all scopes.
+ * Tokens are stored as SHA-256 hashes, so the plain-text keys are cleared
+ * from 'users.api_key'. The column itself stays, as SQLite cannot drop a
+ * UNIQUE column.
+ */
+const authService = require("../services/auth.service");
+
+// The scopes legacy keys had implicitly; kept in sync with the API token service.
+const LEGACY_KEY_SCOPES = "snippets:read snippets:write taxonomy:read";
+
+module.exports = {
+  up: async ({ run, all }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens (user_id)`
+    );
+
+    const users = await all("SELECT id, api_key FROM users WHERE api_key IS NOT NULL");
+    for (const user of users) {
+      await run(
+        `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes)
+         VALUES (?, 'API key', ?, ?, ?)`,
+        [
+          user.id,
+          authService.hashApiToken(user.api_key),
+          user.api_key.slice(0, 8),
+          LEGACY_KEY_SCOPES,
+        ]
+      );
+    }
+    await run("UPDATE users SET api_key = NULL");
+  },
+};
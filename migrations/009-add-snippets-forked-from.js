@@ -0,0 +1,16 @@
+/**
+ * Adds the 'forked_from_id' column linking a fork to the snippet it was
+ * copied from. Deleting the original keeps its forks but clears the link.
+ */
+module.exports = {
+  up: async ({ run, hasColumn }) => {
+    if (!(await hasColumn("snippets", "forked_from_id"))) {
+      await run(
+        "ALTER TABLE snippets ADD COLUMN forked_from_id INTEGER REFERENCES snippets(id) ON DELETE SET NULL"
+      );
+    }
+    await run(
+      "CREATE INDEX IF NOT EXISTS idx_snippets_forked_from_id ON snippets (forked_from_id)"
+    );
+  },
+};
@@ -0,0 +1,49 @@
+/**
+ * Creates the 'snippet_stars' table for starred snippets, and the
+ * 'collections' and 'collection_snippets' tables for ordered, named
+ * collections of snippets.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_stars (
+        user_id INTEGER NOT NULL,
+        snippet_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, snippet_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_snippet_stars_snippet_id ON snippet_stars (snippet_id)`
+    );
+
+    await run(
+      `CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        slug TEXT NOT NULL UNIQUE,
+        description TEXT,
+        is_private BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS collection_snippets (
+        collection_id INTEGER NOT NULL,
+        snippet_id INTEGER NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, snippet_id),
+        FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_collection_snippets_snippet_id ON collection_snippets (snippet_id)`
+    );
+  },
+};
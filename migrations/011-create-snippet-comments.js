@@ -0,0 +1,26 @@
+/**
+ * Creates the 'snippet_comments' table for discussions on snippets. A comment
+ * can point at a line of one of the snippet's files through 'filename' and
+ * 'line_number'.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        filename TEXT,
+        line_number INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_snippet_comments_snippet_id ON snippet_comments (snippet_id)`
+    );
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Creates the 'teams' and 'team_members' tables for team workspaces, and adds
+ * the 'team_id' and 'is_team_only' columns to snippets. Team-only snippets are
+ * also private, so public listings keep leaving them out.
+ */
+module.exports = {
+  up: async ({ run, hasColumn }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        slug TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+    await run(
+      `CREATE TABLE IF NOT EXISTS team_members (
+        team_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members (user_id)`
+    );
+
+    if (!(await hasColumn("snippets", "team_id"))) {
+      await run(
+        "ALTER TABLE snippets ADD COLUMN team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL"
+      );
+    }
+    if (!(await hasColumn("snippets", "is_team_only"))) {
+      await run("ALTER TABLE snippets ADD COLUMN is_team_only BOOLEAN DEFAULT 0");
+    }
+    await run("CREATE INDEX IF NOT EXISTS idx_snippets_team_id ON snippets (team_id)");
+  },
+};
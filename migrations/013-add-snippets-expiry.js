@@ -0,0 +1,18 @@
+/**
+ * Adds the 'expires_at', 'max_views' and 'view_count' columns to snippets,
+ * for snippets that expire at a given time or after a number of views.
+ */
+module.exports = {
+  up: async ({ run, hasColumn }) => {
+    if (!(await hasColumn("snippets", "expires_at"))) {
+      await run("ALTER TABLE snippets ADD COLUMN expires_at DATETIME");
+    }
+    if (!(await hasColumn("snippets", "max_views"))) {
+      await run("ALTER TABLE snippets ADD COLUMN max_views INTEGER");
+    }
+    if (!(await hasColumn("snippets", "view_count"))) {
+      await run("ALTER TABLE snippets ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0");
+    }
+    await run("CREATE INDEX IF NOT EXISTS idx_snippets_expires_at ON snippets (expires_at)");
+  },
+};
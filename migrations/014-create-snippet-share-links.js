@@ -0,0 +1,27 @@
+/**
+ * Creates the 'snippet_share_links' table. A share link opens a snippet
+ * through an unguessable token, optionally behind a password, and records
+ * when it was last used.
+ */
+module.exports = {
+  up: async ({ run }) => {
+    await run(
+      `CREATE TABLE IF NOT EXISTS snippet_share_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        created_by INTEGER,
+        token TEXT NOT NULL UNIQUE,
+        label TEXT,
+        password_hash TEXT,
+        use_count INTEGER NOT NULL DEFAULT 0,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )`
+    );
+    await run(
+      "CREATE INDEX IF NOT EXISTS idx_snippet_share_links_snippet_id ON snippet_share_links (snippet_id)"
+    );
+  },
+};
@@ -0,0 +1,11 @@
+/**
+ * Adds the 'files' column to snippet revisions, holding all files of the
+ * snippet at that revision as JSON. Older revisions only have their 'code'.
+ */
+module.exports = {
+  up: async ({ run, hasColumn }) => {
+    if (!(await hasColumn("snippet_revisions", "files"))) {
+      await run("ALTER TABLE snippet_revisions ADD COLUMN files TEXT");
+    }
+  },
+};
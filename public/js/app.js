@@ -85,12 +85,13 @@ document.addEventListener("DOMContentLoaded", () => {
    * Copy-to-Clipboard Button (for Snippets)
    */
   const copyCodeBtn = document.getElementById("copy-code-btn");
-  const codeContent = document.getElementById("code-content");
 
-  if (copyCodeBtn && codeContent) {
+  if (copyCodeBtn) {
     copyCodeBtn.addEventListener("click", () => {
+      // Copy the file shown in the currently selected tab.
+      const codeContent = document.querySelector(".file-panel:not(.hidden) code");
       navigator.clipboard
-        .writeText(codeContent.textContent)
+        .writeText(codeContent ? codeContent.textContent : "")
         .then(() => {
           const originalText = copyCodeBtn.textContent;
           copyCodeBtn.textContent = "Copied!";
@@ -109,6 +110,44 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  /**
+   * Embed Codes (select the whole code on focus, ready to copy)
+   */
+  document.querySelectorAll(".embed-code").forEach((input) => {
+    input.addEventListener("focus", () => input.select());
+  });
+
+  /**
+   * File Tabs on the Snippet Page
+   */
+  const fileTabs = document.querySelectorAll(".file-tab");
+
+  fileTabs.forEach((tab) => {
+    tab.addEventListener("click", () => {
+      fileTabs.forEach((other) => {
+        const isActive = other === tab;
+        other.classList.toggle("bg-yellow-300", isActive);
+        other.classList.toggle("text-black", isActive);
+        other.setAttribute("aria-selected", isActive);
+        document
+          .getElementById(other.dataset.tabTarget)
+          .classList.toggle("hidden", !isActive);
+      });
+    });
+  });
+
+  // Line links (e.g. #file-1-L12, used by line comments) open the file's tab.
+  const showLinkedLine = () => {
+    const match = window.location.hash.match(/^#file-(\d+)-L\d+$/);
+    const tab = match && document.querySelector(`[data-tab-target="file-panel-${match[1]}"]`);
+    if (tab) {
+      tab.click();
+      document.getElementById(window.location.hash.slice(1)).scrollIntoView({ block: "center" });
+    }
+  };
+  showLinkedLine();
+  window.addEventListener("hashchange", showLinkedLine);
+
   /**
    * Share Shortlink Button
    */
@@ -146,7 +185,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /**
-   * Copy API Key on Profile Page
+   * Copy a New API Token on the Profile Page
    */
   const copyApiKeyBtn = document.getElementById("copy-api-key-btn");
   const apiKeyInput = document.getElementById("api-key-input");
@@ -163,46 +202,204 @@ document.addEventListener("DOMContentLoaded", () => {
           }, 2000);
         })
         .catch((err) => {
-          console.error("Failed to copy API key.", err);
+          console.error("Failed to copy API token.", err);
         });
     });
   }
 
   /**
-   * API Key Regeneration Confirmation Modal
+   * Live Markdown Preview of the Description on the Snippet Form
    */
-  const regenerateForm = document.getElementById("regenerate-api-key-form");
-  const openRegenerateModalBtn = document.getElementById("open-regenerate-modal");
-  const regenerateModal = document.getElementById("regenerate-modal");
-  const confirmRegenerateBtn = document.getElementById("confirm-regenerate");
-  const cancelRegenerateBtn = document.getElementById("cancel-regenerate");
-  const body = document.body;
+  const descriptionInput = document.getElementById("description");
+  const descriptionPreview = document.getElementById("description-preview");
 
-  if (openRegenerateModalBtn && regenerateModal) {
+  if (descriptionInput && descriptionPreview) {
+    let previewTimer;
 
-    openRegenerateModalBtn.addEventListener("click", (event) => {
-      event.preventDefault();
-      regenerateModal.classList.remove("hidden");
-      body.classList.add("overflow-hidden");
+    // Rendered on the server, so the preview matches the public page exactly.
+    const updatePreview = () => {
+      fetch("/admin/snippets/preview-description", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ description: descriptionInput.value }),
+      })
+        .then((response) => response.json())
+        .then(({ html }) => {
+          descriptionPreview.innerHTML = html;
+        })
+        .catch((err) => {
+          console.error("Failed to render the description preview.", err);
+        });
+    };
+
+    descriptionInput.addEventListener("input", () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(updatePreview, 300);
+    });
+    updatePreview();
+  }
+
+  /**
+   * Tag Autocomplete on the Snippet Form
+   */
+  const tagsInput = document.getElementById("tags");
+  const tagSuggestions = document.getElementById("tag-suggestions");
+
+  if (tagsInput && tagSuggestions) {
+    let suggestTimer;
+
+    const hideSuggestions = () => {
+      tagSuggestions.classList.add("hidden");
+      tagSuggestions.innerHTML = "";
+    };
+
+    const applySuggestion = (name) => {
+      const parts = tagsInput.value.split(",");
+      parts[parts.length - 1] = (parts.length > 1 ? " " : "") + name;
+      tagsInput.value = parts.join(",") + ", ";
+      hideSuggestions();
+      tagsInput.focus();
+    };
+
+    tagsInput.addEventListener("input", () => {
+      clearTimeout(suggestTimer);
+      const parts = tagsInput.value.split(",");
+      const fragment = parts[parts.length - 1].trim();
+      if (!fragment) {
+        hideSuggestions();
+        return;
+      }
+
+      suggestTimer = setTimeout(() => {
+        fetch(`/admin/tags/suggest?q=${encodeURIComponent(fragment)}`)
+          .then((response) => response.json())
+          .then((names) => {
+            const chosen = parts.slice(0, -1).map((tag) => tag.trim().toLowerCase());
+            const options = names.filter((name) => !chosen.includes(name.toLowerCase()));
+
+            hideSuggestions();
+            if (options.length === 0) return;
+
+            options.forEach((name) => {
+              const item = document.createElement("li");
+              item.textContent = name;
+              item.className = tagSuggestions.dataset.itemClass;
+              // mousedown fires before the input's blur, which would hide the list.
+              item.addEventListener("mousedown", (event) => {
+                event.preventDefault();
+                applySuggestion(name);
+              });
+              tagSuggestions.appendChild(item);
+            });
+            tagSuggestions.classList.remove("hidden");
+          })
+          .catch((err) => {
+            console.error("Failed to load tag suggestions.", err);
+          });
+      }, 200);
+    });
+
+    tagsInput.addEventListener("blur", hideSuggestions);
+    tagsInput.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") hideSuggestions();
+    });
+  }
+
+  /**
+   * Multi-File Editor on the Snippet Form
+   */
+  const filesContainer = document.getElementById("snippet-files");
+  const fileTemplate = document.getElementById("snippet-file-template");
+  const addFileBtn = document.getElementById("add-file-btn");
+
+  if (filesContainer && fileTemplate && addFileBtn) {
+    // Field names carry each file's position, so they are renumbered after every change.
+    const renumberFiles = () => {
+      const fileBlocks = filesContainer.querySelectorAll(".snippet-file");
+      fileBlocks.forEach((block, index) => {
+        block.querySelectorAll("[name^='files[']").forEach((field) => {
+          field.name = field.name.replace(/^files\[[^\]]*\]/, `files[${index}]`);
+        });
+        block.querySelector(".file-number").textContent = index + 1;
+        block.querySelector("[data-file-action='remove']").disabled = fileBlocks.length === 1;
+      });
+    };
+
+    addFileBtn.addEventListener("click", () => {
+      filesContainer.appendChild(fileTemplate.content.cloneNode(true));
+      renumberFiles();
+      filesContainer.lastElementChild.querySelector("input").focus();
     });
 
-    cancelRegenerateBtn.addEventListener("click", () => {
-      regenerateModal.classList.add("hidden");
-      body.classList.remove("overflow-hidden");
+    // Files without a chosen language get a suggestion detected on the server.
+    const detectTimers = new WeakMap();
+
+    const suggestLanguage = (block) => {
+      const select = block.querySelector("select");
+      const suggestion = block.querySelector(".language-suggestion");
+      const content = block.querySelector("textarea").value;
+      if (select.value || !content.trim()) {
+        suggestion.classList.add("hidden");
+        return;
+      }
+
+      fetch("/admin/snippets/detect-language", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ filename: block.querySelector("input").value, content }),
+      })
+        .then((response) => response.json())
+        .then(({ language }) => {
+          if (!language || select.value) {
+            suggestion.classList.add("hidden");
+            return;
+          }
+          const button = suggestion.querySelector("button");
+          button.textContent = language.name;
+          button.dataset.languageId = language.id;
+          suggestion.querySelector(".language-confidence").textContent =
+            `(${Math.round(language.confidence * 100)}% sure, from the ${language.source})`;
+          suggestion.classList.remove("hidden");
+        })
+        .catch((err) => {
+          console.error("Failed to detect the language.", err);
+        });
+    };
+
+    filesContainer.addEventListener("input", (event) => {
+      const block = event.target.closest(".snippet-file");
+      if (!block) return;
+      clearTimeout(detectTimers.get(block));
+      detectTimers.set(block, setTimeout(() => suggestLanguage(block), 500));
     });
 
-    confirmRegenerateBtn.addEventListener("click", () => {
-      regenerateModal.classList.add("hidden");
-      body.classList.remove("overflow-hidden");
-      regenerateForm.submit();
+    filesContainer.addEventListener("change", (event) => {
+      if (event.target.matches("select")) {
+        suggestLanguage(event.target.closest(".snippet-file"));
+      }
     });
 
-    regenerateModal.addEventListener('click', (event) => {
-        if (event.target === regenerateModal) {
-            regenerateModal.classList.add("hidden");
-            body.classList.remove("overflow-hidden");
-        }
+    filesContainer.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-file-action]");
+      if (!button) return;
+
+      const block = button.closest(".snippet-file");
+      const action = button.dataset.fileAction;
+      if (action === "use-language") {
+        block.querySelector("select").value = button.dataset.languageId;
+        block.querySelector(".language-suggestion").classList.add("hidden");
+      } else if (action === "up" && block.previousElementSibling) {
+        filesContainer.insertBefore(block, block.previousElementSibling);
+      } else if (action === "down" && block.nextElementSibling) {
+        filesContainer.insertBefore(block.nextElementSibling, block);
+      } else if (action === "remove" && filesContainer.children.length > 1) {
+        block.remove();
+      }
+      renumberFiles();
     });
+
+    renumberFiles();
+    filesContainer.querySelectorAll(".snippet-file").forEach(suggestLanguage);
   }
 
   /**
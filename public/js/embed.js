@@ -0,0 +1,16 @@
+/**
+ * Reports the height of an embedded snippet to the page around it, so the
+ * script embed can size its iframe to fit.
+ */
+(() => {
+  if (window.parent === window) return;
+
+  const reportHeight = () => {
+    window.parent.postMessage(
+      { type: "snippet-embed:resize", height: document.documentElement.scrollHeight },
+      "*"
+    );
+  };
+
+  new ResizeObserver(reportHeight).observe(document.body);
+})();
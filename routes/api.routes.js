@@ -5,29 +5,109 @@
 const express = require("express");
 const router = express.Router();
 const apiController = require("../controllers/api.controller");
-const { isApiAuthenticated } = require("../middleware/isApiAuthenticated.middleware");
+const {
+  isApiAuthenticated,
+  requireScope,
+} = require("../middleware/isApiAuthenticated.middleware");
+const { uploadSingleFile } = require("../middleware/upload.middleware");
 
 // Protect all routes in this file with the API authentication middleware.
+// Each route additionally requires its scope on the token used.
 router.use(isApiAuthenticated);
 
+const canRead = requireScope("snippets:read");
+const canWrite = requireScope("snippets:write");
+const canReadTaxonomy = requireScope("taxonomy:read");
+const canComment = requireScope("comments:write");
+
 /**
  * Creates a new snippet for the authenticated user.
  */
-router.post("/snippets", apiController.createSnippet);
+router.post("/snippets", canWrite, apiController.createSnippet);
 
 /**
  * Lists snippets owned by the authenticated user. Supports pagination.
  */
-router.get("/snippets", apiController.listUserSnippets);
+router.get("/snippets", canRead, apiController.listUserSnippets);
+
+/**
+ * Retrieves a single snippet by its slug, short ID or numeric ID.
+ */
+router.get("/snippets/:identifier", canRead, apiController.getSnippet);
+
+/**
+ * Replaces all editable fields of a snippet owned by the authenticated user.
+ */
+router.put("/snippets/:identifier", canWrite, apiController.updateSnippet);
+
+/**
+ * Updates only the provided fields of a snippet owned by the authenticated user.
+ */
+router.patch("/snippets/:identifier", canWrite, apiController.updateSnippet);
+
+/**
+ * Deletes a snippet owned by the authenticated user.
+ */
+router.delete("/snippets/:identifier", canWrite, apiController.deleteSnippet);
+
+/**
+ * Lists the comments on a snippet.
+ */
+router.get("/snippets/:identifier/comments", canRead, apiController.listComments);
+
+/**
+ * Posts a comment on a snippet.
+ */
+router.post("/snippets/:identifier/comments", canComment, apiController.createComment);
+
+/**
+ * Updates a comment written by the authenticated user (any comment for admins).
+ */
+router.patch(
+  "/snippets/:identifier/comments/:commentId",
+  canComment,
+  apiController.updateComment
+);
+
+/**
+ * Deletes a comment written by the authenticated user (any comment for admins).
+ */
+router.delete(
+  "/snippets/:identifier/comments/:commentId",
+  canComment,
+  apiController.deleteComment
+);
+
+/**
+ * Searches snippets using the search query language (e.g. `lang:python tag:regex "phrase"`).
+ */
+router.get("/search", canRead, apiController.searchSnippets);
+
+/**
+ * Exports the user's snippets (all snippets for admins) as a JSON archive,
+ * or as a ZIP of Markdown files with `?format=markdown`.
+ */
+router.get("/export", canRead, apiController.exportSnippets);
+
+/**
+ * Exports the user's own snippets as a VS Code, JetBrains or Sublime Text snippet pack.
+ */
+router.get("/export/pack/:format", canRead, apiController.exportPack);
+
+/**
+ * Imports snippets from an export archive, VS Code snippet file or Gist download
+ * uploaded as the `file` field of a multipart form.
+ */
+router.post("/import", canWrite, uploadSingleFile, apiController.importSnippets);
 
 /**
  * Looks up a category ID by its name or slug.
  */
-router.get("/categories/lookup/:name", apiController.lookupCategory);
+router.get("/categories/lookup/:name", canReadTaxonomy, apiController.lookupCategory);
 
 /**
  * Looks up a language ID by its name or slug.
  */
-router.get("/languages/lookup/:name", apiController.lookupLanguage);
+router.get("/languages/lookup/:name", canReadTaxonomy, apiController.lookupLanguage);
 
 module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Defines the admin routes for managing the logged-in user's collections.
+ */
+
+const express = require("express");
+const router = express.Router();
+const collectionController = require("../controllers/collection.controller");
+
+/**
+ * Displays the user's collections with a form to create a new one.
+ */
+router.get("/", collectionController.getAllCollections);
+
+/**
+ * Creates a new collection.
+ */
+router.post("/add", collectionController.createCollection);
+
+/**
+ * Adds a snippet (`snippet_id`) to one of the user's collections (`collection_id`).
+ */
+router.post("/add-snippet", collectionController.addSnippet);
+
+/**
+ * Displays a collection's settings and its ordered snippets.
+ */
+router.get("/:id", collectionController.getCollection);
+
+/**
+ * Updates a collection's name, description and visibility.
+ */
+router.post("/update/:id", collectionController.updateCollection);
+
+/**
+ * Deletes a collection identified by its ID.
+ */
+router.post("/delete/:id", collectionController.deleteCollection);
+
+/**
+ * Moves a snippet one place up or down in a collection.
+ */
+router.post("/:id/snippets/:snippetId/move", collectionController.moveSnippet);
+
+/**
+ * Removes a snippet from a collection.
+ */
+router.post("/:id/snippets/:snippetId/remove", collectionController.removeSnippet);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Defines the admin routes for writing and moderating comments on snippets.
+ */
+
+const express = require("express");
+const router = express.Router();
+const commentController = require("../controllers/comment.controller");
+const { isAdmin } = require("../middleware/isAdmin.middleware");
+
+/**
+ * Displays the most recent comments on all snippets for moderation.
+ */
+router.get("/", isAdmin, commentController.getAllComments);
+
+/**
+ * Posts a comment on a snippet.
+ */
+router.post("/add/:snippetId", commentController.createComment);
+
+/**
+ * Renders the form for editing a comment.
+ */
+router.get("/edit/:id", commentController.getCommentForm);
+
+/**
+ * Updates a comment identified by its ID.
+ */
+router.post("/update/:id", commentController.updateComment);
+
+/**
+ * Deletes a comment identified by its ID.
+ */
+router.post("/delete/:id", commentController.deleteComment);
+
+module.exports = router;
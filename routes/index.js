@@ -16,7 +16,14 @@ const snippetRoutes = require("./snippet.routes");
 const languageRoutes = require("./language.routes");
 const apiRoutes = require("./api.routes");
 const userRoutes = require("./user.routes");
+const tagRoutes = require("./tag.routes");
+const transferRoutes = require("./transfer.routes");
+const collectionRoutes = require("./collection.routes");
+const commentRoutes = require("./comment.routes");
+const teamRoutes = require("./team.routes");
 const authController = require("../controllers/auth.controller");
+const tagController = require("../controllers/tag.controller");
+const starController = require("../controllers/star.controller");
 
 // api routes
 router.use("/api/v1", apiRoutes);
@@ -32,12 +39,22 @@ protectedAdminArea.get("/profile", authController.renderProfilePage);
 protectedAdminArea.get("/profile/edit", authController.renderProfileEditForm);
 protectedAdminArea.post("/profile/update-email", authController.handleUpdateEmail);
 protectedAdminArea.post("/profile/update-password", authController.handleUpdatePassword);
-protectedAdminArea.post("/profile/regenerate-api-key", authController.handleRegenerateApiKey);
+protectedAdminArea.post("/profile/api-tokens", authController.handleCreateApiToken);
+protectedAdminArea.post("/profile/api-tokens/:id/revoke", authController.handleRevokeApiToken);
 
 protectedAdminArea.use("/snippets", snippetRoutes);
+protectedAdminArea.get("/starred", starController.getStarredSnippets);
+protectedAdminArea.post("/stars/:snippetId", starController.toggleStar);
+protectedAdminArea.use("/collections", collectionRoutes);
+protectedAdminArea.use("/comments", commentRoutes);
+protectedAdminArea.use("/teams", teamRoutes);
 protectedAdminArea.use("/categories", isAdmin, categoryRoutes);
 protectedAdminArea.use("/languages", isAdmin, languageRoutes);
+// Tag suggestions feed the snippet form's autocomplete, so every user may use them.
+protectedAdminArea.get("/tags/suggest", tagController.suggestTags);
+protectedAdminArea.use("/tags", isAdmin, tagRoutes);
 protectedAdminArea.use("/users", isAdmin, userRoutes);
+protectedAdminArea.use("/transfer", transferRoutes);
 
 // isAuthenticated middleware to the entire protected area.
 router.use("/admin", isAuthenticated, protectedAdminArea);
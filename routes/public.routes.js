@@ -5,8 +5,20 @@
  */
 
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const publicController = require("../controllers/public.controller");
+const feedController = require("../controllers/feed.controller");
+
+const sharePasswordLimiter = rateLimit({
+  windowMs:
+    (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 10,
+  message:
+    "Too many password attempts from this IP, please try again after 15 minutes.",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 /**
  * Renders the home page with a paginated list of all snippets.
@@ -49,11 +61,65 @@ router.get("/language/:slug", publicController.renderLanguagePage);
  */
 router.get("/download/:identifier", publicController.downloadSnippet);
 
+/**
+ * Downloads public snippets as a VS Code, JetBrains or Sublime Text snippet pack,
+ * optionally limited to a category, tag or author.
+ */
+router.get("/export/pack/:format", publicController.downloadPack);
+
 /**
  * Renders a paginated list of snippets by a specific author.
  */
 router.get("/author/:username", publicController.renderAuthorPage);
 
+/**
+ * Renders a public collection of snippets, or a private one to its owner.
+ */
+router.get("/collection/:slug", publicController.renderCollectionPage);
+
+/**
+ * Renders a team archive page with its members and snippets.
+ */
+router.get("/team/:slug", publicController.renderTeamPage);
+
+/**
+ * Renders a snippet opened through a share link, or the link's password form.
+ */
+router.get("/s/:token", publicController.renderSharedSnippetPage);
+
+/**
+ * Checks the password of a protected share link.
+ */
+router.post("/s/:token", sharePasswordLimiter, publicController.unlockSharedSnippet);
+
+/**
+ * Downloads a snippet through a share link.
+ */
+router.get("/s/:token/download", publicController.downloadSharedSnippet);
+
+/**
+ * Embeds a snippet in other sites, as a page for an iframe or as a script that
+ * inserts that iframe. Both take the `file`, `lines` and `theme` query
+ * parameters, and the `token` of a share link for snippets that are not public.
+ */
+router.get("/embed/:identifier.js", publicController.sendEmbedScript);
+router.get("/embed/:identifier", publicController.renderEmbed);
+
+/**
+ * Answers oEmbed requests for snippet, share link and embed URLs.
+ */
+router.get("/oembed", publicController.getOEmbed);
+
+/**
+ * Feeds of the latest public snippets on the home page and the category,
+ * tag, language and author archives, as `rss`, `atom` or `json`.
+ */
+router.get("/feed/:format", feedController.checkFeedFormat, feedController.getIndexFeed);
+router.get("/category/:slug/feed/:format", feedController.checkFeedFormat, feedController.getCategoryFeed);
+router.get("/tag/:tag/feed/:format", feedController.checkFeedFormat, feedController.getTagFeed);
+router.get("/language/:slug/feed/:format", feedController.checkFeedFormat, feedController.getLanguageFeed);
+router.get("/author/:username/feed/:format", feedController.checkFeedFormat, feedController.getAuthorFeed);
+
 /**
  * Handles old /snippet/... URLs and permanently redirects them
  */
@@ -5,6 +5,7 @@
 const express = require("express");
 const router = express.Router();
 const snippetController = require("../controllers/snippet.controller");
+const shareLinkController = require("../controllers/share-link.controller");
 
 /**
  * Displays the main admin dashboard with a list of all snippets.
@@ -36,4 +37,52 @@ router.post("/update/:id", snippetController.updateSnippet);
  */
 router.post("/delete/:id", snippetController.deleteSnippet);
 
+/**
+ * Creates a private copy of a snippet for the logged-in user.
+ */
+router.post("/fork/:id", snippetController.forkSnippet);
+
+/**
+ * Renders a Markdown description as HTML for the snippet form's live preview.
+ */
+router.post("/preview-description", snippetController.previewDescription);
+
+/**
+ * Detects the language of a file for the snippet form's language suggestion.
+ */
+router.post("/detect-language", snippetController.detectLanguage);
+
+/**
+ * Displays the revision history of a snippet with a diff between two revisions.
+ */
+router.get("/:id/history", snippetController.getSnippetHistory);
+
+/**
+ * Restores a snippet to a previous revision, recording the restore as a new revision.
+ */
+router.post(
+  "/:id/history/:revisionId/restore",
+  snippetController.restoreSnippetRevision
+);
+
+/**
+ * Displays the share links of a snippet with a form to create one.
+ */
+router.get("/:id/share-links", shareLinkController.getShareLinks);
+
+/**
+ * Creates a share link with an optional label and password.
+ */
+router.post("/:id/share-links", shareLinkController.createShareLink);
+
+/**
+ * Gives a share link a new token, invalidating its old URL.
+ */
+router.post("/:id/share-links/:linkId/reissue", shareLinkController.reissueShareLink);
+
+/**
+ * Revokes a share link.
+ */
+router.post("/:id/share-links/:linkId/revoke", shareLinkController.revokeShareLink);
+
 module.exports = router;
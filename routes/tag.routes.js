@@ -0,0 +1,29 @@
+/**
+ * Defines the admin routes for managing tags.
+ */
+
+const express = require("express");
+const router = express.Router();
+const tagController = require("../controllers/tag.controller");
+
+/**
+ * Displays the main tag management page with a list of all tags.
+ */
+router.get("/", tagController.getAllTags);
+
+/**
+ * Renames a tag identified by its ID, merging it into an existing tag of the same name.
+ */
+router.post("/update/:id", tagController.renameTag);
+
+/**
+ * Merges a source tag into a target tag.
+ */
+router.post("/merge", tagController.mergeTags);
+
+/**
+ * Deletes a tag identified by its ID.
+ */
+router.post("/delete/:id", tagController.deleteTag);
+
+module.exports = router;
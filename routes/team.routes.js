@@ -0,0 +1,44 @@
+/**
+ * Defines the admin routes for managing teams and their members.
+ */
+
+const express = require("express");
+const router = express.Router();
+const teamController = require("../controllers/team.controller");
+
+/**
+ * Displays the user's teams with a form to create a new one.
+ */
+router.get("/", teamController.getAllTeams);
+
+/**
+ * Creates a new team owned by the user.
+ */
+router.post("/add", teamController.createTeam);
+
+/**
+ * Displays a team's members and settings.
+ */
+router.get("/:id", teamController.getTeam);
+
+/**
+ * Updates a team's name and description.
+ */
+router.post("/update/:id", teamController.updateTeam);
+
+/**
+ * Deletes a team identified by its ID.
+ */
+router.post("/delete/:id", teamController.deleteTeam);
+
+/**
+ * Adds a member (`username`) with a `role`, or changes an existing member's role.
+ */
+router.post("/:id/members", teamController.saveMember);
+
+/**
+ * Removes a member from a team.
+ */
+router.post("/:id/members/:userId/remove", teamController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Defines the admin routes for exporting and importing snippets.
+ */
+
+const express = require("express");
+const router = express.Router();
+const transferController = require("../controllers/transfer.controller");
+const { uploadSingleFile } = require("../middleware/upload.middleware");
+
+/**
+ * Displays the import/export page.
+ */
+router.get("/", transferController.getTransferPage);
+
+/**
+ * Downloads the user's snippets (all snippets for admins) as a JSON archive.
+ */
+router.get("/export/json", transferController.exportJson);
+
+/**
+ * Downloads the user's snippets (all snippets for admins) as a ZIP of Markdown files.
+ */
+router.get("/export/markdown", transferController.exportMarkdown);
+
+/**
+ * Imports snippets from an uploaded export archive, VS Code snippet file or
+ * Gist download, or previews the import.
+ */
+router.post("/import", uploadSingleFile, transferController.importUpload);
+
+module.exports = router;
@@ -15,6 +15,29 @@ const { initializeDatabase } = require("./config/database");
 const mainRouter = require("./routes");
 const errorHandler = require("./middleware/error.middleware");
 const { themeHandler } = require("./middleware/theme.middleware");
+const snippetService = require("./services/snippet.service");
+
+// How often expired snippets are deleted from the database.
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.EXPIRED_SNIPPETS_PURGE_MINUTES, 10) || 10;
+
+/**
+ * Deletes expired snippets right away and then periodically. Until they are
+ * deleted, expired snippets are already hidden and answer with 410 Gone.
+ */
+function startExpiredSnippetPurge() {
+  const purge = () =>
+    snippetService
+      .purgeExpired()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`🧹 Purged ${count} expired snippet(s).`);
+        }
+      })
+      .catch((error) => console.error(`Failed to purge expired snippets: ${error.message}`));
+
+  purge();
+  setInterval(purge, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
 
 /**
  * Application startup
@@ -25,6 +48,7 @@ async function startServer() {
     await initializeDatabase();
   } catch (error) {
     console.error("FATAL: Failed to initialize database. Server is shutting down.");
+    console.error(error.message);
     process.exit(1);
   }
 
@@ -68,6 +92,8 @@ async function startServer() {
 
   app.use(errorHandler);
 
+  startExpiredSnippetPurge();
+
   app.listen(PORT, () => {
     const baseUrl = `http://localhost:${PORT}`;
     console.log("\n🚀 Server is up and running!");
@@ -0,0 +1,125 @@
+/**
+ * Service for API tokens: named, scoped and optionally expiring credentials
+ * for the API. Only a hash of each token is stored.
+ */
+
+const query = require("../lib/query-handler");
+const authService = require("./auth.service");
+
+/**
+ * The scopes a token can be granted, with a description for the profile page.
+ */
+const API_SCOPES = {
+  "snippets:read": "Read, search and export your snippets",
+  "snippets:write": "Create, update, delete and import snippets",
+  "taxonomy:read": "Look up categories and languages",
+  "comments:write": "Post, edit and delete your comments on snippets",
+};
+
+/**
+ * Expiry choices offered for new tokens, in days. An empty value never expires.
+ */
+const EXPIRY_OPTIONS = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+  { days: 365, label: "1 year" },
+  { days: null, label: "Never" },
+];
+
+/**
+ * Parses the space-separated scopes stored with a token.
+ */
+const parseScopes = (scopes) => String(scopes || "").split(" ").filter(Boolean);
+
+/**
+ * Creates a token for a user. `scopes` is a list of API_SCOPES keys and
+ * `expiresInDays` the token's lifetime (null for no expiry).
+ * Resolves with the new token's ID and the plain token, which is shown only once.
+ */
+const create = async (userId, { name, scopes, expiresInDays = null }) => {
+  const token = authService.generateApiKey();
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .replace("T", " ")
+        .slice(0, 19)
+    : null;
+
+  const result = await query.run(
+    `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      name,
+      authService.hashApiToken(token),
+      token.slice(0, 8),
+      scopes.join(" "),
+      expiresAt,
+    ]
+  );
+  return { id: result.lastID, token };
+};
+
+/**
+ * Lists a user's tokens, newest first, flagging the expired ones.
+ */
+const findAllForUser = async (userId) => {
+  const tokens = await query.all(
+    `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at,
+            (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) as is_expired
+     FROM api_tokens
+     WHERE user_id = ?
+     ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+  return tokens.map((token) => ({
+    ...token,
+    scopes: parseScopes(token.scopes),
+    is_expired: !!token.is_expired,
+  }));
+};
+
+/**
+ * Finds the approved user a token belongs to, together with the token's ID,
+ * scopes and whether it has expired. Resolves with undefined for unknown tokens.
+ */
+const findByToken = async (token) => {
+  const row = await query.get(
+    `SELECT t.id as token_id, t.scopes,
+            (t.expires_at IS NOT NULL AND t.expires_at <= CURRENT_TIMESTAMP) as is_expired,
+            u.id, u.username, u.is_admin
+     FROM api_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ? AND u.is_approved = 1`,
+    [authService.hashApiToken(token)]
+  );
+  if (!row) {
+    return undefined;
+  }
+
+  const { token_id, scopes, is_expired, ...user } = row;
+  return { user, token: { id: token_id, scopes: parseScopes(scopes), is_expired: !!is_expired } };
+};
+
+/**
+ * Records that a token has just been used.
+ */
+const markUsed = (id) =>
+  query.run("UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?", [id]);
+
+/**
+ * Revokes (deletes) one of a user's tokens.
+ */
+const revoke = (id, userId) =>
+  query.run("DELETE FROM api_tokens WHERE id = ? AND user_id = ?", [id, userId]);
+
+module.exports = {
+  API_SCOPES,
+  EXPIRY_OPTIONS,
+  create,
+  findAllForUser,
+  findByToken,
+  markUsed,
+  revoke,
+};
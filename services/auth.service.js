@@ -28,8 +28,17 @@ function generateApiKey() {
   return crypto.randomBytes(16).toString("hex");
 }
 
+/**
+ * Hashes an API token for storage. Tokens are long random strings, so a fast
+ * SHA-256 digest is enough and allows looking tokens up by their hash.
+ */
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
 module.exports = {
   hashPassword,
   comparePassword,
   generateApiKey,
+  hashApiToken,
 };
@@ -0,0 +1,151 @@
+/**
+ * Service for collections: named, ordered lists of snippets that users put
+ * together from snippets of any author.
+ */
+
+const query = require("../lib/query-handler");
+const slugify = require("../utils/slugify");
+
+/**
+ * Generates a unique slug for a collection name, ignoring the collection
+ * with the given ID (the one being renamed).
+ */
+const generateSlug = async (name, excludeId = null) => {
+  const slug = slugify(name) || "collection";
+  const existing = await query.get(
+    "SELECT id FROM collections WHERE slug = ? AND id IS NOT ?",
+    [slug, excludeId]
+  );
+  return existing ? `${slug}-${Date.now()}` : slug;
+};
+
+/**
+ * Creates a collection owned by a user.
+ */
+const create = async (userId, { name, description, is_private }) => {
+  const slug = await generateSlug(name);
+  const sql = `INSERT INTO collections (user_id, name, slug, description, is_private)
+               VALUES (?, ?, ?, ?, ?)`;
+  return query.run(sql, [userId, name, slug, description || null, is_private ? 1 : 0]);
+};
+
+/**
+ * Updates the name, description and visibility of a collection.
+ * The slug only changes along with the name.
+ */
+const update = async (id, { name, description, is_private }) => {
+  const current = await findById(id);
+  const slug = current.name === name ? current.slug : await generateSlug(name, id);
+  const sql = `UPDATE collections SET name = ?, slug = ?, description = ?, is_private = ?
+               WHERE id = ?`;
+  return query.run(sql, [name, slug, description || null, is_private ? 1 : 0, id]);
+};
+
+/**
+ * Deletes a collection. The snippets in it are not affected.
+ */
+const remove = (id) => {
+  const sql = "DELETE FROM collections WHERE id = ?";
+  return query.run(sql, [id]);
+};
+
+/**
+ * Finds a single collection by its ID.
+ */
+const findById = (id) => {
+  const sql = "SELECT * FROM collections WHERE id = ?";
+  return query.get(sql, [id]);
+};
+
+/**
+ * Finds a single collection by its slug, along with its owner's username.
+ */
+const findBySlug = (slug) => {
+  const sql = `
+    SELECT col.*, u.username as owner_name
+    FROM collections col
+    JOIN users u ON col.user_id = u.id
+    WHERE col.slug = ?
+  `;
+  return query.get(sql, [slug]);
+};
+
+/**
+ * Retrieves all collections of a user, ordered by name, with the number of
+ * snippets in each.
+ */
+const findAllForUser = (userId) => {
+  const sql = `
+    SELECT col.id, col.name, col.slug, col.description, col.is_private, col.created_at,
+           COUNT(cs.snippet_id) as snippet_count
+    FROM collections col
+    LEFT JOIN collection_snippets cs ON cs.collection_id = col.id
+    WHERE col.user_id = ?
+    GROUP BY col.id
+    ORDER BY col.name COLLATE NOCASE
+  `;
+  return query.all(sql, [userId]);
+};
+
+/**
+ * Adds a snippet to the end of a collection. Adding a snippet that is
+ * already in the collection has no effect.
+ */
+const addSnippet = (collectionId, snippetId) => {
+  const sql = `
+    INSERT OR IGNORE INTO collection_snippets (collection_id, snippet_id, position)
+    SELECT ?, ?, COALESCE(MAX(position), 0) + 1
+    FROM collection_snippets WHERE collection_id = ?
+  `;
+  return query.run(sql, [collectionId, snippetId, collectionId]);
+};
+
+/**
+ * Removes a snippet from a collection.
+ */
+const removeSnippet = (collectionId, snippetId) => {
+  const sql = "DELETE FROM collection_snippets WHERE collection_id = ? AND snippet_id = ?";
+  return query.run(sql, [collectionId, snippetId]);
+};
+
+/**
+ * Moves a snippet one place up or down in a collection by swapping
+ * positions with its neighbour. Moving past either end has no effect.
+ */
+const moveSnippet = async (collectionId, snippetId, direction) => {
+  const current = await query.get(
+    "SELECT position FROM collection_snippets WHERE collection_id = ? AND snippet_id = ?",
+    [collectionId, snippetId]
+  );
+  if (!current) {
+    return;
+  }
+
+  const neighbour = await query.get(
+    direction === "up"
+      ? `SELECT snippet_id, position FROM collection_snippets
+         WHERE collection_id = ? AND position < ? ORDER BY position DESC LIMIT 1`
+      : `SELECT snippet_id, position FROM collection_snippets
+         WHERE collection_id = ? AND position > ? ORDER BY position ASC LIMIT 1`,
+    [collectionId, current.position]
+  );
+  if (!neighbour) {
+    return;
+  }
+
+  const sql = "UPDATE collection_snippets SET position = ? WHERE collection_id = ? AND snippet_id = ?";
+  await query.run(sql, [neighbour.position, collectionId, snippetId]);
+  await query.run(sql, [current.position, collectionId, neighbour.snippet_id]);
+};
+
+module.exports = {
+  create,
+  update,
+  remove,
+  findById,
+  findBySlug,
+  findAllForUser,
+  addSnippet,
+  removeSnippet,
+  moveSnippet,
+};
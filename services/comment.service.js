@@ -0,0 +1,139 @@
+/**
+ * Service for comments on snippets. Comment bodies are written in Markdown.
+ */
+
+const query = require("../lib/query-handler");
+const markdownService = require("./markdown.service");
+const snippetFileService = require("./snippet-file.service");
+
+/**
+ * The longest comment body accepted, in characters.
+ */
+const MAX_BODY_LENGTH = 10000;
+
+/**
+ * The columns selected for a comment, with its author's username.
+ */
+const COMMENT_COLUMNS = `
+      sc.id, sc.snippet_id, sc.user_id, sc.body, sc.filename, sc.line_number,
+      sc.created_at, sc.updated_at, u.username as author_name`;
+
+/**
+ * Adds the rendered Markdown of a comment's body as `body_html`.
+ */
+const withBodyHtml = (comment) =>
+  comment && { ...comment, body_html: markdownService.render(comment.body) };
+
+/**
+ * Creates a comment on a snippet. `filename` and `line_number` optionally
+ * anchor the comment to a line of one of the snippet's files.
+ */
+const create = (snippetId, userId, { body, filename = null, line_number = null }) => {
+  const sql = `INSERT INTO snippet_comments (snippet_id, user_id, body, filename, line_number)
+               VALUES (?, ?, ?, ?, ?)`;
+  return query.run(sql, [snippetId, userId, body, filename, line_number]);
+};
+
+/**
+ * Updates the body and line anchor of a comment.
+ */
+const update = (id, { body, filename = null, line_number = null }) => {
+  const sql = `UPDATE snippet_comments
+               SET body = ?, filename = ?, line_number = ?, updated_at = CURRENT_TIMESTAMP
+               WHERE id = ?`;
+  return query.run(sql, [body, filename, line_number, id]);
+};
+
+/**
+ * Deletes a comment by its ID.
+ */
+const remove = (id) => {
+  const sql = "DELETE FROM snippet_comments WHERE id = ?";
+  return query.run(sql, [id]);
+};
+
+/**
+ * Finds a single comment by its ID.
+ */
+const findById = async (id) => {
+  const sql = `SELECT ${COMMENT_COLUMNS}
+               FROM snippet_comments sc JOIN users u ON sc.user_id = u.id
+               WHERE sc.id = ?`;
+  return withBodyHtml(await query.get(sql, [id]));
+};
+
+/**
+ * Retrieves the comments on a snippet, oldest first.
+ */
+const findAllForSnippet = async (snippetId) => {
+  const sql = `SELECT ${COMMENT_COLUMNS}
+               FROM snippet_comments sc JOIN users u ON sc.user_id = u.id
+               WHERE sc.snippet_id = ?
+               ORDER BY sc.created_at, sc.id`;
+  const comments = await query.all(sql, [snippetId]);
+  return comments.map(withBodyHtml);
+};
+
+/**
+ * Retrieves the most recent comments on all snippets for moderation,
+ * with the title and URL parts of the snippet each was written on.
+ */
+const findRecent = async (limit = 100) => {
+  const sql = `SELECT ${COMMENT_COLUMNS},
+                      s.title as snippet_title, s.slug as snippet_slug, s.short_id as snippet_short_id
+               FROM snippet_comments sc
+               JOIN users u ON sc.user_id = u.id
+               JOIN snippets s ON sc.snippet_id = s.id
+               ORDER BY sc.created_at DESC, sc.id DESC
+               LIMIT ?`;
+  const comments = await query.all(sql, [limit]);
+  return comments.map(withBodyHtml);
+};
+
+/**
+ * Checks a comment body, returning an error message or null if it is valid.
+ */
+const validateBody = (body) => {
+  if (!body) {
+    return "A comment cannot be empty.";
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `Comments are limited to ${MAX_BODY_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/**
+ * Resolves the line anchor submitted with a comment. A positive line number
+ * is kept together with the filename if it names one of the snippet's files;
+ * an anchor without a filename points into the snippet's first file.
+ */
+const resolveAnchor = async (snippetId, filename, lineNumber) => {
+  const line = parseInt(lineNumber, 10);
+  if (!(line > 0)) {
+    return { filename: null, line_number: null };
+  }
+
+  const files = await snippetFileService.findAllForSnippet(snippetId);
+  const file = files.find((candidate) => candidate.filename === filename);
+  return { filename: file ? file.filename : null, line_number: line };
+};
+
+/**
+ * Checks whether a user may edit or delete a comment.
+ * Authors can change their own comments, admins can moderate all comments.
+ */
+const canModify = (user, comment) => !!user.is_admin || comment.user_id === user.id;
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  create,
+  update,
+  remove,
+  findById,
+  findAllForSnippet,
+  findRecent,
+  validateBody,
+  resolveAnchor,
+  canModify,
+};
@@ -0,0 +1,131 @@
+/**
+ * Service for embedding snippets in other sites: the options of an embed,
+ * line ranges, and the iframe and script markup shown on snippet pages and
+ * returned by the oEmbed endpoint.
+ */
+
+/**
+ * The embed themes, with the Prism stylesheet each uses.
+ */
+const EMBED_THEMES = {
+  light: "/vendor/prism/prism.min.css",
+  dark: "/vendor/prism/prism-okaidia.min.css",
+};
+
+/**
+ * The query parameters an embed URL is configured with.
+ */
+const EMBED_PARAMS = ["token", "file", "lines", "theme"];
+
+// Heights in pixels of the parts of an embed, to size an iframe before it loads.
+const LINE_HEIGHT = 21;
+const FILE_HEIGHT = 72;
+const FRAME_HEIGHT = 36;
+const DEFAULT_MAX_HEIGHT = 600;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ */
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Parses a line range such as "5", "5-10" or "5-" (to the end) into
+ * `{ start, end }`, where `end` is null for "to the end". Resolves to null
+ * for a missing or invalid range, so the whole file is shown.
+ */
+const parseLineRange = (value) => {
+  const match = /^(\d+)(?:(-)(\d*))?$/.exec(String(value || "").trim());
+  if (!match) {
+    return null;
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[3] ? parseInt(match[3], 10) : match[2] ? null : start;
+  if (start < 1 || (end !== null && end < start)) {
+    return null;
+  }
+  return { start, end };
+};
+
+/**
+ * Reads the options of an embed from its query parameters: the share
+ * `token`, the `file` to show (by name), the `lines` range and the `theme`,
+ * which is "light" unless "dark" is asked for.
+ */
+const parseEmbedOptions = (params) => ({
+  token: params.token ? String(params.token) : null,
+  file: params.file ? String(params.file) : null,
+  lines: parseLineRange(params.lines),
+  theme: Object.hasOwn(EMBED_THEMES, params.theme) ? params.theme : "light",
+});
+
+/**
+ * Builds the query string of an embed URL from the embed's query parameters,
+ * leaving out any others. Includes the leading "?" when there are any.
+ */
+const toEmbedQuery = (params) => {
+  const search = new URLSearchParams();
+  EMBED_PARAMS.forEach((name) => {
+    if (params[name]) {
+      search.set(name, String(params[name]));
+    }
+  });
+  const query = search.toString();
+  return query ? `?${query}` : "";
+};
+
+/**
+ * Cuts a file's lines down to a line range. Resolves with the remaining lines
+ * and the number of the first one, for the line numbers of the embed.
+ */
+const selectLines = (lines, range) => {
+  if (!range) {
+    return { lines, firstLine: 1 };
+  }
+
+  const start = Math.min(range.start, lines.length);
+  const end = range.end === null ? lines.length : Math.min(range.end, lines.length);
+  return { lines: lines.slice(start - 1, end), firstLine: start };
+};
+
+/**
+ * Estimates the height of an embed showing files with the given numbers of
+ * lines, capped at `maxHeight`. Taller embeds scroll.
+ */
+const estimateHeight = (lineCounts, maxHeight = DEFAULT_MAX_HEIGHT) => {
+  const height = lineCounts.reduce(
+    (total, lineCount) => total + FILE_HEIGHT + lineCount * LINE_HEIGHT,
+    FRAME_HEIGHT
+  );
+  return Math.min(height, maxHeight);
+};
+
+/**
+ * Builds the iframe markup that embeds a snippet. `width` defaults to the
+ * full width of the page the iframe is pasted into.
+ */
+const buildIframeHtml = ({ url, title, height, width = "100%" }) =>
+  `<iframe src="${escapeHtml(url)}" title="${escapeHtml(title)}" width="${escapeHtml(
+    width
+  )}" height="${height}" style="border: 0" loading="lazy"></iframe>`;
+
+/**
+ * Builds the script tag that embeds a snippet, for pages that allow scripts
+ * but not iframes in their editor.
+ */
+const buildScriptHtml = (url) => `<script src="${escapeHtml(url)}"></script>`;
+
+module.exports = {
+  EMBED_THEMES,
+  parseEmbedOptions,
+  toEmbedQuery,
+  selectLines,
+  estimateHeight,
+  buildIframeHtml,
+  buildScriptHtml,
+};
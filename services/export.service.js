@@ -0,0 +1,187 @@
+/**
+ * Service for exporting snippets as a JSON archive or a ZIP of Markdown files.
+ */
+
+const query = require("../lib/query-handler");
+const { createZip } = require("../utils/zip");
+
+// Identifies archives produced by this service, checked again on import.
+const ARCHIVE_FORMAT = "snippet-dashboard-export";
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Restricts the exported snippets to the user's own, unless the user is an admin.
+ */
+const scopeFor = (user) =>
+  user.is_admin
+    ? { where: "1", params: [] }
+    : { where: "s.user_id = ?", params: [user.id] };
+
+/**
+ * Groups rows into a Map of arrays keyed by their `snippet_id`.
+ */
+const groupBySnippet = (rows, mapRow) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.snippet_id)) {
+      groups.set(row.snippet_id, []);
+    }
+    groups.get(row.snippet_id).push(mapRow(row));
+  });
+  return groups;
+};
+
+/**
+ * Retrieves the snippets visible to a user for export, with their tags and
+ * files. Categories, languages and authors are referred to by slug/username.
+ */
+const findSnippetsForExport = async (user) => {
+  const { where, params } = scopeFor(user);
+
+  const snippets = await query.all(
+    `SELECT s.id, s.title, s.slug, s.short_id, s.description, s.code,
+            s.reference_url, s.is_private, s.created_at,
+            c.slug as category, l.slug as language, u.username as author
+     FROM snippets s
+     LEFT JOIN categories c ON s.category_id = c.id
+     LEFT JOIN languages l ON s.language_id = l.id
+     LEFT JOIN users u ON s.user_id = u.id
+     WHERE ${where}
+     ORDER BY s.created_at, s.id`,
+    params
+  );
+  const tags = await query.all(
+    `SELECT st.snippet_id, t.name
+     FROM snippet_tags st
+     JOIN tags t ON t.id = st.tag_id
+     JOIN snippets s ON s.id = st.snippet_id
+     WHERE ${where}
+     ORDER BY t.name`,
+    params
+  );
+  const files = await query.all(
+    `SELECT f.snippet_id, f.filename, l.slug as language, f.content
+     FROM snippet_files f
+     LEFT JOIN languages l ON f.language_id = l.id
+     JOIN snippets s ON s.id = f.snippet_id
+     WHERE ${where}
+     ORDER BY f.snippet_id, f.position, f.id`,
+    params
+  );
+
+  const tagsBySnippet = groupBySnippet(tags, (row) => row.name);
+  const filesBySnippet = groupBySnippet(files, ({ filename, language, content }) => ({
+    filename,
+    language,
+    content,
+  }));
+
+  return snippets.map(({ id, ...snippet }) => ({
+    ...snippet,
+    is_private: !!snippet.is_private,
+    tags: tagsBySnippet.get(id) || [],
+    files: filesBySnippet.get(id) || [],
+  }));
+};
+
+/**
+ * Builds a JSON archive of a user's snippets (every snippet for admins),
+ * including the categories, languages, tags and authors they refer to.
+ * Admin archives list all categories and languages, used or not.
+ */
+const buildArchive = async (user) => {
+  const snippets = await findSnippetsForExport(user);
+
+  const used = (key) => new Set(snippets.map((snippet) => snippet[key]).filter(Boolean));
+  const usedCategories = used("category");
+  const usedLanguages = new Set([
+    ...used("language"),
+    ...snippets.flatMap((snippet) => snippet.files.map((file) => file.language)),
+  ]);
+
+  const [categories, languages] = await Promise.all([
+    query.all("SELECT name, slug FROM categories ORDER BY name"),
+    query.all("SELECT name, slug FROM languages ORDER BY name"),
+  ]);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    categories: categories.filter((c) => user.is_admin || usedCategories.has(c.slug)),
+    languages: languages.filter((l) => user.is_admin || usedLanguages.has(l.slug)),
+    tags: [...new Set(snippets.flatMap((snippet) => snippet.tags))].sort(),
+    authors: [...used("author")].sort().map((username) => ({ username })),
+    snippets,
+  };
+};
+
+/**
+ * Wraps code in a Markdown fence longer than any backtick run inside it.
+ */
+const toCodeFence = (content, language) => {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longestRun + 1);
+  return `${fence}${language || ""}\n${content.replace(/\n$/, "")}\n${fence}`;
+};
+
+/**
+ * Renders a snippet as a Markdown document with YAML front matter.
+ */
+const toMarkdown = (snippet) => {
+  const frontMatter = {
+    title: snippet.title,
+    slug: snippet.slug,
+    category: snippet.category,
+    language: snippet.language,
+    tags: snippet.tags,
+    author: snippet.author,
+    private: snippet.is_private,
+    reference_url: snippet.reference_url,
+    created_at: snippet.created_at,
+  };
+  const lines = ["---"];
+  Object.entries(frontMatter).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      // JSON values are valid YAML, which keeps quoting and escaping simple.
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+    }
+  });
+  lines.push("---", "", `# ${snippet.title}`, "");
+
+  if (snippet.description) {
+    lines.push(snippet.description, "");
+  }
+
+  const files = snippet.files.length > 0
+    ? snippet.files
+    : [{ filename: null, language: snippet.language, content: snippet.code }];
+  files.forEach((file) => {
+    if (file.filename) {
+      lines.push(`## ${file.filename}`, "");
+    }
+    lines.push(toCodeFence(file.content, file.language), "");
+  });
+
+  return lines.join("\n");
+};
+
+/**
+ * Builds a ZIP archive holding one Markdown file per snippet, named after its slug.
+ */
+const buildMarkdownZip = async (user) => {
+  const snippets = await findSnippetsForExport(user);
+  return createZip(
+    snippets.map((snippet) => ({
+      name: `${snippet.slug}.md`,
+      content: toMarkdown(snippet),
+    }))
+  );
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  buildArchive,
+  buildMarkdownZip,
+};
@@ -0,0 +1,157 @@
+/**
+ * Service for building RSS 2.0, Atom and JSON Feed documents.
+ */
+
+/**
+ * The supported feed formats, with the content type each is served with.
+ */
+const FEED_FORMATS = {
+  rss: { label: "RSS 2.0", contentType: "application/rss+xml; charset=utf-8" },
+  atom: { label: "Atom", contentType: "application/atom+xml; charset=utf-8" },
+  json: { label: "JSON Feed", contentType: "application/feed+json; charset=utf-8" },
+};
+
+// Characters XML 1.0 does not allow anywhere in a document, even escaped.
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escapes text for use in XML content and attribute values, dropping the
+ * characters XML does not allow so one snippet cannot break the whole feed.
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Parses a UTC "YYYY-MM-DD HH:MM:SS" timestamp as stored by SQLite.
+ */
+const parseTimestamp = (timestamp) => new Date(`${String(timestamp).replace(" ", "T")}Z`);
+
+/**
+ * Finds the date a feed was last updated: that of its most recently updated
+ * item, or the epoch for an empty feed so that its output stays stable.
+ */
+const getUpdatedDate = (items) =>
+  items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+/**
+ * Builds an RSS 2.0 document.
+ */
+const buildRss = (feed, updated) => {
+  const items = feed.items
+    .map(
+      (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author || "")}</dc:creator>
+${item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>\n`).join("")}      <description>${escapeXml(item.contentHtml)}</description>
+    </item>
+`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.pageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+${items}  </channel>
+</rss>
+`;
+};
+
+/**
+ * Builds an Atom document.
+ */
+const buildAtom = (feed, updated) => {
+  const entries = feed.items
+    .map(
+      (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author || "Unknown")}</name></author>
+${item.tags.map((tag) => `    <category term="${escapeXml(tag)}" />\n`).join("")}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>
+`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.pageUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${updated.toISOString()}</updated>
+${entries}</feed>
+`;
+};
+
+/**
+ * Builds a JSON Feed 1.1 document.
+ */
+const buildJson = (feed) =>
+  JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      home_page_url: feed.pageUrl,
+      feed_url: feed.feedUrl,
+      description: feed.description,
+      items: feed.items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        authors: item.author ? [{ name: item.author }] : [],
+        tags: item.tags,
+      })),
+    },
+    null,
+    2
+  );
+
+const BUILDERS = { rss: buildRss, atom: buildAtom, json: buildJson };
+
+/**
+ * Builds a feed in one of the FEED_FORMATS. `feed` holds the `title`,
+ * `description`, `pageUrl` and `feedUrl` of the feed, and its `items`, each
+ * with an absolute `url`, `title`, plain-text `summary`, `contentHtml`,
+ * `author`, `tags` and the `published`/`updated` timestamps as stored.
+ * Returns the document and the date the feed was last updated.
+ */
+const buildFeed = (format, feed) => {
+  const items = feed.items.map((item) => ({
+    ...item,
+    published: parseTimestamp(item.published),
+    updated: parseTimestamp(item.updated || item.published),
+  }));
+  const updated = getUpdatedDate(items);
+  return {
+    content: BUILDERS[format]({ ...feed, items }, updated),
+    updated,
+  };
+};
+
+module.exports = {
+  FEED_FORMATS,
+  buildFeed,
+};
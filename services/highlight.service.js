@@ -0,0 +1,143 @@
+/**
+ * Service for server-side syntax highlighting with Prism.
+ */
+
+const crypto = require("crypto");
+const Prism = require("prismjs");
+const loadLanguages = require("prismjs/components/");
+const prismComponents = require("prismjs/components.json");
+const revisionService = require("./revision.service");
+
+/**
+ * Language slugs whose Prism grammar goes by another name.
+ */
+const PRISM_LANGUAGE_ALIASES = {
+  html: "markup",
+  xml: "markup",
+  plaintext: "none",
+};
+
+// How many snippets keep their highlighted files in memory.
+const CACHE_SIZE = parseInt(process.env.HIGHLIGHT_CACHE_SIZE, 10) || 500;
+
+// Highlighted files by snippet ID, in least recently used order.
+const cache = new Map();
+
+/**
+ * Escapes text for use as HTML, for code that is not highlighted.
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Checks whether a name is a Prism language component, rather than one of the
+ * other keys of its component list, such as "meta".
+ */
+const isLanguageComponent = (language) =>
+  language !== "meta" &&
+  Object.hasOwn(prismComponents.languages, language) &&
+  Boolean(prismComponents.languages[language].title);
+
+/**
+ * Maps a language slug to the name of a Prism grammar, loading the grammar
+ * on first use. Returns null for languages Prism does not know or cannot
+ * load, so their code is shown as plain text.
+ */
+const toPrismLanguage = (languageSlug) => {
+  const slug = String(languageSlug || "").toLowerCase();
+  const language = PRISM_LANGUAGE_ALIASES[slug] || slug;
+
+  if (!Object.hasOwn(Prism.languages, language) && isLanguageComponent(language)) {
+    try {
+      loadLanguages([language]);
+    } catch (err) {
+      console.error(`Could not load the Prism grammar for "${language}":`, err);
+    }
+  }
+  return Object.hasOwn(Prism.languages, language) && typeof Prism.languages[language] === "object"
+    ? language
+    : null;
+};
+
+/**
+ * Highlights code as HTML for the given language slug. Code in languages
+ * Prism does not know is only escaped.
+ */
+const highlight = (code, languageSlug) => {
+  const language = toPrismLanguage(languageSlug);
+  return language
+    ? Prism.highlight(String(code), Prism.languages[language], language)
+    : escapeHtml(code);
+};
+
+/**
+ * Adds the highlighted HTML of each file as `highlighted`, along with the
+ * `highlight_language` class suffix. Results are cached per snippet revision;
+ * a fingerprint of the files also catches changes that add no revision, such
+ * as a language whose slug was edited.
+ */
+const highlightSnippetFiles = async (snippetId, files) => {
+  const revisionNumber = await revisionService.findLatestNumber(snippetId);
+  const fingerprint = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(files.map((file) => [file.language_slug, file.content])))
+    .digest("hex");
+
+  const cached = cache.get(snippetId);
+  let highlighted;
+  if (cached && cached.revisionNumber === revisionNumber && cached.fingerprint === fingerprint) {
+    highlighted = cached.highlighted;
+    cache.delete(snippetId);
+  } else {
+    highlighted = files.map((file) => highlight(file.content, file.language_slug));
+  }
+
+  cache.set(snippetId, { revisionNumber, fingerprint, highlighted });
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return files.map((file, index) => ({
+    ...file,
+    highlighted: highlighted[index],
+    highlight_language: toPrismLanguage(file.language_slug) || "none",
+  }));
+};
+
+/**
+ * Splits highlighted HTML into lines. Tokens that span several lines, such as
+ * block comments, are closed at the end of each line and opened again on the
+ * next, so every line can be shown on its own. A final newline does not
+ * start another line.
+ */
+const splitHighlightedLines = (html) => {
+  const lines = [];
+  const openTags = [];
+  let line = "";
+
+  String(html).replace(/<span[^>]*>|<\/span>|\n|[^<\n]+/g, (part) => {
+    if (part === "\n") {
+      lines.push(line + "</span>".repeat(openTags.length));
+      line = openTags.join("");
+    } else {
+      if (part === "</span>") {
+        openTags.pop();
+      } else if (part.startsWith("<span")) {
+        openTags.push(part);
+      }
+      line += part;
+    }
+    return part;
+  });
+
+  if (!String(html).endsWith("\n")) {
+    lines.push(line);
+  }
+  return lines;
+};
+
+module.exports = {
+  highlight,
+  highlightSnippetFiles,
+  splitHighlightedLines,
+};
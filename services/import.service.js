@@ -0,0 +1,494 @@
+/**
+ * Service for importing snippets from export archives, VS Code snippet files
+ * and GitHub Gist downloads.
+ */
+
+const path = require("path");
+const query = require("../lib/query-handler");
+const snippetService = require("./snippet.service");
+const categoryService = require("./category.service");
+const languageService = require("./language.service");
+const userService = require("./user.service");
+const slugify = require("../utils/slugify");
+const languageExtensionMap = require("../utils/language-map");
+const { findLanguageSlugByFilename } = require("../utils/file-language");
+const { parseJsonc } = require("../utils/jsonc");
+const { readZip } = require("../utils/zip");
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION } = require("./export.service");
+
+/**
+ * What to do with an imported snippet whose slug is already taken.
+ */
+const CONFLICT_STRATEGIES = ["skip", "rename"];
+
+/**
+ * Supported upload formats. "auto" detects the format from the content.
+ */
+const IMPORT_FORMATS = ["auto", "archive", "vscode", "gist"];
+
+/**
+ * Short IDs and creation timestamps of archived snippets are kept only if
+ * they look like the ones this application generates.
+ */
+const SHORT_ID_PATTERN = /^[A-Za-z0-9_-]{4,32}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/**
+ * VS Code language identifiers that differ from our language slugs.
+ */
+const VSCODE_LANGUAGE_ALIASES = {
+  shellscript: "bash",
+  javascriptreact: "javascript",
+  typescriptreact: "typescript",
+  jsonc: "json",
+  dockercompose: "yaml",
+};
+
+/**
+ * Parses and validates the text of a JSON export archive.
+ * Throws an error describing the problem when the archive cannot be imported.
+ */
+const parseArchive = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The archive is not valid JSON.");
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error("The file is not a Snippet Dashboard export archive.");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(
+      `Archive version ${archive.version} is newer than this instance supports.`
+    );
+  }
+  if (!Array.isArray(archive.snippets)) {
+    throw new Error("The archive does not contain a list of snippets.");
+  }
+  return archive;
+};
+
+/**
+ * Maps a VS Code language identifier to one of our language slugs, or null.
+ */
+const toLanguageSlug = (languageId) => {
+  const id = String(languageId || "").trim().toLowerCase();
+  if (VSCODE_LANGUAGE_ALIASES[id]) {
+    return VSCODE_LANGUAGE_ALIASES[id];
+  }
+  return Object.prototype.hasOwnProperty.call(languageExtensionMap, id) ? id : null;
+};
+
+/**
+ * Converts the snippets of a VS Code snippet file into importable snippets.
+ *
+ * Each entry's name becomes the title, its description the description and
+ * its prefixes the tags. The language comes from the entry's `scope`, or for
+ * language-specific files such as `python.json`, from the filename.
+ */
+const parseVsCodeSnippets = (text, filename = "") => {
+  let data;
+  try {
+    data = parseJsonc(text);
+  } catch (err) {
+    throw new Error(`The VS Code snippet file is not valid JSON: ${err.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The file is not a VS Code snippet file.");
+  }
+
+  const fileLanguage =
+    path.extname(filename).toLowerCase() === ".json"
+      ? toLanguageSlug(path.basename(filename, path.extname(filename)))
+      : null;
+
+  return Object.entries(data)
+    .filter(([, entry]) => entry && typeof entry === "object" && entry.body !== undefined)
+    .map(([name, entry]) => {
+      const prefixes = [].concat(entry.prefix || []).map(String);
+      const scopes = typeof entry.scope === "string" ? entry.scope.split(",") : [];
+      const language = scopes.map(toLanguageSlug).find(Boolean) || fileLanguage;
+      const description = Array.isArray(entry.description)
+        ? entry.description.join("\n")
+        : entry.description;
+
+      return {
+        title: name.trim() || description || prefixes[0] || "VS Code snippet",
+        description: description || "",
+        code: Array.isArray(entry.body) ? entry.body.join("\n") : String(entry.body),
+        language,
+        tags: prefixes,
+      };
+    });
+};
+
+/**
+ * Converts a date from a Gist into SQLite's "YYYY-MM-DD HH:MM:SS" format.
+ */
+const toSqliteDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().replace("T", " ").slice(0, 19);
+};
+
+/**
+ * Builds an importable snippet from the files of one gist.
+ */
+const gistToSnippet = ({ files, description, isPrivate, createdAt, url }) => {
+  const snippetFiles = files.map(({ filename, content, language }) => ({
+    filename,
+    content,
+    language: findLanguageSlugByFilename(filename) || toLanguageSlug(slugify(language || "")),
+  }));
+
+  return {
+    // Like on GitHub, a gist without a description is named after its first file.
+    title: description || (snippetFiles[0] && snippetFiles[0].filename) || "Gist",
+    description: description || "",
+    files: snippetFiles,
+    language: snippetFiles.length > 0 ? snippetFiles[0].language : null,
+    is_private: isPrivate,
+    created_at: createdAt,
+    reference_url: url || null,
+    tags: [],
+  };
+};
+
+/**
+ * Converts gists in the JSON format of the GitHub API (a single gist or a
+ * list) into importable snippets. Files without content are left out.
+ */
+const parseGistJson = (data) => {
+  const gists = Array.isArray(data) ? data : [data];
+
+  return gists
+    .filter((gist) => gist && typeof gist.files === "object")
+    .map((gist) =>
+      gistToSnippet({
+        files: Object.entries(gist.files)
+          .map(([name, file]) => ({ ...file, filename: (file && file.filename) || name }))
+          .filter((file) => typeof file.content === "string"),
+        description: gist.description,
+        isPrivate: gist.public === false,
+        createdAt: gist.created_at ? toSqliteDate(gist.created_at) : null,
+        url: gist.html_url,
+      })
+    );
+};
+
+/**
+ * Converts a ZIP downloaded from GitHub Gist into importable snippets. Each
+ * top-level folder (named `<gist id>-<revision>`) holds one gist; files at the
+ * root of the archive form a single gist. Binary files are left out.
+ */
+const parseGistZip = (buffer) => {
+  const gists = new Map();
+
+  readZip(buffer).forEach(({ name, content }) => {
+    const parts = name.split("/");
+    if (parts[0] === "__MACOSX" || parts[parts.length - 1] === ".DS_Store") {
+      return;
+    }
+    if (content.includes(0)) {
+      return;
+    }
+
+    const folder = parts.length > 1 ? parts[0] : "";
+    const filename = parts.slice(parts.length > 1 ? 1 : 0).join("-");
+    if (!gists.has(folder)) {
+      gists.set(folder, []);
+    }
+    gists.get(folder).push({ filename, content: content.toString("utf8") });
+  });
+
+  return [...gists.entries()].map(([folder, files]) => {
+    const gistId = folder.split("-")[0];
+    return gistToSnippet({
+      files,
+      isPrivate: false,
+      url: /^[0-9a-f]{20,32}$/.test(gistId) ? `https://gist.github.com/${gistId}` : null,
+    });
+  });
+};
+
+/**
+ * Parses an uploaded file into a list of importable snippets, in the shape of
+ * the snippets of an export archive. With the "auto" format, ZIP files are
+ * read as Gist downloads and JSON files are recognized by their structure.
+ * Throws an error describing the problem when the file cannot be read.
+ */
+const parseUpload = (buffer, filename = "", format = "auto") => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown import format "${format}".`);
+  }
+
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (isZip) {
+    if (format !== "auto" && format !== "gist") {
+      throw new Error("ZIP files can only be imported as Gist downloads.");
+    }
+    return { format: "gist", snippets: parseGistZip(buffer) };
+  }
+
+  const text = buffer.toString("utf8");
+  let detectedFormat = format;
+  if (format === "auto") {
+    let data;
+    try {
+      data = parseJsonc(text);
+    } catch (err) {
+      throw new Error("The file is neither JSON nor a ZIP archive.");
+    }
+    if (data && data.format === ARCHIVE_FORMAT) {
+      detectedFormat = "archive";
+    } else if (Array.isArray(data) || (data && typeof data.files === "object")) {
+      detectedFormat = "gist";
+    } else {
+      detectedFormat = "vscode";
+    }
+  }
+
+  if (detectedFormat === "archive") {
+    const archive = parseArchive(text);
+    return {
+      format: "archive",
+      snippets: archive.snippets,
+      categories: archive.categories,
+      languages: archive.languages,
+    };
+  }
+  if (detectedFormat === "vscode") {
+    return { format: "vscode", snippets: parseVsCodeSnippets(text, filename) };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The Gist file is not valid JSON.");
+  }
+  return { format: "gist", snippets: parseGistJson(data) };
+};
+
+/**
+ * Finds a snippet slug that is neither stored nor planned by the current
+ * import, by appending a counter to it.
+ */
+const findFreeSlug = async (slug, plannedSlugs) => {
+  for (let counter = 2; ; counter++) {
+    const candidate = `${slug}-${counter}`;
+    const taken =
+      plannedSlugs.has(candidate) ||
+      (await query.get("SELECT id FROM snippets WHERE slug = ?", [candidate]));
+    if (!taken) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Creates a function resolving category or language slugs from an import to
+ * IDs on this instance. When `createdNames` is given, missing entries are
+ * created under the name listed in the import (only recorded in a dry run)
+ * and their names are collected in it; otherwise they resolve to null.
+ */
+const createSlugResolver = (service, knownEntries, createdNames = null, dryRun = false) => {
+  const knownNames = new Map(
+    (Array.isArray(knownEntries) ? knownEntries : []).map((entry) => [entry.slug, entry.name])
+  );
+  // Pending lookups by slug, so files resolving the same slug at once share
+  // one lookup and a missing entry is only created once.
+  const resolved = new Map();
+
+  const resolve = async (slug) => {
+    let entry = await service.findBySlug(slug);
+    if (!entry && createdNames) {
+      const name = knownNames.get(slug) || slug;
+      entry = await service.findByName(name);
+      if (!entry) {
+        createdNames.push(name);
+        entry = dryRun ? null : { id: (await service.create(name)).lastID };
+      }
+    }
+    return entry ? entry.id : null;
+  };
+
+  return (slug) => {
+    if (!slug) {
+      return Promise.resolve(null);
+    }
+    if (!resolved.has(slug)) {
+      const pending = resolve(slug);
+      pending.catch(() => resolved.delete(slug));
+      resolved.set(slug, pending);
+    }
+    return resolved.get(slug);
+  };
+};
+
+/**
+ * Checks whether an imported snippet has any code, either directly or in its files.
+ */
+const hasCode = (item) =>
+  (typeof item.code === "string" && item.code.trim() !== "") ||
+  (Array.isArray(item.files) &&
+    item.files.some((file) => file && typeof file.content === "string" && file.content.trim()));
+
+/**
+ * Imports snippets, in the shape of the snippets of an export archive, on
+ * behalf of a user.
+ *
+ * Categories and languages are matched by slug. Admins create the ones that
+ * are missing and keep each snippet's author when a user with that username
+ * exists; other users get unmatched categories and languages left empty, and
+ * own every snippet they import. Snippets whose slug is already taken are
+ * skipped or imported under a numbered slug, depending on `onConflict`.
+ * With `dryRun`, nothing is written and the summary previews the import.
+ * `createCategories: false` leaves unmatched categories empty, even for admins.
+ *
+ * Resolves with a summary of what was created, renamed, skipped and failed.
+ */
+const importSnippets = async (items, user, options = {}) => {
+  const {
+    onConflict = "skip",
+    dryRun = false,
+    categories = [],
+    languages = [],
+    createCategories = true,
+  } = options;
+  const strategy = CONFLICT_STRATEGIES.includes(onConflict) ? onConflict : "skip";
+  const summary = {
+    dryRun,
+    total: items.length,
+    created: [],
+    renamed: [],
+    skipped: [],
+    failed: [],
+    categoriesCreated: [],
+    languagesCreated: [],
+  };
+
+  const canCreateTaxonomies = !!user.is_admin;
+  const resolveCategory = createSlugResolver(
+    categoryService,
+    categories,
+    canCreateTaxonomies && createCategories ? summary.categoriesCreated : null,
+    dryRun
+  );
+  const resolveLanguage = createSlugResolver(
+    languageService,
+    languages,
+    canCreateTaxonomies ? summary.languagesCreated : null,
+    dryRun
+  );
+
+  const authorIds = new Map();
+  const resolveOwner = async (username) => {
+    if (!user.is_admin || !username) {
+      return user.id;
+    }
+    if (!authorIds.has(username)) {
+      const author = await userService.findByUsername(username);
+      authorIds.set(username, author ? author.id : user.id);
+    }
+    return authorIds.get(username);
+  };
+
+  // Slugs and short IDs used by earlier snippets of this import, which a dry run does not store.
+  const plannedSlugs = new Set();
+  const plannedShortIds = new Set();
+
+  for (const item of items) {
+    if (!item || typeof item.title !== "string" || !item.title.trim() || !hasCode(item)) {
+      summary.failed.push({
+        title: (item && item.title) || "(untitled)",
+        error: "A snippet needs a title and code.",
+      });
+      continue;
+    }
+
+    let slug = slugify(item.slug || item.title) || "snippet";
+    const slugTaken =
+      plannedSlugs.has(slug) ||
+      (await query.get("SELECT id FROM snippets WHERE slug = ?", [slug]));
+    if (slugTaken) {
+      if (strategy === "skip") {
+        summary.skipped.push({ title: item.title, slug, reason: "Slug already exists." });
+        continue;
+      }
+      const freeSlug = await findFreeSlug(slug, plannedSlugs);
+      summary.renamed.push({ title: item.title, from: slug, to: freeSlug });
+      slug = freeSlug;
+    }
+    plannedSlugs.add(slug);
+
+    // Short IDs are kept so that shortlinks keep working, unless malformed or
+    // already in use here. Snippets without one get a new short ID.
+    const shortId =
+      typeof item.short_id === "string" &&
+      SHORT_ID_PATTERN.test(item.short_id) &&
+      !plannedShortIds.has(item.short_id) &&
+      !(await query.get("SELECT id FROM snippets WHERE short_id = ? OR slug = ?", [
+        item.short_id,
+        item.short_id,
+      ]))
+        ? item.short_id
+        : null;
+    if (shortId) {
+      plannedShortIds.add(shortId);
+    }
+
+    const files = Array.isArray(item.files) ? item.files.filter(Boolean) : undefined;
+    const entry = {
+      title: item.title,
+      slug,
+      language: item.language || (files && files[0] ? files[0].language : null) || null,
+      tags: Array.isArray(item.tags) ? item.tags : [],
+      files: files ? files.map((file) => file.filename).filter(Boolean) : [],
+    };
+
+    try {
+      const snippetData = {
+        title: item.title,
+        description: item.description || "",
+        code: item.code,
+        files: files
+          ? await Promise.all(
+              files.map(async (file) => ({
+                filename: file.filename,
+                language_id: await resolveLanguage(file.language),
+                content: file.content,
+              }))
+            )
+          : undefined,
+        tags: entry.tags,
+        category_id: await resolveCategory(item.category),
+        language_id: await resolveLanguage(item.language),
+        reference_url: item.reference_url || null,
+        is_private: item.is_private ? 1 : 0,
+        user_id: await resolveOwner(item.author),
+      };
+
+      if (!dryRun) {
+        await snippetService.create(snippetData, {
+          slug,
+          shortId,
+          createdAt: TIMESTAMP_PATTERN.test(item.created_at) ? item.created_at : null,
+        });
+      }
+      summary.created.push(entry);
+    } catch (err) {
+      summary.failed.push({ title: item.title, error: err.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CONFLICT_STRATEGIES,
+  IMPORT_FORMATS,
+  parseUpload,
+  importSnippets,
+};
@@ -0,0 +1,75 @@
+/**
+ * Service for detecting the language of snippet code, to suggest it on the
+ * snippet form and fill it in for API and CLI submissions that leave it out.
+ */
+
+const languageService = require("./language.service");
+const { detectLanguage } = require("../utils/language-detector");
+
+/**
+ * Detects the language of a file and finds it among this instance's languages.
+ * Resolves with `{ id, name, slug, confidence, source }`, where `source` is
+ * "extension", "shebang" or "content", or with null when no known language
+ * is detected.
+ */
+const detect = async ({ filename, content }) => {
+  const result = detectLanguage({ filename, content });
+  if (!result) {
+    return null;
+  }
+
+  const language = await languageService.findBySlug(result.slug);
+  if (!language) {
+    return null;
+  }
+  return {
+    id: language.id,
+    name: language.name,
+    slug: language.slug,
+    confidence: result.confidence,
+    source: result.source,
+  };
+};
+
+/**
+ * Fills in a language for the files of snippet data that have none, changing
+ * the data in place. Without a list of files, the snippet's `code` gets a
+ * `language_id` instead. Resolves with the detections made, each with the
+ * `filename` of its file (null for `code`).
+ */
+const fillMissingLanguages = async (snippetData) => {
+  const detections = [];
+  const files = Array.isArray(snippetData.files)
+    ? snippetData.files.filter(
+        (file) => file && typeof file.content === "string" && file.content.trim()
+      )
+    : [];
+
+  if (files.length === 0) {
+    if (!snippetData.language_id && snippetData.code) {
+      const detection = await detect({ content: snippetData.code });
+      if (detection) {
+        snippetData.language_id = detection.id;
+        detections.push({ filename: null, ...detection });
+      }
+    }
+    return detections;
+  }
+
+  for (const file of files) {
+    if (file.language_id) {
+      continue;
+    }
+    const detection = await detect({ filename: file.filename, content: file.content });
+    if (detection) {
+      file.language_id = detection.id;
+      detections.push({ filename: file.filename || null, ...detection });
+    }
+  }
+  return detections;
+};
+
+module.exports = {
+  detect,
+  fillMissingLanguages,
+};
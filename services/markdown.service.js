@@ -0,0 +1,115 @@
+/**
+ * Service for rendering user-written Markdown as safe HTML.
+ */
+
+const { Marked, Lexer } = require("marked");
+const highlightService = require("./highlight.service");
+
+/**
+ * URLs links and images may point to. Anything else, such as `javascript:`
+ * URLs, is dropped.
+ */
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|\/(?!\/)|#)/i;
+
+/**
+ * Block-level tokens whose text is followed by a space in excerpts.
+ */
+const BLOCK_TOKEN_TYPES = new Set(["paragraph", "heading", "list_item", "blockquote", "space", "hr"]);
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ */
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const isSafeUrl = (url) => SAFE_URL_PATTERN.test(String(url || "").trim());
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // Raw HTML is shown as text instead of being passed through.
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!isSafeUrl(href)) {
+        return text;
+      }
+      const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+      return `<a href="${escapeHtml(href)}"${titleAttribute} rel="nofollow noopener noreferrer">${text}</a>`;
+    },
+    image({ href, title, text }) {
+      if (!isSafeUrl(href)) {
+        return escapeHtml(text);
+      }
+      const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+      return `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttribute} loading="lazy" />`;
+    },
+    // Fenced code blocks are highlighted like snippet files.
+    code({ text, lang }) {
+      const language = String(lang || "").split(/\s/)[0].replace(/[^\w-]/g, "");
+      return `<pre class="language-${language || "none"}"><code>${highlightService.highlight(
+        text,
+        language
+      )}</code></pre>\n`;
+    },
+  },
+});
+
+/**
+ * Renders Markdown as HTML. Raw HTML in the source is escaped and unsafe
+ * link and image URLs are removed, so the result can be output as is.
+ */
+const render = (source) => markdown.parse(String(source || ""));
+
+/**
+ * Collects the readable text of Markdown tokens, leaving out code blocks,
+ * tables and raw HTML.
+ */
+const collectText = (tokens = []) =>
+  tokens
+    .map((token) => {
+      if (token.type === "code" || token.type === "table") {
+        return " ";
+      }
+      if (token.type === "html") {
+        return token.block ? " " : "";
+      }
+
+      let text;
+      if (token.type === "list") {
+        text = collectText(token.items);
+      } else if (token.tokens) {
+        text = collectText(token.tokens);
+      } else {
+        text = token.text || "";
+      }
+      return BLOCK_TOKEN_TYPES.has(token.type) ? `${text} ` : text;
+    })
+    .join("");
+
+/**
+ * Turns Markdown into a single line of plain text, cut at a word boundary
+ * after at most `maxLength` characters. The result is not HTML-escaped.
+ */
+const excerpt = (source, maxLength = 280) => {
+  const text = collectText(Lexer.lex(String(source || ""))).replace(/\s+/g, " ").trim();
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+};
+
+module.exports = {
+  render,
+  excerpt,
+};
@@ -0,0 +1,117 @@
+/**
+ * Service for snippet revision history database operations.
+ */
+
+const query = require("../lib/query-handler");
+
+/**
+ * Reduces a snippet's files to what a revision keeps of them, in order.
+ */
+const toRevisionFiles = (files) =>
+  files.map(({ filename, language_id, content }) => ({
+    filename,
+    language_id: language_id || null,
+    content,
+  }));
+
+/**
+ * Parses the files stored with a revision. Revisions recorded before files
+ * were kept have none, and resolve to null.
+ */
+const parseFiles = (revision) => {
+  if (!revision) {
+    return revision;
+  }
+  return { ...revision, files: revision.files ? JSON.parse(revision.files) : null };
+};
+
+/**
+ * Records a new revision for a snippet, numbered after the latest existing one.
+ * `files` holds all files of the snippet; `code` is the content of the first.
+ */
+const create = async (snippetId, userId, revisionData) => {
+  const { title, description, files, created_at } = revisionData;
+
+  const sql = `
+    INSERT INTO snippet_revisions
+      (snippet_id, revision_number, title, description, code, files, user_id, created_at)
+    VALUES (
+      ?,
+      (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM snippet_revisions WHERE snippet_id = ?),
+      ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP)
+    )
+  `;
+  return query.run(sql, [
+    snippetId,
+    snippetId,
+    title,
+    description,
+    files[0] ? files[0].content : "",
+    JSON.stringify(toRevisionFiles(files)),
+    userId || null,
+    created_at || null,
+  ]);
+};
+
+/**
+ * Counts the revisions stored for a snippet.
+ */
+const countForSnippet = async (snippetId) => {
+  const sql = "SELECT COUNT(*) as count FROM snippet_revisions WHERE snippet_id = ?";
+  const row = await query.get(sql, [snippetId]);
+  return row.count;
+};
+
+/**
+ * Retrieves the number of a snippet's latest revision, or 0 if it has none.
+ */
+const findLatestNumber = async (snippetId) => {
+  const sql =
+    "SELECT COALESCE(MAX(revision_number), 0) as number FROM snippet_revisions WHERE snippet_id = ?";
+  const row = await query.get(sql, [snippetId]);
+  return row.number;
+};
+
+/**
+ * Retrieves all revisions of a snippet with their authors, newest first.
+ */
+const findAllForSnippet = (snippetId) => {
+  const sql = `
+    SELECT r.id, r.snippet_id, r.revision_number, r.title, r.created_at,
+           u.username as author_name
+    FROM snippet_revisions r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.snippet_id = ?
+    ORDER BY r.revision_number DESC
+  `;
+  return query.all(sql, [snippetId]);
+};
+
+/**
+ * Finds a single revision of a snippet by its ID, including its full content
+ * and its files.
+ */
+const findForSnippet = async (snippetId, revisionId) => {
+  const sql = `
+    SELECT r.*, u.username as author_name
+    FROM snippet_revisions r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.snippet_id = ? AND r.id = ?
+  `;
+  return parseFiles(await query.get(sql, [snippetId, revisionId]));
+};
+
+/**
+ * Checks whether two lists of files differ in their names, languages or content.
+ */
+const filesChanged = (oldFiles, newFiles) =>
+  JSON.stringify(toRevisionFiles(oldFiles)) !== JSON.stringify(toRevisionFiles(newFiles));
+
+module.exports = {
+  create,
+  filesChanged,
+  countForSnippet,
+  findLatestNumber,
+  findAllForSnippet,
+  findForSnippet,
+};
@@ -0,0 +1,108 @@
+/**
+ * Service for share links: unguessable, revocable links to a single snippet,
+ * optionally protected by a password.
+ */
+
+const crypto = require("crypto");
+const query = require("../lib/query-handler");
+const authService = require("./auth.service");
+
+/**
+ * Generates a share link token: 24 random bytes, URL-safe.
+ */
+const generateToken = () => crypto.randomBytes(24).toString("base64url");
+
+/**
+ * Creates a share link for a snippet, with an optional label and password.
+ * Resolves with the new link's ID and token.
+ */
+const create = async (snippetId, userId, { label, password }) => {
+  const token = generateToken();
+  const passwordHash = password ? await authService.hashPassword(password) : null;
+  const result = await query.run(
+    `INSERT INTO snippet_share_links (snippet_id, created_by, token, label, password_hash)
+     VALUES (?, ?, ?, ?, ?)`,
+    [snippetId, userId, token, label || null, passwordHash]
+  );
+  return { id: result.lastID, token };
+};
+
+/**
+ * Lists the share links of a snippet, newest first. Password hashes are
+ * replaced by a `has_password` flag.
+ */
+const findAllForSnippet = (snippetId) => {
+  const sql = `
+    SELECT l.id, l.token, l.label, l.use_count, l.last_used_at, l.created_at,
+           l.password_hash IS NOT NULL as has_password,
+           u.username as created_by_name
+    FROM snippet_share_links l
+    LEFT JOIN users u ON l.created_by = u.id
+    WHERE l.snippet_id = ?
+    ORDER BY l.created_at DESC, l.id DESC
+  `;
+  return query.all(sql, [snippetId]);
+};
+
+/**
+ * Finds a share link by its token.
+ */
+const findByToken = (token) => {
+  const sql = "SELECT * FROM snippet_share_links WHERE token = ?";
+  return query.get(sql, [String(token)]);
+};
+
+/**
+ * Finds a share link of the given snippet by its ID.
+ */
+const findForSnippet = (snippetId, id) => {
+  const sql = "SELECT * FROM snippet_share_links WHERE snippet_id = ? AND id = ?";
+  return query.get(sql, [snippetId, id]);
+};
+
+/**
+ * Checks a password against a share link. Links without a password accept any.
+ */
+const checkPassword = async (link, password) =>
+  !link.password_hash || authService.comparePassword(String(password || ""), link.password_hash);
+
+/**
+ * Records that a share link was used to open its snippet.
+ */
+const markUsed = (id) => {
+  const sql = `
+    UPDATE snippet_share_links
+    SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `;
+  return query.run(sql, [id]);
+};
+
+/**
+ * Gives a share link a new token, so the old URL stops working. The label,
+ * password and usage stay. Resolves with the new token.
+ */
+const reissue = async (id) => {
+  const token = generateToken();
+  await query.run("UPDATE snippet_share_links SET token = ? WHERE id = ?", [token, id]);
+  return token;
+};
+
+/**
+ * Revokes a share link by deleting it.
+ */
+const remove = (id) => {
+  const sql = "DELETE FROM snippet_share_links WHERE id = ?";
+  return query.run(sql, [id]);
+};
+
+module.exports = {
+  create,
+  findAllForSnippet,
+  findByToken,
+  findForSnippet,
+  checkPassword,
+  markUsed,
+  reissue,
+  remove,
+};
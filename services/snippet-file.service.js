@@ -0,0 +1,150 @@
+/**
+ * Service for the files of multi-file snippets.
+ */
+
+const crypto = require("crypto");
+const query = require("../lib/query-handler");
+const languageExtensionMap = require("../utils/language-map");
+
+/**
+ * Turns submitted files into a list. Form bodies with many files may arrive as
+ * an object keyed by index instead of an array.
+ */
+const toFileList = (input) => {
+  if (!input) {
+    return [];
+  }
+  if (Array.isArray(input)) {
+    return input;
+  }
+  return Object.keys(input)
+    .sort((a, b) => a - b)
+    .map((key) => input[key]);
+};
+
+/**
+ * Cleans up a filename so it can be used safely as a ZIP entry or download name.
+ */
+const sanitizeFilename = (filename) => {
+  const name = String(filename || "")
+    .replace(/[\\/]+/g, "-")
+    .replace(/[\x00-\x1f"]/g, "")
+    .trim();
+  return name === "." || name === ".." ? "" : name;
+};
+
+/**
+ * Makes a filename unique within a snippet by adding a counter before its extension.
+ */
+const uniqueFilename = (filename, takenNames) => {
+  const dot = filename.lastIndexOf(".");
+  const base = dot > 0 ? filename.slice(0, dot) : filename;
+  const extension = dot > 0 ? filename.slice(dot) : "";
+
+  let candidate = filename;
+  for (let counter = 2; takenNames.has(candidate.toLowerCase()); counter++) {
+    candidate = `${base}-${counter}${extension}`;
+  }
+  takenNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Validates and normalizes submitted files (`{ filename, language_id, content }`).
+ * Files without content are dropped, missing filenames are generated from the
+ * snippet's slug and the file's language, and duplicate filenames are numbered.
+ */
+const prepare = async (input, slug) => {
+  const files = toFileList(input).filter(
+    (file) => file && typeof file.content === "string" && file.content.trim() !== ""
+  );
+  if (files.length === 0) {
+    return [];
+  }
+
+  const languages = await query.all("SELECT id, slug FROM languages");
+  const languageSlugs = new Map(languages.map((language) => [language.id, language.slug]));
+  const takenNames = new Set();
+
+  return files.map((file, index) => {
+    const languageId = parseInt(file.language_id, 10) || null;
+    let filename = sanitizeFilename(file.filename);
+
+    if (!filename) {
+      const extension = languageExtensionMap[languageSlugs.get(languageId)] || ".txt";
+      filename = index === 0 ? `${slug}${extension}` : `${slug}-${index + 1}${extension}`;
+    }
+
+    return {
+      filename: uniqueFilename(filename, takenNames),
+      language_id: languageSlugs.has(languageId) ? languageId : null,
+      content: file.content,
+    };
+  });
+};
+
+/**
+ * Retrieves the files of a snippet in display order, with their language details.
+ */
+const findAllForSnippet = (snippetId) => {
+  const sql = `
+    SELECT f.id, f.position, f.filename, f.language_id, f.content,
+           l.name as language_name, l.slug as language_slug
+    FROM snippet_files f
+    LEFT JOIN languages l ON f.language_id = l.id
+    WHERE f.snippet_id = ?
+    ORDER BY f.position, f.id
+  `;
+  return query.all(sql, [snippetId]);
+};
+
+/**
+ * Replaces all files of a snippet with the given, already prepared, files.
+ */
+const replaceForSnippet = async (snippetId, files) => {
+  await query.run("DELETE FROM snippet_files WHERE snippet_id = ?", [snippetId]);
+
+  for (const [position, file] of files.entries()) {
+    await query.run(
+      "INSERT INTO snippet_files (snippet_id, position, filename, language_id, content) VALUES (?, ?, ?, ?, ?)",
+      [snippetId, position, file.filename, file.language_id, file.content]
+    );
+  }
+};
+
+/**
+ * Updates the content and language of a snippet's first file, leaving the
+ * other files untouched. Used when a snippet is saved without a list of files.
+ */
+const updatePrimary = (snippetId, content, languageId) => {
+  const sql = `
+    UPDATE snippet_files SET content = ?, language_id = ?
+    WHERE id = (
+      SELECT id FROM snippet_files WHERE snippet_id = ? ORDER BY position, id LIMIT 1
+    )
+  `;
+  return query.run(sql, [content, languageId || null, snippetId]);
+};
+
+/**
+ * Computes the SHA-256 hash of a file's content.
+ */
+const hashContent = (content) => crypto.createHash("sha256").update(String(content)).digest("hex");
+
+/**
+ * Collects the content hashes of all stored files, to recognize files that
+ * have already been imported.
+ */
+const findContentHashes = async () => {
+  const files = await query.all("SELECT content FROM snippet_files");
+  return new Set(files.map((file) => hashContent(file.content)));
+};
+
+module.exports = {
+  prepare,
+  findAllForSnippet,
+  replaceForSnippet,
+  updatePrimary,
+  hashContent,
+  findContentHashes,
+};
@@ -0,0 +1,231 @@
+/**
+ * Service for building editor snippet packs (VS Code, JetBrains, Sublime Text)
+ * from stored snippets.
+ */
+
+const query = require("../lib/query-handler");
+const { IS_PUBLICLY_LISTED } = require("../lib/snippet-filters");
+const slugify = require("../utils/slugify");
+const { createZip } = require("../utils/zip");
+
+/**
+ * Language slugs mapped to the language identifiers of VS Code, the live
+ * template contexts of JetBrains IDEs and the scopes of Sublime Text.
+ * Languages missing from an editor's column apply everywhere in that editor.
+ */
+const EDITOR_SCOPES = {
+  html: { vscode: "html", jetbrains: "HTML", sublime: "text.html" },
+  css: { vscode: "css", jetbrains: "CSS", sublime: "source.css" },
+  javascript: { vscode: "javascript,javascriptreact", jetbrains: "JAVA_SCRIPT", sublime: "source.js" },
+  typescript: { vscode: "typescript,typescriptreact", jetbrains: "TypeScript", sublime: "source.ts" },
+  php: { vscode: "php", jetbrains: "PHP", sublime: "embedding.php" },
+  python: { vscode: "python", jetbrains: "Python", sublime: "source.python" },
+  ruby: { vscode: "ruby", jetbrains: "RUBY", sublime: "source.ruby" },
+  bash: { vscode: "shellscript", jetbrains: "SHELL_SCRIPT", sublime: "source.shell" },
+  powershell: { vscode: "powershell", sublime: "source.powershell" },
+  perl: { vscode: "perl", sublime: "source.perl" },
+  c: { vscode: "c", jetbrains: "C", sublime: "source.c" },
+  cpp: { vscode: "cpp", jetbrains: "C", sublime: "source.c++" },
+  csharp: { vscode: "csharp", jetbrains: "CSHARP", sublime: "source.cs" },
+  go: { vscode: "go", jetbrains: "GO", sublime: "source.go" },
+  java: { vscode: "java", jetbrains: "JAVA_CODE", sublime: "source.java" },
+  kotlin: { vscode: "kotlin", jetbrains: "KOTLIN", sublime: "source.kotlin" },
+  rust: { vscode: "rust", jetbrains: "RUST_FILE", sublime: "source.rust" },
+  swift: { vscode: "swift", jetbrains: "SWIFT", sublime: "source.swift" },
+  json: { vscode: "json,jsonc", jetbrains: "JSON", sublime: "source.json" },
+  xml: { vscode: "xml", jetbrains: "XML", sublime: "text.xml" },
+  yaml: { vscode: "yaml", jetbrains: "YAML", sublime: "source.yaml" },
+  markdown: { vscode: "markdown", jetbrains: "MARKDOWN", sublime: "text.html.markdown" },
+  sql: { vscode: "sql", jetbrains: "SQL", sublime: "source.sql" },
+};
+
+/**
+ * Escapes the characters VS Code treats as snippet syntax.
+ */
+const escapeVsCodeSyntax = (text) => text.replace(/[\\$}]/g, "\\$&");
+
+/**
+ * Escapes the characters Sublime Text treats as snippet syntax outside of fields.
+ */
+const escapeSublimeSyntax = (text) => text.replace(/[\\$]/g, "\\$&");
+
+/**
+ * Escapes text for use in an XML attribute or element. Tabs and line breaks
+ * are encoded too, as XML parsers turn them into spaces in attribute values.
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\t/g, "&#9;")
+    .replace(/\r/g, "&#13;")
+    .replace(/\n/g, "&#10;");
+
+/**
+ * Builds a VS Code `.code-snippets` file, keyed by snippet title.
+ */
+const toVsCode = (snippets) => {
+  const pack = {};
+  snippets.forEach((snippet) => {
+    let key = snippet.title;
+    for (let counter = 2; pack[key]; counter++) {
+      key = `${snippet.title} (${counter})`;
+    }
+
+    const scope = (EDITOR_SCOPES[snippet.language_slug] || {}).vscode;
+    pack[key] = {
+      ...(scope && { scope }),
+      prefix: snippet.slug,
+      body: escapeVsCodeSyntax(snippet.code).split(/\r?\n/),
+      description: snippet.description || snippet.title,
+    };
+  });
+  return JSON.stringify(pack, null, 2);
+};
+
+/**
+ * Builds a JetBrains live template set. Dollar signs are doubled, as single
+ * ones mark template variables.
+ */
+const toJetBrains = (snippets, name) => {
+  const templates = snippets.map((snippet) => {
+    const context = (EDITOR_SCOPES[snippet.language_slug] || {}).jetbrains || "OTHER";
+    return [
+      `  <template name="${escapeXml(snippet.slug)}"`,
+      ` value="${escapeXml(snippet.code.replace(/\$/g, "$$$$"))}"`,
+      ` description="${escapeXml(snippet.title)}" toReformat="false" toShortenFQNames="true">\n`,
+      `    <context>\n      <option name="${context}" value="true" />\n    </context>\n`,
+      "  </template>",
+    ].join("");
+  });
+
+  return [
+    `<templateSet group="${escapeXml(name)}">`,
+    ...templates,
+    "</templateSet>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Builds a Sublime Text `.sublime-snippet` file for a single snippet.
+ */
+const toSublimeSnippet = (snippet) => {
+  const scope = (EDITOR_SCOPES[snippet.language_slug] || {}).sublime;
+  // "]]>" would end the CDATA section, so it is split across two sections.
+  const content = escapeSublimeSyntax(snippet.code).replace(/]]>/g, "]]]]><![CDATA[>");
+
+  return [
+    "<snippet>",
+    `  <content><![CDATA[\n${content}\n]]></content>`,
+    `  <tabTrigger>${escapeXml(snippet.slug)}</tabTrigger>`,
+    ...(scope ? [`  <scope>${scope}</scope>`] : []),
+    `  <description>${escapeXml(snippet.title)}</description>`,
+    "</snippet>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * The supported pack formats, with the file each one is downloaded as.
+ * `build` receives the snippets and the pack's name and returns the file content.
+ */
+const PACK_FORMATS = {
+  vscode: {
+    extension: ".code-snippets",
+    contentType: "application/json",
+    build: toVsCode,
+  },
+  jetbrains: {
+    extension: ".xml",
+    contentType: "application/xml",
+    build: toJetBrains,
+  },
+  sublime: {
+    extension: ".zip",
+    contentType: "application/zip",
+    build: (snippets, name) =>
+      createZip(
+        snippets.map((snippet) => ({
+          name: `${name}/${snippet.slug}.sublime-snippet`,
+          content: toSublimeSnippet(snippet),
+        }))
+      ),
+  },
+};
+
+/**
+ * Finds the snippets for a pack. `filters` may hold a `category` slug, a `tag`
+ * name and an author `username`. With `ownerId` only that user's snippets are
+ * included; otherwise only publicly listed snippets (see IS_PUBLICLY_LISTED).
+ */
+const findSnippetsForPack = (filters, ownerId = null) => {
+  const conditions = [];
+  const params = [];
+
+  if (ownerId) {
+    conditions.push("s.user_id = ?");
+    params.push(ownerId);
+  } else {
+    conditions.push(IS_PUBLICLY_LISTED);
+  }
+  if (filters.category) {
+    conditions.push("c.slug = ?");
+    params.push(filters.category);
+  }
+  if (filters.tag) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM snippet_tags st JOIN tags t ON t.id = st.tag_id
+      WHERE st.snippet_id = s.id AND t.name = ?
+    )`);
+    params.push(filters.tag);
+  }
+  if (filters.username) {
+    conditions.push("u.username = ?");
+    params.push(filters.username);
+  }
+
+  return query.all(
+    `SELECT s.title, s.slug, s.description, s.code, l.slug as language_slug
+     FROM snippets s
+     LEFT JOIN categories c ON s.category_id = c.id
+     LEFT JOIN languages l ON s.language_id = l.id
+     LEFT JOIN users u ON s.user_id = u.id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY s.title, s.id`,
+    params
+  );
+};
+
+/**
+ * Builds a snippet pack in one of PACK_FORMATS. See findSnippetsForPack for
+ * `filters` and `ownerId`. The pack is named after the filters, e.g.
+ * `python-snippets`. Resolves with `{ filename, contentType, content, count }`.
+ */
+const buildPack = async (format, filters = {}, ownerId = null) => {
+  const packFormat = PACK_FORMATS[format];
+  // Query strings may repeat a parameter; only single values are used as filters.
+  const cleanFilters = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => typeof value === "string" && value)
+  );
+  const snippets = await findSnippetsForPack(cleanFilters, ownerId);
+
+  const nameParts = [cleanFilters.username, cleanFilters.category, cleanFilters.tag]
+    .filter(Boolean)
+    .map((part) => slugify(part));
+  const name = [...nameParts, "snippets"].join("-");
+
+  return {
+    filename: `${name}${packFormat.extension}`,
+    contentType: packFormat.contentType,
+    content: packFormat.build(snippets, name),
+    count: snippets.length,
+  };
+};
+
+module.exports = {
+  PACK_FORMATS,
+  buildPack,
+};
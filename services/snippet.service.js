@@ -3,56 +3,197 @@
  */
 
 const query = require("../lib/query-handler");
+const { IS_EXPIRED, IS_PUBLICLY_LISTED } = require("../lib/snippet-filters");
+const revisionService = require("./revision.service");
+const tagService = require("./tag.service");
+const snippetFileService = require("./snippet-file.service");
+const teamService = require("./team.service");
 const slugify = require("../utils/slugify");
+const {
+  MATCH_START,
+  MATCH_END,
+  toMatchExpression,
+} = require("../utils/search-query");
 const ShortUniqueId = require("short-unique-id");
 
 // UID 8 characters for short_id.
 const uid = new ShortUniqueId({ length: 8 });
 
 /**
- * The base SQL query for fetching public snippet details.
+ * The visibility levels of a snippet: listed publicly, private (reachable
+ * only through its link) or only visible to the members of its team.
  */
-const BASE_SNIPPET_QUERY = `
-    SELECT
-      s.id, s.title, s.slug, s.short_id, s.description, s.tags, s.created_at, s.code, s.is_private,
+const VISIBILITIES = ["public", "private", "team"];
+
+/**
+ * A snippet's visibility level, computed from its privacy flags.
+ */
+const VISIBILITY_COLUMN = `CASE WHEN s.is_team_only = 1 THEN 'team' WHEN s.is_private = 1 THEN 'private' ELSE 'public' END`;
+
+/**
+ * A snippet's tag names as a comma-separated list, ordered by name.
+ */
+const TAGS_SUBQUERY = `(
+      SELECT GROUP_CONCAT(name, ', ') FROM (
+        SELECT t.name FROM snippet_tags st JOIN tags t ON t.id = st.tag_id
+        WHERE st.snippet_id = s.id ORDER BY t.name
+      )
+    )`;
+
+/**
+ * Matches snippets tagged with a given tag name (case-insensitive, exact).
+ */
+const HAS_TAG_CONDITION = `EXISTS (
+      SELECT 1 FROM snippet_tags st JOIN tags t ON t.id = st.tag_id
+      WHERE st.snippet_id = s.id AND t.name = ?
+    )`;
+
+/**
+ * The number of users who starred a snippet.
+ */
+const STAR_COUNT_SUBQUERY = `(SELECT COUNT(*) FROM snippet_stars ss WHERE ss.snippet_id = s.id)`;
+
+/**
+ * The number of comments on a snippet.
+ */
+const COMMENT_COUNT_SUBQUERY = `(SELECT COUNT(*) FROM snippet_comments sc WHERE sc.snippet_id = s.id)`;
+
+/**
+ * When a snippet's content last changed: its latest revision, or its creation.
+ */
+const UPDATED_AT_SUBQUERY = `COALESCE(
+      (SELECT MAX(r.created_at) FROM snippet_revisions r WHERE r.snippet_id = s.id),
+      s.created_at
+    )`;
+
+/**
+ * The columns selected for public snippet details.
+ */
+const SNIPPET_COLUMNS = `
+      s.id, s.title, s.slug, s.short_id, s.description, ${TAGS_SUBQUERY} as tags, s.created_at, s.code, s.is_private,
+      ${UPDATED_AT_SUBQUERY} as updated_at,
+      ${STAR_COUNT_SUBQUERY} as star_count, ${COMMENT_COUNT_SUBQUERY} as comment_count,
+      s.reference_url, s.category_id, s.language_id, s.user_id, s.forked_from_id,
+      s.team_id, s.is_team_only, ${VISIBILITY_COLUMN} as visibility,
+      s.expires_at, s.max_views, s.view_count, ${IS_EXPIRED} as is_expired,
+      team.name as team_name, team.slug as team_slug,
       c.name as category_name, c.slug as category_slug,
       l.name as language_name, l.slug as language_slug,
       u.username as author_name
-    FROM snippets s
+`;
+
+/**
+ * The joins needed by SNIPPET_COLUMNS, applied to the snippets table aliased as `s`.
+ */
+const SNIPPET_JOINS = `
     LEFT JOIN categories c ON s.category_id = c.id
     LEFT JOIN languages l ON s.language_id = l.id
     LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN teams team ON s.team_id = team.id
+`;
+
+/**
+ * The base SQL query for fetching public snippet details.
+ */
+const BASE_SNIPPET_QUERY = `
+    SELECT ${SNIPPET_COLUMNS}
+    FROM snippets s
+    ${SNIPPET_JOINS}
 `;
 
 /**
  * Finds a single snippet by its unique primary key ID.
  */
 const findById = (id) => {
-  const sql = "SELECT * FROM snippets WHERE id = ?";
+  const sql = `SELECT s.*, ${TAGS_SUBQUERY} as tags FROM snippets s WHERE s.id = ?`;
   return query.get(sql, [id]);
 };
 
+/**
+ * Restricts snippet updates and deletes to the snippets a user wrote, and to
+ * those of teams where the user is an owner or editor.
+ */
+const EDITABLE_BY_USER = `(user_id = ? OR team_id IN (
+      SELECT team_id FROM team_members WHERE user_id = ? AND role IN ('owner', 'editor')
+    ))`;
+
+/**
+ * Reads the visibility level from snippet data, which either names it as
+ * `visibility` or carries the `is_private`/`is_team_only` flags.
+ */
+const getVisibility = (snippetData) => {
+  if (VISIBILITIES.includes(snippetData.visibility)) {
+    return snippetData.visibility;
+  }
+  if (Number(snippetData.is_team_only)) {
+    return "team";
+  }
+  return Number(snippetData.is_private) ? "private" : "public";
+};
+
+/**
+ * Maps a visibility level to the `is_private` and `is_team_only` columns.
+ * Team-only snippets are private too, so public listings leave them out;
+ * snippets without a team cannot be team-only and become private instead.
+ */
+const toVisibilityColumns = (visibility, teamId) => ({
+  is_private: visibility === "public" ? 0 : 1,
+  is_team_only: visibility === "team" && teamId ? 1 : 0,
+});
+
+/**
+ * Converts an expiry date to the UTC "YYYY-MM-DD HH:MM:SS" format SQLite uses
+ * for CURRENT_TIMESTAMP. Dates already in that format are taken as UTC; other
+ * strings without a time zone, such as those of a datetime-local input, as
+ * server time. Resolves with null for empty or invalid dates.
+ */
+const toExpiryTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)
+    ? new Date(`${text.replace(" ", "T")}Z`)
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace("T", " ");
+};
+
+/**
+ * Reads the optional expiry settings from snippet data: an `expires_at` date
+ * and a positive `max_views` limit.
+ */
+const toExpiryColumns = (snippetData) => {
+  const maxViews = parseInt(snippetData.max_views, 10);
+  return {
+    expires_at: toExpiryTimestamp(snippetData.expires_at),
+    max_views: maxViews > 0 ? maxViews : null,
+  };
+};
+
 /**
  * Creates a new snippet entry in the database.
+ * A `team_id` is only kept if the author may edit that team's snippets.
+ *
+ * `origin` carries what only imports and forks may set, never user input: a
+ * `slug` and `shortId` to keep, the `createdAt` timestamp and the
+ * `forkedFromId` of the original snippet.
  */
-const create = async (snippetData) => {
-  const {
-    title,
-    description,
-    code,
-    tags,
-    category_id,
-    reference_url,
-    language_id,
-    user_id,
-    is_private = 0,
-  } = snippetData;
+const create = async (snippetData, origin = {}) => {
+  const { title, description, code, tags, category_id, reference_url, language_id, user_id } =
+    snippetData;
 
-  // Generate an SEO-friendly slug from the title.
-  let slug = slugify(title);
+  const teamId =
+    snippetData.team_id && (await teamService.canEditSnippets(snippetData.team_id, user_id))
+      ? Number(snippetData.team_id)
+      : null;
+  const { is_private, is_team_only } = toVisibilityColumns(getVisibility(snippetData), teamId);
+  const { expires_at, max_views } = toExpiryColumns(snippetData);
 
-  // Generate a unique short ID.
-  const shortId = uid.rnd();
+  // Generate an SEO-friendly slug from the title, unless one is given (e.g. by an import).
+  let slug = origin.slug || slugify(title);
+
+  // Generate a unique short ID, unless one is given.
+  const shortId = origin.shortId || uid.rnd();
 
   // Check if the generated slug already exists to ensure unique.
   const slugExists = await query.get("SELECT id FROM snippets WHERE slug = ?", [
@@ -64,30 +205,58 @@ const create = async (snippetData) => {
     slug = `${slug}-${Date.now()}`;
   }
 
+  // A snippet without a list of files gets a single file from its code.
+  let files = await snippetFileService.prepare(snippetData.files, slug);
+  if (files.length === 0) {
+    files = await snippetFileService.prepare([{ content: code, language_id }], slug);
+  }
+  const primaryFile = files[0] || { content: code, language_id };
+
   const sql = `
     INSERT INTO snippets
-      (title, description, code, tags, category_id, reference_url, language_id, slug, short_id, user_id, is_private)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (title, description, code, category_id, reference_url, language_id, slug, short_id, user_id, is_private, created_at, forked_from_id, team_id, is_team_only, expires_at, max_views)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?, ?)
   `;
 
+  // The first file doubles as the snippet's own code and language.
   const params = [
     title,
     description,
-    code,
-    tags,
+    primaryFile.content,
     category_id || null,
     reference_url,
-    language_id || null,
+    primaryFile.language_id || null,
     slug,
     shortId,
     user_id,
     is_private,
+    origin.createdAt || null,
+    origin.forkedFromId || null,
+    teamId,
+    is_team_only,
+    expires_at,
+    max_views,
   ];
-  return query.run(sql, params);
+  const result = await query.run(sql, params);
+  await snippetFileService.replaceForSnippet(result.lastID, files);
+  await tagService.setForSnippet(result.lastID, tags);
+
+  // Every snippet starts its history with the content it was created with.
+  await revisionService.create(result.lastID, user_id, {
+    title,
+    description,
+    files,
+    created_at: origin.createdAt,
+  });
+
+  return result;
 };
 
 /**
- * Updates an existing snippet in the database.
+ * Updates an existing snippet in the database. Admins can update all
+ * snippets, other users their own and those of teams they may edit for.
+ * Without a `team_id`, the snippet keeps its team; it only moves to
+ * another team the user may edit for.
  */
 const update = async (id, user, snippetData) => {
   const {
@@ -98,7 +267,6 @@ const update = async (id, user, snippetData) => {
     category_id,
     reference_url,
     language_id,
-    is_private = 0,
   } = snippetData;
 
   // First, retrieve the current snippet to compare its title and existing slug.
@@ -107,6 +275,17 @@ const update = async (id, user, snippetData) => {
     throw new Error("Snippet not found for update.");
   }
 
+  let teamId = currentSnippet.team_id;
+  if (snippetData.team_id !== undefined && Number(snippetData.team_id || 0) !== (teamId || 0)) {
+    if (!snippetData.team_id) {
+      teamId = null;
+    } else if (await teamService.canEditSnippets(snippetData.team_id, user.id)) {
+      teamId = Number(snippetData.team_id);
+    }
+  }
+  const { is_private, is_team_only } = toVisibilityColumns(getVisibility(snippetData), teamId);
+  const { expires_at, max_views } = toExpiryColumns(snippetData);
+
   let finalSlug = currentSnippet.slug; // Default to the existing slug
 
   // Only regenerate the slug if the title has actually changed.
@@ -124,45 +303,165 @@ const update = async (id, user, snippetData) => {
     finalSlug = newSlugCandidate;
   }
 
+  // Without a list of files, `code` and `language_id` update the first file only.
+  const files =
+    snippetData.files === undefined
+      ? []
+      : await snippetFileService.prepare(snippetData.files, finalSlug);
+  const primaryFile = files[0] || { content: code, language_id };
+
   let sql = `
     UPDATE snippets SET
-      title = ?, description = ?, code = ?, tags = ?, category_id = ?,
-      reference_url = ?, language_id = ?, slug = ?, is_private = ?
+      title = ?, description = ?, code = ?, category_id = ?,
+      reference_url = ?, language_id = ?, slug = ?, is_private = ?,
+      team_id = ?, is_team_only = ?, expires_at = ?, max_views = ?
     WHERE id = ?
   `;
   const params = [
     title,
     description,
-    code,
-    tags,
+    primaryFile.content,
     category_id || null,
     reference_url,
-    language_id || null,
+    primaryFile.language_id || null,
     finalSlug,
     is_private,
+    teamId,
+    is_team_only,
+    expires_at,
+    max_views,
     id,
   ];
 
   if (!user.is_admin) {
-    sql += ` AND user_id = ?`;
-    params.push(user.id);
+    sql += ` AND ${EDITABLE_BY_USER}`;
+    params.push(user.id, user.id);
+  }
+
+  const currentFiles = await snippetFileService.findAllForSnippet(id);
+  const result = await query.run(sql, params);
+  if (result.changes === 0) {
+    return result;
+  }
+
+  if (files.length > 0) {
+    await snippetFileService.replaceForSnippet(id, files);
+  } else {
+    const fileResult = await snippetFileService.updatePrimary(id, code, language_id);
+    if (fileResult.changes === 0) {
+      await snippetFileService.replaceForSnippet(
+        id,
+        await snippetFileService.prepare([{ content: code, language_id }], finalSlug)
+      );
+    }
+  }
+  await tagService.setForSnippet(id, tags);
+
+  // Snippets created before revision history existed get their previous state recorded first.
+  if ((await revisionService.countForSnippet(id)) === 0) {
+    await revisionService.create(id, currentSnippet.user_id, {
+      ...currentSnippet,
+      files: currentFiles,
+    });
   }
 
-  return query.run(sql, params);
+  const updatedFiles = await snippetFileService.findAllForSnippet(id);
+  const contentChanged =
+    title !== currentSnippet.title ||
+    (description || null) !== (currentSnippet.description || null) ||
+    revisionService.filesChanged(currentFiles, updatedFiles);
+
+  if (contentChanged) {
+    await revisionService.create(id, user.id, { title, description, files: updatedFiles });
+  }
+
+  return result;
 };
 
 /**
- * Deletes an existing snippet from the database.
+ * Creates a private copy of a snippet, including its files and tags, owned by
+ * the given user and linked to the original through `forked_from_id`.
  */
-const remove = (id, user) => {
+const fork = async (id, user) => {
+  const original = await findById(id);
+  if (!original) {
+    throw new Error("Snippet not found for fork.");
+  }
+  const files = await snippetFileService.findAllForSnippet(id);
+
+  const snippetData = {
+    title: original.title,
+    description: original.description,
+    code: original.code,
+    files: files.map(({ filename, language_id, content }) => ({ filename, language_id, content })),
+    tags: original.tags,
+    category_id: original.category_id,
+    reference_url: original.reference_url,
+    language_id: original.language_id,
+    user_id: user.id,
+    is_private: 1,
+  };
+  return create(snippetData, { slug: `${original.slug}-fork`, forkedFromId: original.id });
+};
+
+/**
+ * Restores a snippet's title, description and files from one of its
+ * revisions. Revisions without files only restore the first file's code.
+ * The restore goes through `update`, so it is recorded as a new revision.
+ */
+const restoreRevision = async (id, user, revisionId) => {
+  const revision = await revisionService.findForSnippet(id, revisionId);
+  if (!revision) {
+    throw new Error("Revision not found.");
+  }
+
+  const currentSnippet = await findById(id);
+  return update(id, user, {
+    ...currentSnippet,
+    title: revision.title,
+    description: revision.description,
+    code: revision.code,
+    ...(revision.files && { files: revision.files }),
+  });
+};
+
+/**
+ * Deletes an existing snippet from the database. Admins can delete all
+ * snippets, other users their own and those of teams they may edit for.
+ */
+const remove = async (id, user) => {
   let sql = "DELETE FROM snippets WHERE id = ?";
   const params = [id];
 
   if (!user.is_admin) {
-    sql += ` AND user_id = ?`;
-    params.push(user.id);
+    sql += ` AND ${EDITABLE_BY_USER}`;
+    params.push(user.id, user.id);
   }
-  return query.run(sql, params);
+  const result = await query.run(sql, params);
+  await tagService.removeUnused();
+  return result;
+};
+
+/**
+ * Moves a snippet to another author or team, as an administrator. A `teamId`
+ * of null takes the snippet out of its team; a team-only snippet then stays private.
+ */
+const move = (id, { userId, teamId }) => {
+  const assignments = [];
+  const params = [];
+  if (userId !== undefined) {
+    assignments.push("user_id = ?");
+    params.push(userId);
+  }
+  if (teamId !== undefined) {
+    assignments.push("team_id = ?");
+    params.push(teamId);
+    if (!teamId) {
+      assignments.push("is_team_only = 0");
+    }
+  }
+  const sql = `UPDATE snippets SET ${assignments.join(", ")} WHERE id = ?`;
+  return query.run(sql, [...params, id]);
 };
 
 /**
@@ -171,61 +470,111 @@ const remove = (id, user) => {
 const findAllForAdmin = () => {
   const sql = `
     SELECT s.id, s.title, s.slug, s.short_id, s.description, s.is_private,
+           ${VISIBILITY_COLUMN} as visibility,
            c.name as category_name,
-           u.username as author_name
+           u.username as author_name,
+           team.name as team_name,
+           1 as can_edit
     FROM snippets s
     LEFT JOIN categories c ON s.category_id = c.id
     LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN teams team ON s.team_id = team.id
     ORDER BY s.created_at DESC
   `;
   return query.all(sql);
 };
 
 /**
- * Retrieves all snippets belonging to a specific user
+ * Retrieves all snippets belonging to a specific user, along with the
+ * snippets of the user's teams. `can_edit` tells which of them the user may change.
  */
 const findAllForUser = (userId) => {
   const sql = `
     SELECT s.id, s.title, s.slug, s.short_id, s.description, s.is_private,
-           c.name as category_name
+           ${VISIBILITY_COLUMN} as visibility,
+           c.name as category_name,
+           u.username as author_name,
+           team.name as team_name,
+           (s.user_id = ? OR tm.role IN ('owner', 'editor')) as can_edit
     FROM snippets s
     LEFT JOIN categories c ON s.category_id = c.id
-    WHERE s.user_id = ?
+    LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN teams team ON s.team_id = team.id
+    LEFT JOIN team_members tm ON tm.team_id = s.team_id AND tm.user_id = ?
+    WHERE s.user_id = ? OR tm.user_id IS NOT NULL
     ORDER BY s.created_at DESC
   `;
-  return query.all(sql, [userId]);
+  return query.all(sql, [userId, userId, userId]);
+};
+
+/**
+ * Checks whether a user may edit or delete a snippet: admins may change all
+ * snippets, other users their own and those of teams where they are an
+ * owner or editor.
+ */
+const canModify = async (user, snippet) => {
+  if (!user) {
+    return false;
+  }
+  if (user.is_admin || snippet.user_id === user.id) {
+    return true;
+  }
+  return teamService.canEditSnippets(snippet.team_id, user.id);
+};
+
+/**
+ * Checks whether a user (null for visitors) may view a snippet by its slug or
+ * short ID. Private and team-only snippets are limited to their author, the
+ * members of their team and admins; others need a share link.
+ */
+const canView = async (user, snippet) => {
+  if (!snippet.is_private && !snippet.is_team_only) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  if (user.is_admin || snippet.user_id === user.id) {
+    return true;
+  }
+  return !!(await teamService.getRole(snippet.team_id, user.id));
 };
 
 /**
- * Filters public-facing queries to only show public snippets from approved users.
+ * Filters public-facing queries to only show publicly listed snippets: public,
+ * unexpired and without a view limit, from approved users.
  */
-const PUBLIC_FILTER = `s.is_private = 0 AND u.is_approved = 1 AND`;
+const PUBLIC_FILTER = `${IS_PUBLICLY_LISTED} AND`;
 
 /**
- * Counts the total number of PUBLIC snippets owned by a specific user.
+ * Counts the snippets owned by a specific user, private ones included, for
+ * listing them to that user. Expired snippets are left out.
  */
 const countForUser = async (userId) => {
-  const sql = `SELECT COUNT(*) as count FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${PUBLIC_FILTER} s.user_id = ?`;
+  const sql = `SELECT COUNT(*) as count FROM snippets s WHERE NOT ${IS_EXPIRED} AND s.user_id = ?`;
   const row = await query.get(sql, [userId]);
   return row.count;
 };
 
 /**
- * Retrieves a paginated list of PUBLIC snippets owned by a specific user.
+ * Retrieves a paginated list of the snippets owned by a specific user,
+ * private ones included, for listing them to that user. Expired snippets
+ * are left out.
  */
 const findPaginatedForUser = (userId, page, limit) => {
   const offset = (page - 1) * limit;
 
   const sql = `
     SELECT
-      s.id, s.title, s.slug, s.short_id, s.description, s.tags, s.created_at,
+      s.id, s.title, s.slug, s.short_id, s.description, ${TAGS_SUBQUERY} as tags, s.created_at,
+      s.is_private, s.is_team_only,
+      ${STAR_COUNT_SUBQUERY} as star_count, ${COMMENT_COUNT_SUBQUERY} as comment_count,
       c.name as category_name,
       l.name as language_name
     FROM snippets s
     LEFT JOIN categories c ON s.category_id = c.id
     LEFT JOIN languages l ON s.language_id = l.id
-    LEFT JOIN users u ON s.user_id = u.id -- Join users for PUBLIC_FILTER
-    WHERE ${PUBLIC_FILTER} s.user_id = ?
+    WHERE NOT ${IS_EXPIRED} AND s.user_id = ?
     ORDER BY s.created_at DESC
     LIMIT ? OFFSET ?
   `;
@@ -306,43 +655,172 @@ const findPaginatedByAuthor = (username, page, limit) => {
 };
 
 /**
- * Counts the number of PUBLIC snippets containing a specific tag.
+ * Counts the number of PUBLIC snippets tagged with a specific tag.
  */
 const countByTag = async (tag) => {
-  const searchTerm = `%${tag}%`;
-  const sql = `SELECT COUNT(s.id) as count FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${PUBLIC_FILTER} s.tags LIKE ?`;
-  const row = await query.get(sql, [searchTerm]);
+  const sql = `SELECT COUNT(s.id) as count FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${PUBLIC_FILTER} ${HAS_TAG_CONDITION}`;
+  const row = await query.get(sql, [tag]);
   return row.count;
 };
 
 /**
- * Retrieves a paginated list of PUBLIC snippets filtered by a specific tag.
+ * Retrieves a paginated list of PUBLIC snippets tagged with a specific tag.
  */
 const findPaginatedByTag = (tag, page, limit) => {
   const offset = (page - 1) * limit;
-  const searchTerm = `%${tag}%`;
-  const sql = `${BASE_SNIPPET_QUERY} WHERE ${PUBLIC_FILTER} s.tags LIKE ? ORDER BY s.created_at DESC LIMIT ? OFFSET ?`;
-  return query.all(sql, [searchTerm, limit, offset]);
+  const sql = `${BASE_SNIPPET_QUERY} WHERE ${PUBLIC_FILTER} ${HAS_TAG_CONDITION} ORDER BY s.created_at DESC LIMIT ? OFFSET ?`;
+  return query.all(sql, [tag, limit, offset]);
 };
 
 /**
- * Counts the number of PUBLIC snippets that match a given search query across title, description, or code.
+ * SQL conditions for each search filter, keyed by the filter name produced by
+ * `parseSearchQuery`. Each builder returns a condition and its parameters.
  */
-const countSearchResults = async (searchQuery) => {
-  const searchTerm = `%${searchQuery}%`;
-  const sql = `SELECT COUNT(s.id) as count FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${PUBLIC_FILTER} (s.title LIKE ? OR s.description LIKE ? OR s.code LIKE ?)`;
-  const row = await query.get(sql, [searchTerm, searchTerm, searchTerm]);
+const SEARCH_FILTER_CONDITIONS = {
+  language: (value) => ({
+    sql: "(l.slug = ? OR l.name = ? COLLATE NOCASE)",
+    params: [slugify(value), value],
+  }),
+  category: (value) => ({
+    sql: "(c.slug = ? OR c.name = ? COLLATE NOCASE)",
+    params: [slugify(value), value],
+  }),
+  author: (value) => ({
+    sql: "u.username = ? COLLATE NOCASE",
+    params: [value],
+  }),
+  tag: (value) => ({
+    sql: HAS_TAG_CONDITION,
+    params: [value],
+  }),
+};
+
+/**
+ * Translates a parsed search query into parameterized SQL conditions.
+ *
+ * Without a `viewer`, only publicly listed snippets are searched (see
+ * IS_PUBLICLY_LISTED). An authenticated viewer also searches all of their own
+ * snippets, and an admin viewer searches every snippet.
+ *
+ * Multiple `tag:` filters must all match; multiple values of any other filter
+ * match if any of them does.
+ */
+const buildSearchConditions = (parsed, viewer = null) => {
+  const conditions = [];
+  const params = [];
+
+  const addCondition = (sql, conditionParams = []) => {
+    conditions.push(sql);
+    params.push(...conditionParams);
+  };
+
+  if (!viewer) {
+    addCondition(IS_PUBLICLY_LISTED);
+  } else if (!viewer.is_admin) {
+    addCondition(`(${IS_PUBLICLY_LISTED} OR s.user_id = ?)`, [viewer.id]);
+  }
+
+  if (parsed.visibility) {
+    addCondition("s.is_private = ?", [parsed.visibility === "private" ? 1 : 0]);
+  }
+
+  Object.entries(SEARCH_FILTER_CONDITIONS).forEach(([filter, buildCondition]) => {
+    const included = parsed.filters[filter].map(buildCondition);
+    const excluded = parsed.excludedFilters[filter].map(buildCondition);
+
+    if (included.length > 0) {
+      const joiner = filter === "tag" ? " AND " : " OR ";
+      addCondition(
+        `COALESCE((${included.map((c) => c.sql).join(joiner)}), 0)`,
+        included.flatMap((c) => c.params)
+      );
+    }
+    excluded.forEach((c) => addCondition(`NOT COALESCE(${c.sql}, 0)`, c.params));
+  });
+
+  if (parsed.before) {
+    addCondition("s.created_at < ?", [parsed.before]);
+  }
+  if (parsed.after) {
+    addCondition("s.created_at >= date(?, '+1 day')", [parsed.after]);
+  }
+
+  const excludedExpression = toMatchExpression(parsed.excludedTerms, "OR");
+  if (excludedExpression) {
+    addCondition(
+      "s.id NOT IN (SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH ?)",
+      [excludedExpression]
+    );
+  }
+
+  const matchExpression = toMatchExpression(parsed.terms);
+  if (matchExpression) {
+    addCondition("snippets_fts MATCH ?", [matchExpression]);
+  }
+
+  return {
+    from: matchExpression
+      ? "snippets_fts JOIN snippets s ON s.id = snippets_fts.rowid"
+      : "snippets s",
+    where: conditions.length > 0 ? conditions.join(" AND ") : "1",
+    params,
+    hasTextMatch: !!matchExpression,
+  };
+};
+
+/**
+ * Counts the number of snippets that match a parsed search query.
+ * See `buildSearchConditions` for which snippets a viewer can find.
+ */
+const countSearchResults = async (parsedQuery, viewer = null) => {
+  const { from, where, params } = buildSearchConditions(parsedQuery, viewer);
+  const sql = `SELECT COUNT(s.id) as count FROM ${from} ${SNIPPET_JOINS} WHERE ${where}`;
+  const row = await query.get(sql, params);
   return row.count;
 };
 
 /**
- * Retrieves a paginated list of PUBLIC snippets that match a given search query.
+ * Retrieves a paginated list of snippets that match a parsed search query.
+ *
+ * When the query contains free text, results are ranked by relevance: matches
+ * in the title weigh more than in the description, which weigh more than in
+ * the code. Each result then carries highlighted copies of its title and
+ * description and an excerpt of its code, with matches wrapped in the
+ * MATCH_START/MATCH_END markers. Filter-only queries return the newest
+ * snippets first.
  */
-const search = (searchQuery, page, limit) => {
+const search = (parsedQuery, page, limit, viewer = null) => {
   const offset = (page - 1) * limit;
-  const searchTerm = `%${searchQuery}%`;
-  const sql = `${BASE_SNIPPET_QUERY} WHERE ${PUBLIC_FILTER} (s.title LIKE ? OR s.description LIKE ? OR s.code LIKE ?) ORDER BY s.created_at DESC LIMIT ? OFFSET ?`;
-  return query.all(sql, [searchTerm, searchTerm, searchTerm, limit, offset]);
+  const { from, where, params, hasTextMatch } = buildSearchConditions(
+    parsedQuery,
+    viewer
+  );
+
+  if (!hasTextMatch) {
+    const sql = `${BASE_SNIPPET_QUERY} WHERE ${where} ORDER BY s.created_at DESC LIMIT ? OFFSET ?`;
+    return query.all(sql, [...params, limit, offset]);
+  }
+
+  const sql = `
+    SELECT ${SNIPPET_COLUMNS},
+      highlight(snippets_fts, 0, ?, ?) as title_highlight,
+      highlight(snippets_fts, 1, ?, ?) as description_highlight,
+      snippet(snippets_fts, 2, ?, ?, '…', 24) as code_excerpt
+    FROM ${from}
+    ${SNIPPET_JOINS}
+    WHERE ${where}
+    ORDER BY bm25(snippets_fts, 10.0, 5.0, 1.0), s.created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const markers = [MATCH_START, MATCH_END];
+  return query.all(sql, [
+    ...markers,
+    ...markers,
+    ...markers,
+    ...params,
+    limit,
+    offset,
+  ]);
 };
 
 /**
@@ -355,6 +833,8 @@ const findRecent = (limit = 5) => {
 
 /**
  * Finds a single snippet for its detail view by either its SEO slug or its short ID.
+ * Expired snippets that have not been purged yet come with `is_expired` set;
+ * `consumeView` refuses to serve them.
  */
 const findByIdentifierWithDetail = (identifier) => {
   const sql = `${BASE_SNIPPET_QUERY} WHERE s.slug = ? OR s.short_id = ?`;
@@ -362,37 +842,136 @@ const findByIdentifierWithDetail = (identifier) => {
 };
 
 /**
- * Retrieves a list of all unique tags used across PUBLIC snippets, along with their usage counts.
+ * Checks whether a snippet found by `findByIdentifierWithDetail` may be shown
+ * to a user, and counts the view if the snippet has a view limit. Views by
+ * users who may edit the snippet are not counted, so authors can check a
+ * burn-after-reading snippet before sharing it. Resolves with false once the
+ * snippet has expired.
  */
-const findAllTags = async () => {
-  const sql = `SELECT tags FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${PUBLIC_FILTER} s.tags IS NOT NULL AND s.tags != ''`;
-  const rows = await query.all(sql);
-  const tagCounts = {};
-  rows.forEach((row) => {
-    row.tags.split(",").forEach((tag) => {
-      const trimmedTag = tag.trim();
-      if (trimmedTag) {
-        tagCounts[trimmedTag] = (tagCounts[trimmedTag] || 0) + 1;
-      }
-    });
-  });
+const consumeView = async (user, snippet) => {
+  if (snippet.is_expired) {
+    return false;
+  }
+  if (!snippet.max_views || (await canModify(user, snippet))) {
+    return true;
+  }
+  // The expiry is checked again, so concurrent views cannot exceed the limit.
+  const sql = `UPDATE snippets AS s SET view_count = s.view_count + 1 WHERE s.id = ? AND NOT ${IS_EXPIRED}`;
+  const result = await query.run(sql, [snippet.id]);
+  return result.changes > 0;
+};
+
+/**
+ * Deletes all expired snippets, along with their files, tags and revisions.
+ * Resolves with the number of deleted snippets.
+ */
+const purgeExpired = async () => {
+  const result = await query.run(`DELETE FROM snippets AS s WHERE ${IS_EXPIRED}`);
+  if (result.changes > 0) {
+    await tagService.removeUnused();
+  }
+  return result.changes;
+};
 
-  const sortedTags = Object.keys(tagCounts)
-    .sort()
-    .map((tag) => ({
-      name: tag,
-      count: tagCounts[tag],
-    }));
-  return sortedTags;
+/**
+ * Finds a single snippet with its category, language and author details by its primary key ID.
+ */
+const findByIdWithDetail = (id) => {
+  const sql = `${BASE_SNIPPET_QUERY} WHERE s.id = ?`;
+  return query.get(sql, [id]);
+};
+
+/**
+ * Counts all forks of a snippet, private ones included.
+ */
+const countForks = async (id) => {
+  const sql = "SELECT COUNT(*) as count FROM snippets WHERE forked_from_id = ?";
+  const row = await query.get(sql, [id]);
+  return row.count;
+};
+
+/**
+ * Finds the PUBLIC forks of a snippet, oldest first.
+ */
+const findPublicForks = (id) => {
+  const sql = `
+    SELECT s.id, s.title, s.slug, s.short_id, u.username as author_name
+    FROM snippets s JOIN users u ON s.user_id = u.id
+    WHERE ${PUBLIC_FILTER} s.forked_from_id = ?
+    ORDER BY s.created_at, s.id
+  `;
+  return query.all(sql, [id]);
+};
+
+/**
+ * Counts the snippets of a team: all of them for members, only PUBLIC ones otherwise.
+ */
+const countByTeam = async (teamId, isMember = false) => {
+  const sql = `SELECT COUNT(s.id) as count FROM snippets s JOIN users u ON s.user_id = u.id WHERE ${
+    isMember ? "" : PUBLIC_FILTER
+  } s.team_id = ?`;
+  const row = await query.get(sql, [teamId]);
+  return row.count;
+};
+
+/**
+ * Retrieves a paginated list of a team's snippets: all of them for members,
+ * only PUBLIC ones otherwise.
+ */
+const findPaginatedByTeam = (teamId, page, limit, isMember = false) => {
+  const offset = (page - 1) * limit;
+  const sql = `${BASE_SNIPPET_QUERY} WHERE ${
+    isMember ? "" : PUBLIC_FILTER
+  } s.team_id = ? ORDER BY s.created_at DESC LIMIT ? OFFSET ?`;
+  return query.all(sql, [teamId, limit, offset]);
+};
+
+/**
+ * Finds the PUBLIC snippets a user has starred, most recently starred first.
+ */
+const findStarredByUser = (userId) => {
+  const sql = `
+    SELECT ${SNIPPET_COLUMNS}, ss.created_at as starred_at
+    FROM snippet_stars ss
+    JOIN snippets s ON s.id = ss.snippet_id
+    ${SNIPPET_JOINS}
+    WHERE ${PUBLIC_FILTER} ss.user_id = ?
+    ORDER BY ss.created_at DESC, s.id DESC
+  `;
+  return query.all(sql, [userId]);
+};
+
+/**
+ * Finds the snippets of a collection in their collection order. Only publicly
+ * listed snippets are included, and with `ownerId` also all of that user's
+ * own snippets; other authors' snippets that became private since they were
+ * added stay hidden, even from the collection's owner.
+ */
+const findInCollection = (collectionId, ownerId = null) => {
+  const sql = `
+    SELECT ${SNIPPET_COLUMNS}, cs.position
+    FROM collection_snippets cs
+    JOIN snippets s ON s.id = cs.snippet_id
+    ${SNIPPET_JOINS}
+    WHERE (${IS_PUBLICLY_LISTED} OR s.user_id = ?) AND cs.collection_id = ?
+    ORDER BY cs.position, cs.added_at
+  `;
+  return query.all(sql, [ownerId, collectionId]);
 };
 
 module.exports = {
+  VISIBILITIES,
   findById,
   create,
+  fork,
   update,
+  restoreRevision,
   remove,
+  move,
   findAllForAdmin,
   findAllForUser,
+  canModify,
+  canView,
   countForUser,
   findPaginatedForUser,
   countAll,
@@ -405,9 +984,17 @@ module.exports = {
   findPaginatedByAuthor,
   countByTag,
   findPaginatedByTag,
+  countByTeam,
+  findPaginatedByTeam,
   countSearchResults,
   search,
   findRecent,
   findByIdentifierWithDetail,
-  findAllTags,
+  findByIdWithDetail,
+  consumeView,
+  purgeExpired,
+  countForks,
+  findPublicForks,
+  findStarredByUser,
+  findInCollection,
 };
@@ -0,0 +1,35 @@
+/**
+ * Service for snippet stars, which users give to public snippets they like.
+ */
+
+const query = require("../lib/query-handler");
+
+/**
+ * Stars a snippet for a user. Starring a snippet twice has no effect.
+ */
+const star = (userId, snippetId) => {
+  const sql = "INSERT OR IGNORE INTO snippet_stars (user_id, snippet_id) VALUES (?, ?)";
+  return query.run(sql, [userId, snippetId]);
+};
+
+/**
+ * Removes a user's star from a snippet.
+ */
+const unstar = (userId, snippetId) => {
+  const sql = "DELETE FROM snippet_stars WHERE user_id = ? AND snippet_id = ?";
+  return query.run(sql, [userId, snippetId]);
+};
+
+/**
+ * Checks whether a user has starred a snippet.
+ */
+const isStarred = async (userId, snippetId) => {
+  const sql = "SELECT 1 FROM snippet_stars WHERE user_id = ? AND snippet_id = ?";
+  return !!(await query.get(sql, [userId, snippetId]));
+};
+
+module.exports = {
+  star,
+  unstar,
+  isStarred,
+};
@@ -0,0 +1,142 @@
+/**
+ * Service for tag database operations.
+ */
+
+const query = require("../lib/query-handler");
+const { IS_PUBLICLY_LISTED } = require("../lib/snippet-filters");
+const parseTags = require("../utils/tags");
+
+/**
+ * Retrieves all tags with the total number of snippets using them, ordered by name.
+ */
+const findAll = () => {
+  const sql = `
+      SELECT t.id, t.name, COUNT(st.snippet_id) as count
+      FROM tags t
+      LEFT JOIN snippet_tags st ON t.id = st.tag_id
+      GROUP BY t.id
+      ORDER BY t.name`;
+  return query.all(sql);
+};
+
+/**
+ * Finds a single tag by its ID.
+ */
+const findById = (id) => {
+  const sql = "SELECT * FROM tags WHERE id = ?";
+  return query.get(sql, [id]);
+};
+
+/**
+ * Finds a single tag by its name (case-insensitive).
+ */
+const findByName = (name) => {
+  const sql = "SELECT * FROM tags WHERE name = ?";
+  return query.get(sql, [name]);
+};
+
+/**
+ * Retrieves up to `limit` tag names starting with the given prefix, most used first.
+ */
+const suggest = (prefix, limit = 10) => {
+  const escaped = prefix.replace(/[\\%_]/g, "\\$&");
+  const sql = `
+      SELECT t.name, COUNT(st.snippet_id) as count
+      FROM tags t
+      LEFT JOIN snippet_tags st ON t.id = st.tag_id
+      WHERE t.name LIKE ? ESCAPE '\\'
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+      LIMIT ?`;
+  return query.all(sql, [`${escaped}%`, limit]);
+};
+
+/**
+ * Replaces the tags of a snippet with the given comma-separated list (or array),
+ * creating any tags that don't exist yet.
+ */
+const setForSnippet = async (snippetId, tagsInput) => {
+  const names = parseTags(tagsInput);
+
+  await query.run("DELETE FROM snippet_tags WHERE snippet_id = ?", [snippetId]);
+  for (const name of names) {
+    await query.run("INSERT OR IGNORE INTO tags (name) VALUES (?)", [name]);
+    await query.run(
+      "INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) SELECT ?, id FROM tags WHERE name = ?",
+      [snippetId, name]
+    );
+  }
+  await removeUnused();
+};
+
+/**
+ * Renames a tag. Renaming a tag to the name of another existing tag merges the two.
+ */
+const rename = async (id, newName) => {
+  const existing = await findByName(newName);
+  if (existing && existing.id !== Number(id)) {
+    return merge(id, existing.id);
+  }
+  return query.run("UPDATE tags SET name = ? WHERE id = ?", [newName, id]);
+};
+
+/**
+ * Merges one tag into another: snippets tagged with the source tag get the
+ * target tag instead, and the source tag is deleted.
+ */
+const merge = async (sourceId, targetId) => {
+  if (Number(sourceId) === Number(targetId)) {
+    return { changes: 0 };
+  }
+  await query.run(
+    "INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) SELECT snippet_id, ? FROM snippet_tags WHERE tag_id = ?",
+    [targetId, sourceId]
+  );
+  return remove(sourceId);
+};
+
+/**
+ * Deletes a tag by its ID, removing it from every snippet.
+ */
+const remove = (id) => {
+  const sql = "DELETE FROM tags WHERE id = ?";
+  return query.run(sql, [id]);
+};
+
+/**
+ * Deletes tags that are no longer used by any snippet.
+ */
+const removeUnused = () => {
+  const sql = "DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM snippet_tags)";
+  return query.run(sql);
+};
+
+/**
+ * Retrieves all tags used by at least one publicly listed snippet, with their
+ * usage counts, ordered by name.
+ */
+const findAllWithCount = () => {
+  const sql = `
+      SELECT t.id, t.name, COUNT(s.id) as count
+      FROM tags t
+      JOIN snippet_tags st ON t.id = st.tag_id
+      JOIN snippets s ON s.id = st.snippet_id
+      JOIN users u ON s.user_id = u.id
+      WHERE ${IS_PUBLICLY_LISTED}
+      GROUP BY t.id
+      ORDER BY t.name`;
+  return query.all(sql);
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findByName,
+  suggest,
+  setForSnippet,
+  rename,
+  merge,
+  remove,
+  removeUnused,
+  findAllWithCount,
+};
@@ -0,0 +1,184 @@
+/**
+ * Service for team workspaces: groups of users who share ownership of
+ * snippets, each member with a role.
+ */
+
+const query = require("../lib/query-handler");
+const slugify = require("../utils/slugify");
+
+/**
+ * The roles a team member can have, with a description for the team page.
+ */
+const TEAM_ROLES = {
+  owner: "Manages members and settings, edits all team snippets",
+  editor: "Creates and edits team snippets",
+  viewer: "Views team-only snippets",
+};
+
+/**
+ * The roles that may create, edit and delete team snippets.
+ */
+const EDITOR_ROLES = ["owner", "editor"];
+
+/**
+ * Generates a unique slug for a team name, ignoring the team with the given
+ * ID (the one being renamed).
+ */
+const generateSlug = async (name, excludeId = null) => {
+  const slug = slugify(name) || "team";
+  const existing = await query.get("SELECT id FROM teams WHERE slug = ? AND id IS NOT ?", [
+    slug,
+    excludeId,
+  ]);
+  return existing ? `${slug}-${Date.now()}` : slug;
+};
+
+/**
+ * Creates a team with the given user as its owner.
+ */
+const create = async (userId, { name, description }) => {
+  const slug = await generateSlug(name);
+  const result = await query.run(
+    "INSERT INTO teams (name, slug, description) VALUES (?, ?, ?)",
+    [name, slug, description || null]
+  );
+  await query.run("INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, 'owner')", [
+    result.lastID,
+    userId,
+  ]);
+  return result;
+};
+
+/**
+ * Updates the name and description of a team. The slug only changes along with the name.
+ */
+const update = async (id, { name, description }) => {
+  const current = await findById(id);
+  const slug = current.name === name ? current.slug : await generateSlug(name, id);
+  const sql = "UPDATE teams SET name = ?, slug = ?, description = ? WHERE id = ?";
+  return query.run(sql, [name, slug, description || null, id]);
+};
+
+/**
+ * Deletes a team. Its snippets stay with their authors; team-only snippets
+ * become private.
+ */
+const remove = async (id) => {
+  await query.run("UPDATE snippets SET is_team_only = 0 WHERE team_id = ?", [id]);
+  return query.run("DELETE FROM teams WHERE id = ?", [id]);
+};
+
+/**
+ * Finds a single team by its ID.
+ */
+const findById = (id) => {
+  const sql = "SELECT * FROM teams WHERE id = ?";
+  return query.get(sql, [id]);
+};
+
+/**
+ * Finds a single team by its slug.
+ */
+const findBySlug = (slug) => {
+  const sql = "SELECT * FROM teams WHERE slug = ?";
+  return query.get(sql, [slug]);
+};
+
+/**
+ * Retrieves the teams a user belongs to, ordered by name, with the user's
+ * role and the number of members and snippets of each team.
+ */
+const findAllForUser = (userId) => {
+  const sql = `
+    SELECT t.id, t.name, t.slug, t.description, tm.role,
+           (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count,
+           (SELECT COUNT(*) FROM snippets s WHERE s.team_id = t.id) as snippet_count
+    FROM teams t
+    JOIN team_members tm ON tm.team_id = t.id
+    WHERE tm.user_id = ?
+    ORDER BY t.name COLLATE NOCASE
+  `;
+  return query.all(sql, [userId]);
+};
+
+/**
+ * Retrieves the members of a team with their roles, owners first.
+ */
+const findMembers = (teamId) => {
+  const sql = `
+    SELECT u.id, u.username, tm.role, tm.added_at
+    FROM team_members tm
+    JOIN users u ON tm.user_id = u.id
+    WHERE tm.team_id = ?
+    ORDER BY CASE tm.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END,
+             u.username COLLATE NOCASE
+  `;
+  return query.all(sql, [teamId]);
+};
+
+/**
+ * Finds a user's role in a team. Resolves with null for non-members.
+ */
+const getRole = async (teamId, userId) => {
+  if (!teamId || !userId) {
+    return null;
+  }
+  const row = await query.get("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?", [
+    teamId,
+    userId,
+  ]);
+  return row ? row.role : null;
+};
+
+/**
+ * Checks whether a user may create, edit and delete snippets of a team.
+ */
+const canEditSnippets = async (teamId, userId) =>
+  EDITOR_ROLES.includes(await getRole(teamId, userId));
+
+/**
+ * Adds a user to a team, or changes the role of an existing member.
+ */
+const setMember = (teamId, userId, role) => {
+  const sql = `
+    INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)
+    ON CONFLICT (team_id, user_id) DO UPDATE SET role = excluded.role
+  `;
+  return query.run(sql, [teamId, userId, role]);
+};
+
+/**
+ * Removes a user from a team.
+ */
+const removeMember = (teamId, userId) => {
+  const sql = "DELETE FROM team_members WHERE team_id = ? AND user_id = ?";
+  return query.run(sql, [teamId, userId]);
+};
+
+/**
+ * Counts the owners of a team, so that the last owner is never removed.
+ */
+const countOwners = async (teamId) => {
+  const row = await query.get(
+    "SELECT COUNT(*) as count FROM team_members WHERE team_id = ? AND role = 'owner'",
+    [teamId]
+  );
+  return row.count;
+};
+
+module.exports = {
+  TEAM_ROLES,
+  EDITOR_ROLES,
+  create,
+  update,
+  remove,
+  findById,
+  findBySlug,
+  findAllForUser,
+  findMembers,
+  getRole,
+  canEditSnippets,
+  setMember,
+  removeMember,
+  countOwners,
+};
@@ -10,12 +10,11 @@ const authService = require("./auth.service");
  */
 const create = async (username, email, password) => {
   const passwordHash = await authService.hashPassword(password);
-  const apiKey = authService.generateApiKey();
   const sql = `
-    INSERT INTO users (username, email, password_hash, api_key, is_admin, is_approved)
-    VALUES (?, ?, ?, ?, 0, 0)
+    INSERT INTO users (username, email, password_hash, is_admin, is_approved)
+    VALUES (?, ?, ?, 0, 0)
   `;
-  return query.run(sql, [username, email, passwordHash, apiKey]);
+  return query.run(sql, [username, email, passwordHash]);
 };
 
 /**
@@ -24,13 +23,12 @@ const create = async (username, email, password) => {
 const createByAdmin = async (userData) => {
   const { username, email, password, is_admin } = userData;
   const passwordHash = await authService.hashPassword(password);
-  const apiKey = authService.generateApiKey();
   const isAdminFlag = is_admin === "true" ? 1 : 0;
   const sql = `
-    INSERT INTO users (username, email, password_hash, api_key, is_admin, is_approved)
-    VALUES (?, ?, ?, ?, ?, 1)
+    INSERT INTO users (username, email, password_hash, is_admin, is_approved)
+    VALUES (?, ?, ?, ?, 1)
   `;
-  return query.run(sql, [username, email, passwordHash, apiKey, isAdminFlag]);
+  return query.run(sql, [username, email, passwordHash, isAdminFlag]);
 };
 
 /**
@@ -49,23 +47,6 @@ const findById = (id) => {
   return query.get(sql, [id]);
 };
 
-/**
- * Finds an approved user by their API key.
- */
-const findByApiKey = (apiKey) => {
-  const sql =
-    "SELECT id, username, is_admin FROM users WHERE api_key = ? AND is_approved = 1";
-  return query.get(sql, [apiKey]);
-};
-
-/**
- * Retrieves the API key for a given user ID.
- */
-const getApiKeyForUser = (userId) => {
-  const sql = "SELECT api_key FROM users WHERE id = ?";
-  return query.get(sql, [userId]);
-};
-
 /**
  * Retrieves a list of all users for the admin management page.
  */
@@ -83,6 +64,14 @@ const approveUser = (id, isApproved) => {
   return query.run(sql, [isApproved, id]);
 };
 
+/**
+ * Grants or removes a user's admin rights.
+ */
+const setAdmin = (id, isAdmin) => {
+  const sql = "UPDATE users SET is_admin = ? WHERE id = ?";
+  return query.run(sql, [isAdmin ? 1 : 0, id]);
+};
+
 /**
  * Updates a user's email address.
  */
@@ -109,26 +98,14 @@ const updatePassword = async (userId, newPassword) => {
   return query.run(sql, [newPasswordHash, userId]);
 };
 
-/**
- * Generates a new API key for a specific user and updates it in the database.
- */
-const regenerateApiKey = async (userId) => {
-  const newApiKey = authService.generateApiKey();
-  const sql = "UPDATE users SET api_key = ? WHERE id = ?";
-  await query.run(sql, [newApiKey, userId]);
-  return newApiKey;
-};
-
 module.exports = {
   create,
   createByAdmin,
   findByUsername,
   findById,
-  findByApiKey,
-  getApiKeyForUser,
   findAll,
   approveUser,
+  setAdmin,
   updateEmail,
   updatePassword,
-  regenerateApiKey,
 };
@@ -1,32 +1,273 @@
 #!/usr/bin/env node
 
 /**
- * This script allows listing, deleting, and creating new snippets
+ * This script administers snippets, users, categories and languages directly
+ * through the application's services, bypassing the web UI/API.
  *
  * Usage:
- *   node manage.js <command> [arguments]
+ *   node manage.js <command> [arguments] [--json] [--yes]
  *
  * Commands:
  *   list                                List all snippets in the database.
- *   delete <snippetId>                  Delete a snippet by its ID. Prompts for confirmation.
+ *   show <snippet>                      Show a snippet, by ID, slug or short ID, with its files.
+ *   search <query>                      Search all snippets with the search box syntax.
  *   create <filePath> [options]         Create a new snippet from a local file.
- *                                       See 'create --help' for options.
+ *   edit <snippet> [options]            Change a snippet's title, taxonomy, visibility or code.
+ *   move <snippet> [options]            Move a snippet to another author or team.
+ *   delete <snippet>                    Delete a snippet. Prompts for confirmation.
+ *   user <subcommand>                   List, create, approve, revoke or promote users,
+ *                                       reset their password or rotate their API key.
+ *   category <add|rename|remove>        Manage categories.
+ *   language <add|rename|remove>        Manage languages.
+ *   export [options]                    Export snippets as a JSON archive or a Markdown ZIP.
+ *   import <filePath> [options]         Import snippets from an export archive, VS Code
+ *                                       snippet file or Gist download.
+ *   import-dir <path> [options]         Create snippets from the files below a directory.
+ *   migrate status                      Show applied and pending schema migrations.
+ *   migrate up                          Apply all pending schema migrations.
  *
  * Global Options:
- *   --help                              Display this help message.
+ *   --json                              Print the result as JSON, for scripting.
+ *   --yes, -y                           Skip confirmation prompts.
+ *   --help                              Display this help message, or a command's help.
  */
 
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require('crypto');
 const readline = require('readline');
 
-const { initializeDatabase, getDb } = require('../config/database');
-const query = require('../lib/query-handler');
+const {
+    connectDatabase,
+    initializeDatabase,
+    getMigrationStatus,
+    runMigrations,
+    getDb
+} = require('../config/database');
+const slugify = require('../utils/slugify');
+const { parseSearchQuery, isEmptyQuery } = require('../utils/search-query');
+const { detectLanguage } = require('../utils/language-detector');
+const { parseFrontMatter } = require('../utils/front-matter');
+const { matchesAnyGlob } = require('../utils/glob');
 
 const snippetService = require('../services/snippet.service');
+const snippetFileService = require('../services/snippet-file.service');
 const categoryService = require('../services/category.service');
 const languageService = require('../services/language.service');
 const userService = require('../services/user.service');
+const teamService = require('../services/team.service');
+const apiTokenService = require('../services/api-token.service');
+const exportService = require('../services/export.service');
+const importService = require('../services/import.service');
+const languageDetectionService = require('../services/language-detection.service');
+
+const HELP = {
+    main: `
+Usage: node manage.js <command> [arguments] [--json] [--yes]
+
+Snippet Commands:
+  list                                List all snippets in the database.
+  show <snippet>                      Show a snippet (by ID, slug or short ID) with its files.
+  search <query> [options]            Search all snippets. See 'search --help'.
+  create <filePath> [options]         Create a new snippet from a file. See 'create --help'.
+  edit <snippet> [options]            Edit a snippet. See 'edit --help'.
+  move <snippet> [options]            Move a snippet to another author or team. See 'move --help'.
+  delete <snippet>                    Delete a snippet. Prompts for confirmation.
+
+Administration Commands:
+  user <subcommand>                   Manage user accounts. See 'user --help'.
+  category <add|rename|remove>        Manage categories. See 'category --help'.
+  language <add|rename|remove>        Manage languages. See 'language --help'.
+  export [options]                    Export snippets. See 'export --help'.
+  import <filePath> [options]         Import an export archive, VS Code snippets or Gists.
+                                      See 'import --help'.
+  import-dir <path> [options]         Create snippets from the files below a directory.
+                                      See 'import-dir --help'.
+  migrate status                      Show applied and pending schema migrations.
+  migrate up                          Apply all pending schema migrations.
+
+Example:
+  node manage.js list
+  node manage.js search "lang:python tag:cli"
+  node manage.js create ./my_code.js --title "My CLI Snippet" --language "JavaScript"
+  node manage.js edit 123 --visibility private --tags "cli, script"
+  node manage.js delete 123 --yes
+  node manage.js user create alice --email alice@example.com
+  node manage.js category rename "Web Dev" "Web Development"
+  node manage.js user list --json
+  node manage.js export --format markdown --output backup.zip
+  node manage.js import ./snippets-2025-01-31.json --on-conflict rename
+  node manage.js import-dir ~/scripts --owner alice --exclude "*.min.js" --dry-run
+  node manage.js migrate status
+
+Global Options:
+  --json                              Print the result as JSON instead of text, for scripting.
+  --yes, -y                           Skip confirmation prompts (required for deletes
+                                      without a terminal, e.g. with --json).
+  --help                              Display this help message.
+`,
+    search: `
+Usage: node manage.js search <query> [options]
+
+Description: Search every snippet, private ones included, with the search box syntax
+(e.g. "parser lang:python tag:cli -author:bob is:private before:2025-01-31").
+
+Options:
+  --page <n>                  Page of results to show (default: 1)
+  --limit <n>                 Results per page (default: 20)
+  --help                      Display help for the 'search' command.
+`,
+    create: `
+Usage: node manage.js create <filePath> [options]
+
+Description: Create a new snippet from a local file.
+
+Arguments:
+  <filePath>                  Path to the local file containing the snippet code.
+
+Options:
+  -t, --title <title>         Snippet title (required if not produced from filename)
+  -d, --description <desc>    Snippet description
+  -c, --category <name>       Category name (e.g., "Web Dev")
+  -l, --language <name>       Language name (e.g., "JavaScript")
+  --tags <tags>               Comma-separated tags (e.g., "cli, script")
+  -r, --ref <url>             Reference URL
+  -p, --private               Mark the snippet as private (default is public)
+  --expires-at <date>         Expire the snippet at this date (e.g., "2030-01-31 18:00", in UTC)
+  --max-views <n>             Expire the snippet after n views (1 = burn after reading)
+  --user <username>           Create the snippet as this user (default: ADMIN_USERNAME)
+  --help                      Display help for the 'create' command.
+`,
+    edit: `
+Usage: node manage.js edit <snippet> [options]
+
+Description: Change a snippet, found by its ID, slug or short ID. Options that are
+left out keep their current value. The change is recorded as ADMIN_USERNAME.
+
+Options:
+  -t, --title <title>         New title (the slug follows the title)
+  -d, --description <desc>    New description
+  -c, --category <name>       Category name, or "none" to remove the category
+  -l, --language <name>       Language of the first file, or "none"
+  --tags <tags>               Comma-separated tags, replacing the current ones ("" for none)
+  -r, --ref <url>             Reference URL
+  --visibility <visibility>   public, private or team
+  --file <filePath>           Replace the code of the first file with this file's content
+  --expires-at <date>         Expiry date (e.g., "2030-01-31 18:00", in UTC), or "none"
+  --max-views <n>             View limit, or "none"
+  --help                      Display help for the 'edit' command.
+`,
+    move: `
+Usage: node manage.js move <snippet> [options]
+
+Description: Move a snippet, found by its ID, slug or short ID, to another author or team.
+
+Options:
+  --user <username>           Make this user the snippet's author
+  --team <slug>               Move the snippet to this team, or "none" to take it out of its team
+  --help                      Display help for the 'move' command.
+`,
+    user: `
+Usage: node manage.js user <subcommand> [arguments]
+
+Subcommands:
+  list                                      List all users.
+  create <username> --email <email>         Create an approved user. Without --password, a random
+         [--password <password>] [--admin]  password is generated and printed.
+  approve <username>                        Approve a user, allowing them to log in.
+  revoke <username>                         Revoke a user's approval.
+  promote <username> [--demote]             Grant (or with --demote, remove) admin rights.
+  reset-password <username>                 Set a new password. Without --password, a random
+         [--password <password>]            password is generated and printed.
+  rotate-key <username> [--name <name>]     Revoke the user's API tokens with this name (default:
+         [--expires-in <days>]              "API key") and issue a new one with every scope.
+`,
+    category: `
+Usage: node manage.js category <subcommand> [arguments]
+
+Subcommands:
+  add <name>                  Create a category.
+  rename <name> <newName>     Rename a category. Its slug follows the new name.
+  remove <name>               Delete a category. Its snippets are kept without a category.
+`,
+    language: `
+Usage: node manage.js language <subcommand> [arguments]
+
+Subcommands:
+  add <name>                  Create a language.
+  rename <name> <newName>     Rename a language. Its slug follows the new name.
+  remove <name>               Delete a language. Its snippets are kept without a language.
+`,
+    export: `
+Usage: node manage.js export [options]
+
+Description: Export snippets with their categories, languages, tags and authors.
+
+Options:
+  --format <json|markdown>    JSON archive (default) or a ZIP with one Markdown file per snippet
+  --output <filePath>         File to write (default: snippets-<date>.json or .zip)
+  --user <username>           Only export the snippets of this user (default: all snippets)
+  --help                      Display help for the 'export' command.
+`,
+    'import-dir': `
+Usage: node manage.js import-dir <path> [options]
+
+Description: Create one snippet per file below a directory. The language is detected from the
+file and the category comes from its top-level folder (files directly in <path> get none).
+A file may start with front matter between two '---' lines, in YAML or JSON, setting its
+title, description and tags; a block with any other key is kept as part of the file, like
+the first document of a YAML file. Files whose content is already stored are skipped, so the
+command can be run again after adding files. Hidden files and node_modules are ignored.
+
+Options:
+  --owner <username>          Author of the new snippets (default: ADMIN_USERNAME)
+  --include <globs>           Comma-separated globs of files to import (e.g., "*.py,*.sh")
+  --exclude <globs>           Comma-separated globs of files and folders to leave out
+                              (e.g., "*.min.js,vendor"). Globs without a '/' match names
+                              in any folder; '**' matches any number of folders.
+  --create-categories         Create categories for folders that have none (default: import
+                              without a category)
+  --on-conflict <skip|rename> What to do when a snippet's slug is taken (default: rename)
+  --private                   Make the new snippets private
+  --dry-run                   Show what would be imported without creating anything
+  --help                      Display help for the 'import-dir' command.
+`,
+    import: `
+Usage: node manage.js import <filePath> [options]
+
+Description: Import snippets from a JSON archive created by 'export', a VS Code snippet file
+(.code-snippets or <language>.json) or Gists downloaded from GitHub (ZIP or Gist API JSON).
+Categories and languages are matched by slug; missing ones are created when importing as an admin.
+
+Options:
+  --format <format>           auto, archive, vscode or gist (default: auto, detected from the file)
+  --on-conflict <skip|rename> What to do when a snippet's slug is taken (default: skip)
+  --dry-run                   Show what would be imported without creating anything
+  --user <username>           Import as this user (default: ADMIN_USERNAME). Admins keep each
+                              snippet's author when that user exists; other users own every snippet.
+  --help                      Display help for the 'import' command.
+`,
+};
+
+// Set by the global --json and --yes options.
+let jsonOutput = false;
+let assumeYes = false;
+
+/**
+ * Prints a progress or result message, unless the output is JSON.
+ */
+function info(message) {
+    if (!jsonOutput) {
+        console.log(message);
+    }
+}
+
+/**
+ * Prints the result of a command as JSON.
+ */
+function printJson(data) {
+    console.log(JSON.stringify(data, null, 2));
+}
 
 /**
  * Prompts the user for confirmation via the command line.
@@ -45,6 +286,20 @@ function confirmPrompt(question) {
     });
 }
 
+/**
+ * Asks for confirmation before a destructive action, unless --yes was given.
+ * Without a terminal to ask on, or with --json, the action needs --yes.
+ */
+async function confirmAction(question) {
+    if (assumeYes) {
+        return true;
+    }
+    if (jsonOutput || !process.stdin.isTTY) {
+        throw new Error('Confirmation required. Run the command again with --yes.');
+    }
+    return confirmPrompt(question);
+}
+
 /**
  * Helper function to format an array of objects into a clean, text-based table
  */
@@ -110,87 +365,230 @@ function inferTitleFromFilename(filename) {
                          .join(' ');
 }
 
+/**
+ * Generates a random password for accounts created or reset without one.
+ */
+function generatePassword() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+/**
+ * Reads a snippet file, with a readable error when it cannot be read.
+ */
+async function readCodeFile(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(
+            `File system error: Could not read file '${filePath}'. ` +
+            `Please ensure the path is correct and the file is readable. ${error.message}`
+        );
+    }
+}
+
+/**
+ * Validates the --expires-at and --max-views options. With `allowNone`, "none"
+ * clears a setting. Resolves with the values to store, or undefined for options
+ * that were not given.
+ */
+function parseExpiryOptions(options, allowNone = false) {
+    const isNone = value => allowNone && value === 'none';
+    const expiresAt = options['expires-at'];
+    if (expiresAt !== undefined && !isNone(expiresAt) && Number.isNaN(Date.parse(expiresAt))) {
+        throw new Error(`Invalid --expires-at date '${expiresAt}'. Use e.g. "2030-01-31 18:00".`);
+    }
+
+    let maxViews = options['max-views'];
+    if (maxViews !== undefined && !isNone(maxViews)) {
+        maxViews = Number(maxViews);
+        if (!(Number.isInteger(maxViews) && maxViews > 0)) {
+            throw new Error(`Invalid --max-views '${options['max-views']}'. Use a positive whole number.`);
+        }
+    }
+
+    return {
+        expiresAt: isNone(expiresAt) ? null : expiresAt,
+        maxViews: isNone(maxViews) ? null : maxViews,
+    };
+}
+
+/**
+ * Finds a snippet by its numeric ID, slug or short ID, with its details.
+ */
+async function findCliSnippet(identifier) {
+    const snippet = /^\d+$/.test(identifier)
+        ? await snippetService.findByIdWithDetail(Number(identifier))
+        : await snippetService.findByIdentifierWithDetail(identifier);
+    if (!snippet) {
+        throw new Error(`Snippet '${identifier}' not found.`);
+    }
+    return snippet;
+}
+
+/**
+ * Resolves a category or language name given as an option to its ID. "none"
+ * resolves with null; unknown names are an error.
+ */
+async function findTaxonomyId(service, label, name) {
+    if (name === 'none') {
+        return null;
+    }
+    const item = await service.findByName(name);
+    if (!item) {
+        throw new Error(`${label} "${name}" not found.`);
+    }
+    return item.id;
+}
+
 /**
  * Action for the 'list' command.
  */
 async function listSnippetsAction() {
     await initializeDbForCli();
 
-    const sql = `
-        SELECT
-            s.id, s.title, s.slug,
-            c.name as category,
-            l.name as language,
-            u.username as author,
-            s.created_at, s.is_private
-        FROM snippets s
-        LEFT JOIN categories c ON s.category_id = c.id
-        LEFT JOIN languages l ON s.language_id = l.id
-        LEFT JOIN users u ON s.user_id = u.id
-        ORDER BY s.created_at DESC
-    `;
-    const snippets = await query.all(sql);
+    const snippets = await snippetService.findAllForAdmin();
+    if (jsonOutput) {
+        printJson(snippets.map(({ can_edit, ...snippet }) => snippet));
+        return;
+    }
 
     if (snippets.length === 0) {
         console.log('\nNo snippets found in the database.');
         return;
     }
 
-    const tableHeaders = ['ID', 'Title', 'Author', 'Category', 'Language', 'Private', 'Created At'];
+    const tableHeaders = ['ID', 'Title', 'Author', 'Category', 'Team', 'Visibility'];
 
     const columnMap = {
         'ID': 'id',
         'Title': 'title',
-        'Author': 'author',
-        'Category': 'category',
-        'Language': 'language',
-        'Private': 'is_private',
-        'Created At': 'created_at'
+        'Author': 'author_name',
+        'Category': 'category_name',
+        'Team': 'team_name',
+        'Visibility': 'visibility'
     };
 
-    const formattedSnippets = snippets.map(s => ({
-        id: s.id,
-        title: s.title,
-        author: s.author || 'N/A',
-        category: s.category || 'N/A',
-        language: s.language || 'N/A',
-        is_private: s.is_private ? 'Yes' : 'No',
-        created_at: new Date(s.created_at).toLocaleDateString()
-    }));
-
     console.log('\n--- All Snippets (Admin View) ---\n');
-    console.log(formatCliTable(formattedSnippets, tableHeaders, columnMap));
+    console.log(formatCliTable(snippets, tableHeaders, columnMap));
     console.log('\n');
 }
 
 /**
- * Action for the 'delete' command.
+ * Action for the 'show' command.
  */
-async function deleteSnippetAction(snippetId) {
+async function showSnippetAction(identifier) {
     await initializeDbForCli();
 
-    // Fetch snippet details to confirm with the user before deletion
-    const snippet = await query.get("SELECT s.id, s.title, u.username FROM snippets s JOIN users u ON s.user_id = u.id WHERE s.id = ?", [snippetId]);
+    const snippet = await findCliSnippet(identifier);
+    const files = await snippetFileService.findAllForSnippet(snippet.id);
 
-    if (!snippet) {
-        console.log(`\nSnippet with ID ${snippetId} not found.`);
+    if (jsonOutput) {
+        printJson({ ...snippet, is_expired: !!snippet.is_expired, files });
         return;
     }
 
-    console.log(`\nFound snippet: "${snippet.title}" (ID: ${snippet.id}) by ${snippet.username}.`);
-    const confirmed = await confirmPrompt('Are you absolutely sure you want to delete this snippet?');
+    const limits = [
+        snippet.expires_at ? `at ${snippet.expires_at} UTC` : null,
+        snippet.max_views ? `after ${snippet.max_views} views (${snippet.view_count} so far)` : null,
+    ].filter(Boolean);
+    const details = {
+        'Slug': `${snippet.slug} (short ID: ${snippet.short_id || 'N/A'})`,
+        'Author': snippet.author_name,
+        'Category': snippet.category_name,
+        'Language': snippet.language_name,
+        'Team': snippet.team_name,
+        'Visibility': snippet.visibility + (snippet.is_expired ? ' (expired)' : ''),
+        'Tags': snippet.tags,
+        'Reference': snippet.reference_url,
+        'Expires': limits.length > 0 ? limits.join(', ') : null,
+        'Created At': snippet.created_at,
+        'Updated At': snippet.updated_at,
+    };
+
+    console.log(`\n--- Snippet #${snippet.id}: ${snippet.title} ---\n`);
+    Object.entries(details).forEach(([label, value]) => {
+        console.log(`${(label + ':').padEnd(13)}${value || 'N/A'}`);
+    });
+    if (snippet.description) {
+        console.log(`\n${snippet.description}`);
+    }
+    files.forEach(file => {
+        console.log(`\n=== ${file.filename} (${file.language_name || 'no language'}) ===\n`);
+        console.log(file.content);
+    });
+    console.log('');
+}
+
+/**
+ * Action for the 'search' command. Searches as an admin, so private snippets are included.
+ */
+async function searchSnippetsAction(queryText, options) {
+    const parsedQuery = parseSearchQuery(queryText);
+    if (isEmptyQuery(parsedQuery)) {
+        throw new Error('Please provide a search query.');
+    }
+    const page = parseInt(options.page, 10) || 1;
+    const limit = parseInt(options.limit, 10) || 20;
+
+    await initializeDbForCli();
+
+    const viewer = { is_admin: 1 };
+    const totalItems = await snippetService.countSearchResults(parsedQuery, viewer);
+    const results = await snippetService.search(parsedQuery, page, limit, viewer);
+    // Highlight markers are meant for HTML rendering and are left out of the output.
+    const snippets = results.map(
+        ({ title_highlight, description_highlight, code_excerpt, ...snippet }) => snippet
+    );
+
+    if (jsonOutput) {
+        printJson({
+            data: snippets,
+            meta: { query: parsedQuery, totalItems, currentPage: page, limit, totalPages: Math.ceil(totalItems / limit) },
+        });
+        return;
+    }
+
+    const tableHeaders = ['ID', 'Title', 'Author', 'Language', 'Tags', 'Visibility'];
+    const columnMap = {
+        'ID': 'id',
+        'Title': 'title',
+        'Author': 'author_name',
+        'Language': 'language_name',
+        'Tags': 'tags',
+        'Visibility': 'visibility'
+    };
+
+    console.log(`\n--- Search Results for "${queryText}" ---\n`);
+    console.log(formatCliTable(snippets, tableHeaders, columnMap));
+    console.log(`${totalItems} result(s), page ${page} of ${Math.max(1, Math.ceil(totalItems / limit))}.\n`);
+}
+
+/**
+ * Action for the 'delete' command.
+ */
+async function deleteSnippetAction(identifier) {
+    await initializeDbForCli();
+
+    // Fetch snippet details to confirm with the user before deletion
+    const snippet = await findCliSnippet(identifier);
+
+    info(`\nFound snippet: "${snippet.title}" (ID: ${snippet.id}) by ${snippet.author_name}.`);
+    const confirmed = await confirmAction('Are you absolutely sure you want to delete this snippet?');
 
     if (!confirmed) {
         console.log('Deletion cancelled.');
         return;
     }
 
-    const result = await query.run("DELETE FROM snippets WHERE id = ?", [snippetId]);
+    const result = await snippetService.remove(snippet.id, { is_admin: 1 });
+    if (result.changes === 0) {
+        throw new Error(`Failed to delete snippet with ID ${snippet.id}.`);
+    }
 
-    if (result.changes > 0) {
-        console.log(`\n✅ Snippet "${snippet.title}" (ID: ${snippet.id}) successfully deleted.`);
+    if (jsonOutput) {
+        printJson({ deleted: { id: snippet.id, slug: snippet.slug, title: snippet.title } });
     } else {
-        console.log(`\n❌ Failed to delete snippet with ID ${snippetId}.`);
+        console.log(`\n✅ Snippet "${snippet.title}" (ID: ${snippet.id}) successfully deleted.`);
     }
 }
 
@@ -198,91 +596,718 @@ async function deleteSnippetAction(snippetId) {
  * Action for the 'create' command.
  */
 async function createSnippetAction(filePath, options) {
-    try {
-        // Validate and read the snippet code file.
-        try {
-            await fs.access(filePath, fs.constants.R_OK);
-        } catch (error) {
-            throw new Error(
-                `File system error: Could not read file '${filePath}'. ` +
-                `Please ensure the path is correct and the file is readable. ${error.message}`
-            );
+    // Validate and read the snippet code file.
+    info(`⏳ Reading snippet code from '${filePath}'...`);
+    const code = await readCodeFile(filePath);
+
+    // Determine snippet title.
+    const inferredTitle = options.title || inferTitleFromFilename(filePath);
+    if (!inferredTitle) {
+        throw new Error(
+            "Snippet title is required. Please provide it via --title or ensure the filename can produce one."
+        );
+    }
+
+    // Validate the optional expiry settings.
+    const { expiresAt, maxViews } = parseExpiryOptions(options);
+
+    await initializeDbForCli();
+
+    // Look up Category and Language IDs
+    let categoryId = null;
+
+    if (options.category) {
+        const category = await categoryService.findByName(options.category);
+        if (category) {
+            categoryId = category.id;
+            info(`🔎 Found Category: "${category.name}" (ID: ${categoryId})`);
+        } else {
+            console.warn(`⚠️ Warning: Category "${options.category}" not found. Snippet will be created without a specific category.`);
         }
-        console.log(`⏳ Reading snippet code from '${filePath}'...`);
-        const code = await fs.readFile(filePath, "utf-8");
+    }
 
-        // Determine snippet title.
-        const inferredTitle = options.title || inferTitleFromFilename(filePath);
-        if (!inferredTitle) {
-            throw new Error(
-                "Snippet title is required. Please provide it via --title or ensure the filename can produce one."
-            );
+    let languageId = null;
+    if (options.language) {
+        const language = await languageService.findByName(options.language);
+        if (language) {
+            languageId = language.id;
+            info(`🔎 Found Language: "${language.name}" (ID: ${languageId})`);
+        } else {
+            console.warn(`⚠️ Warning: Language "${options.language}" not found. Snippet will be created without a specific language.`);
+        }
+    }
+
+    if (!languageId) {
+        const detected = await languageDetectionService.detect({ filename: path.basename(filePath), content: code });
+        if (detected) {
+            languageId = detected.id;
+            info(`🔎 Detected Language: "${detected.name}" (from the ${detected.source}, ${Math.round(detected.confidence * 100)}% sure)`);
+        }
+    }
+
+    // By default, CLI-created snippets are assigned to the initial admin user.
+    const owner = await findCliUser(options.user);
+
+    // Prepare snippet data object for the service.
+    const snippetData = {
+        title: inferredTitle,
+        description: options.description || `Created via CLI from file: ${path.basename(filePath)}`,
+        code: code,
+        files: [{ filename: path.basename(filePath), language_id: languageId, content: code }],
+        tags: options.tags || null,
+        category_id: categoryId,
+        language_id: languageId,
+        reference_url: options.ref || null,
+        is_private: options.private ? 1 : 0,
+        expires_at: expiresAt || null,
+        max_views: maxViews || null,
+        user_id: owner.id,
+    };
+
+    // Call the snippet service to create the entry in the database.
+    info(`🚀 Creating snippet with title: '${snippetData.title}'...`);
+    const newSnippet = await snippetService.create(snippetData);
+
+    if (jsonOutput) {
+        printJson(await snippetService.findByIdWithDetail(newSnippet.lastID));
+        return;
+    }
+    console.log("✅ Snippet created successfully!");
+    console.log(`Response: { snippetId: ${newSnippet.lastID} }`);
+    console.log(`🌐 View it in your dashboard: http://localhost:3000/admin/snippets`);
+}
+
+/**
+ * Action for the 'edit' command. Starts from the snippet's current values,
+ * like a PATCH request to the API, and saves it as the initial admin user.
+ */
+async function editSnippetAction(identifier, options) {
+    const { expiresAt, maxViews } = parseExpiryOptions(options, true);
+    if (options.visibility !== undefined && !snippetService.VISIBILITIES.includes(options.visibility)) {
+        throw new Error(`--visibility must be one of: ${snippetService.VISIBILITIES.join(', ')}.`);
+    }
+    if (options.title !== undefined && !options.title.trim()) {
+        throw new Error('The title cannot be empty.');
+    }
+    const code = options.file ? await readCodeFile(options.file) : undefined;
+
+    await initializeDbForCli();
+
+    const snippet = await findCliSnippet(identifier);
+    const admin = await findCliUser();
+
+    const snippetData = {
+        title: snippet.title,
+        description: snippet.description,
+        code: snippet.code,
+        tags: snippet.tags,
+        category_id: snippet.category_id,
+        language_id: snippet.language_id,
+        reference_url: snippet.reference_url,
+        visibility: snippet.visibility,
+        team_id: snippet.team_id,
+        expires_at: snippet.expires_at,
+        max_views: snippet.max_views,
+    };
+
+    if (options.title !== undefined) snippetData.title = options.title;
+    if (options.description !== undefined) snippetData.description = options.description;
+    if (options.tags !== undefined) snippetData.tags = options.tags;
+    if (options.ref !== undefined) snippetData.reference_url = options.ref || null;
+    if (options.visibility !== undefined) snippetData.visibility = options.visibility;
+    if (code !== undefined) snippetData.code = code;
+    if (expiresAt !== undefined) snippetData.expires_at = expiresAt;
+    if (maxViews !== undefined) snippetData.max_views = maxViews;
+    if (options.category !== undefined) {
+        snippetData.category_id = await findTaxonomyId(categoryService, 'Category', options.category);
+    }
+    if (options.language !== undefined) {
+        snippetData.language_id = await findTaxonomyId(languageService, 'Language', options.language);
+    }
+
+    await snippetService.update(snippet.id, { ...admin, is_admin: 1 }, snippetData);
+    const updatedSnippet = await snippetService.findByIdWithDetail(snippet.id);
+
+    if (jsonOutput) {
+        printJson(updatedSnippet);
+        return;
+    }
+    console.log(`✅ Snippet "${updatedSnippet.title}" (ID: ${snippet.id}) updated.`);
+    if (updatedSnippet.slug !== snippet.slug) {
+        console.log(`Its slug changed from '${snippet.slug}' to '${updatedSnippet.slug}'.`);
+    }
+}
+
+/**
+ * Action for the 'move' command.
+ */
+async function moveSnippetAction(identifier, options) {
+    if (options.user === undefined && options.team === undefined) {
+        throw new Error('Please provide --user, --team or both.');
+    }
+
+    await initializeDbForCli();
+
+    const snippet = await findCliSnippet(identifier);
+    const changes = {};
+    if (options.user !== undefined) {
+        changes.userId = (await findCliUser(options.user)).id;
+    }
+    if (options.team === 'none') {
+        changes.teamId = null;
+    } else if (options.team !== undefined) {
+        const team = await teamService.findBySlug(options.team);
+        if (!team) {
+            throw new Error(`Team '${options.team}' not found.`);
+        }
+        changes.teamId = team.id;
+    }
+
+    await snippetService.move(snippet.id, changes);
+    const movedSnippet = await snippetService.findByIdWithDetail(snippet.id);
+
+    if (jsonOutput) {
+        printJson(movedSnippet);
+        return;
+    }
+    console.log(`✅ Snippet "${movedSnippet.title}" (ID: ${snippet.id}) now belongs to ` +
+        `${movedSnippet.author_name}${movedSnippet.team_name ? ` in team ${movedSnippet.team_name}` : ''}.`);
+}
+
+/**
+ * Action for the 'user' command and its subcommands.
+ */
+async function userAction(subcommand, username, options) {
+    await initializeDbForCli();
+
+    if (subcommand === 'list') {
+        const users = await userService.findAll();
+        if (jsonOutput) {
+            printJson(users);
+            return;
         }
 
-        await initializeDbForCli();
+        const tableHeaders = ['ID', 'Username', 'Email', 'Admin', 'Approved', 'Created At'];
+        const columnMap = {
+            'ID': 'id',
+            'Username': 'username',
+            'Email': 'email',
+            'Admin': 'is_admin',
+            'Approved': 'is_approved',
+            'Created At': 'created_at'
+        };
+        const formattedUsers = users.map(u => ({
+            ...u,
+            is_admin: u.is_admin ? 'Yes' : 'No',
+            is_approved: u.is_approved ? 'Yes' : 'No'
+        }));
+
+        console.log('\n--- All Users ---\n');
+        console.log(formatCliTable(formattedUsers, tableHeaders, columnMap));
+        return;
+    }
+
+    if (subcommand === 'create') {
+        if (!options.email) {
+            throw new Error('Please provide the new user\'s email with --email.');
+        }
+        if (await userService.findByUsername(username)) {
+            throw new Error(`User '${username}' already exists.`);
+        }
+        const password = options.password || generatePassword();
+        if (password.length < 6) {
+            throw new Error('The password must be at least 6 characters long.');
+        }
+
+        const result = await userService.createByAdmin({
+            username,
+            email: options.email,
+            password,
+            is_admin: options.admin ? 'true' : 'false',
+        });
+
+        if (jsonOutput) {
+            printJson({
+                id: result.lastID,
+                username,
+                email: options.email,
+                is_admin: options.admin ? 1 : 0,
+                ...(options.password ? {} : { password }),
+            });
+            return;
+        }
+        console.log(`✅ ${options.admin ? 'Admin' : 'User'} '${username}' created (ID: ${result.lastID}).`);
+        if (!options.password) {
+            console.log(`Generated password: ${password}`);
+        }
+        return;
+    }
 
-        // Look up Category and Language IDs
-        let categoryId = null;
+    const user = await findCliUser(username);
 
-        if (options.category) {
-            const category = await categoryService.findByName(options.category);
-            if (category) {
-                categoryId = category.id;
-                console.log(`🔎 Found Category: "${category.name}" (ID: ${categoryId})`);
+    switch (subcommand) {
+        case 'approve':
+        case 'revoke': {
+            const isApproved = subcommand === 'approve' ? 1 : 0;
+            await userService.approveUser(user.id, isApproved);
+            if (jsonOutput) {
+                printJson({ id: user.id, username: user.username, is_approved: isApproved });
             } else {
-                console.warn(`⚠️ Warning: Category "${options.category}" not found. Snippet will be created without a specific category.`);
+                console.log(`✅ User '${user.username}' ${isApproved ? 'approved' : 'revoked'}.`);
             }
+            break;
         }
 
-        let languageId = null;
-        if (options.language) {
-            const language = await languageService.findByName(options.language);
-            if (language) {
-                languageId = language.id;
-                console.log(`🔎 Found Language: "${language.name}" (ID: ${languageId})`);
+        case 'promote': {
+            const isAdmin = options.demote ? 0 : 1;
+            await userService.setAdmin(user.id, isAdmin);
+            if (jsonOutput) {
+                printJson({ id: user.id, username: user.username, is_admin: isAdmin });
             } else {
-                console.warn(`⚠️ Warning: Language "${options.language}" not found. Snippet will be created without a specific language.`);
+                console.log(`✅ User '${user.username}' is ${isAdmin ? 'now' : 'no longer'} an admin.`);
             }
+            break;
         }
 
-        // For CLI creation, snippets are assigned to the initial admin user.
-        const adminUsername = process.env.ADMIN_USERNAME;
+        case 'reset-password': {
+            const password = options.password || generatePassword();
+            if (password.length < 6) {
+                throw new Error('The password must be at least 6 characters long.');
+            }
+            await userService.updatePassword(user.id, password);
+            if (jsonOutput) {
+                printJson({ id: user.id, username: user.username, ...(options.password ? {} : { password }) });
+                return;
+            }
+            console.log(`✅ Password of '${user.username}' reset.`);
+            if (!options.password) {
+                console.log(`Generated password: ${password}`);
+            }
+            break;
+        }
 
-        if (!adminUsername) {
-            throw new Error("ADMIN_USERNAME not set in .env. CLI-created snippets must have an owner.");
+        case 'rotate-key': {
+            const name = options.name || 'API key';
+            const expiresInDays = options['expires-in'] === undefined ? null : Number(options['expires-in']);
+            if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+                throw new Error(`Invalid --expires-in '${options['expires-in']}'. Use a positive number of days.`);
+            }
+
+            const oldTokens = (await apiTokenService.findAllForUser(user.id)).filter(token => token.name === name);
+            for (const token of oldTokens) {
+                await apiTokenService.revoke(token.id, user.id);
+            }
+            const { id, token } = await apiTokenService.create(user.id, {
+                name,
+                scopes: Object.keys(apiTokenService.API_SCOPES),
+                expiresInDays,
+            });
+
+            if (jsonOutput) {
+                printJson({ id, username: user.username, name, token, revoked: oldTokens.length });
+                return;
+            }
+            console.log(`✅ Revoked ${oldTokens.length} token(s) named "${name}" and issued a new one for '${user.username}'.`);
+            console.log(`API token (shown only once): ${token}`);
+            break;
+        }
+    }
+}
+
+/**
+ * Action for the 'category' and 'language' commands, which manage the two
+ * taxonomies the same way.
+ */
+async function taxonomyAction(service, label, subcommand, name, newName) {
+    await initializeDbForCli();
+
+    const lowerLabel = label.toLowerCase();
+    const findExisting = async (candidate) =>
+        (await service.findByName(candidate)) || (await service.findBySlug(slugify(candidate)));
+
+    if (subcommand === 'add') {
+        if (await findExisting(name)) {
+            throw new Error(`${label} "${name}" already exists.`);
         }
+        const result = await service.create(name);
+        if (jsonOutput) {
+            printJson({ id: result.lastID, name, slug: slugify(name) });
+        } else {
+            console.log(`✅ ${label} "${name}" created (ID: ${result.lastID}).`);
+        }
+        return;
+    }
 
-        const adminUser = await userService.findByUsername(adminUsername);
+    const item = await service.findByName(name);
+    if (!item) {
+        throw new Error(`${label} "${name}" not found.`);
+    }
 
-        if (!adminUser) {
-            throw new Error(`Admin user '${adminUsername}' not found in DB. Please ensure the initial admin account has been created by running the web server once.`);
+    if (subcommand === 'rename') {
+        const existing = await findExisting(newName);
+        if (existing && existing.id !== item.id) {
+            throw new Error(`${label} "${newName}" already exists.`);
         }
-        const userId = adminUser.id;
+        await service.update(item.id, newName);
+        if (jsonOutput) {
+            printJson({ id: item.id, name: newName, slug: slugify(newName) });
+        } else {
+            console.log(`✅ ${label} "${name}" renamed to "${newName}".`);
+        }
+        return;
+    }
 
-        // Prepare snippet data object for the service.
-        const snippetData = {
-            title: inferredTitle,
-            description: options.description || `Created via CLI from file: ${path.basename(filePath)}`,
-            code: code,
-            tags: options.tags || null,
-            category_id: categoryId,
-            language_id: languageId,
-            reference_url: options.ref || null,
-            is_private: options.private ? 1 : 0,
-            user_id: userId,
-        };
+    const confirmed = await confirmAction(
+        `Delete the ${lowerLabel} "${item.name}"? Its snippets are kept without a ${lowerLabel}.`
+    );
+    if (!confirmed) {
+        console.log('Deletion cancelled.');
+        return;
+    }
+    await service.remove(item.id);
+    if (jsonOutput) {
+        printJson({ deleted: { id: item.id, name: item.name, slug: item.slug } });
+    } else {
+        console.log(`✅ ${label} "${item.name}" deleted.`);
+    }
+}
+
+/**
+ * Parses `--name value` options (and boolean `--flag`s) following a command.
+ * `aliases` maps short options such as `-t` to their long names.
+ * Returns the options and any positional arguments, or exits on an unknown option.
+ */
+function parseCommandOptions(commandArgs, knownOptions, booleanOptions = [], aliases = {}) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < commandArgs.length; i++) {
+        const arg = commandArgs[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        const optionName = arg.startsWith('--') ? arg.slice(2) : aliases[arg.slice(1)];
+        if (booleanOptions.includes(optionName)) {
+            options[optionName] = true;
+        } else if (knownOptions.includes(optionName)) {
+            const value = commandArgs[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                console.error(`Error: Option --${optionName} requires a value.`);
+                process.exit(1);
+            }
+            options[optionName] = value;
+            i++;
+        } else {
+            console.error(`Error: Unknown option "${arg}".`);
+            process.exit(1);
+        }
+    }
+
+    return { options, positional };
+}
+
+/**
+ * Exits with a usage message when a required argument is missing.
+ */
+function requireArguments(values, command, usage) {
+    if (values.some(value => value === undefined || value === '')) {
+        console.error(`\nError: Missing arguments for "${command}".`);
+        console.error(`Usage: node manage.js ${usage}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Finds the user a CLI command acts as: the given username, or the initial admin user.
+ */
+async function findCliUser(username) {
+    const targetUsername = username || process.env.ADMIN_USERNAME;
+    if (!targetUsername) {
+        throw new Error("ADMIN_USERNAME not set in .env. Use --user to choose an account.");
+    }
+
+    const user = await userService.findByUsername(targetUsername);
+    if (!user) {
+        throw new Error(`User '${targetUsername}' not found.`);
+    }
+    return user;
+}
+
+/**
+ * Action for the 'export' command.
+ * Exports every snippet by default, or only one user's snippets with --user.
+ */
+async function exportAction(options) {
+    const format = options.format || 'json';
+    if (format !== 'json' && format !== 'markdown') {
+        throw new Error('Format must be "json" or "markdown".');
+    }
+
+    await initializeDbForCli();
+
+    // Without --user the export covers the whole library, like an admin export.
+    const scope = options.user
+        ? { ...(await findCliUser(options.user)), is_admin: 0 }
+        : { is_admin: 1 };
+
+    const defaultName = `snippets-${new Date().toISOString().slice(0, 10)}`;
+    const outputPath = options.output || `${defaultName}.${format === 'json' ? 'json' : 'zip'}`;
+
+    let content;
+    if (format === 'json') {
+        const archive = await exportService.buildArchive(scope);
+        content = JSON.stringify(archive, null, 2);
+        info(`📦 Exporting ${archive.snippets.length} snippet(s) as JSON...`);
+    } else {
+        content = await exportService.buildMarkdownZip(scope);
+        info('📦 Exporting snippets as a Markdown ZIP...');
+    }
+
+    await fs.writeFile(outputPath, content);
+    if (jsonOutput) {
+        printJson({ format, output: outputPath });
+    } else {
+        console.log(`✅ Export written to '${outputPath}'.`);
+    }
+}
+
+/**
+ * Action for the 'import' command.
+ */
+async function importAction(filePath, options) {
+    const onConflict = options['on-conflict'] || 'skip';
+    if (!importService.CONFLICT_STRATEGIES.includes(onConflict)) {
+        throw new Error('--on-conflict must be "skip" or "rename".');
+    }
+
+    const format = options.format || 'auto';
+    if (!importService.IMPORT_FORMATS.includes(format)) {
+        throw new Error(`--format must be one of: ${importService.IMPORT_FORMATS.join(', ')}.`);
+    }
+    const dryRun = !!options['dry-run'];
+
+    let buffer;
+    try {
+        buffer = await fs.readFile(filePath);
+    } catch (error) {
+        throw new Error(`File system error: Could not read file '${filePath}'. ${error.message}`);
+    }
+    const upload = importService.parseUpload(buffer, path.basename(filePath), format);
+
+    await initializeDbForCli();
+    const user = await findCliUser(options.user);
+
+    info(`⏳ ${dryRun ? 'Previewing' : 'Importing'} ${upload.snippets.length} snippet(s) ` +
+        `from ${upload.format} file as '${user.username}'...`);
+    const summary = await importService.importSnippets(upload.snippets, user, {
+        onConflict,
+        dryRun,
+        categories: upload.categories,
+        languages: upload.languages,
+    });
+
+    if (jsonOutput) {
+        printJson({ format: upload.format, dryRun, ...summary });
+        return;
+    }
+
+    printImportSummary(summary);
+}
+
+/**
+ * Prints the summary of an import. A dry run lists the snippets it would create.
+ */
+function printImportSummary(summary) {
+    if (summary.dryRun) {
+        summary.created.forEach(item => console.log(`  create   ${item.slug} (${item.language || 'no language'})` +
+            (item.tags.length > 0 ? ` [${item.tags.join(', ')}]` : '')));
+    }
+    console.log(`\n✅ ${summary.dryRun ? 'Would import' : 'Imported'} ${summary.created.length} of ${summary.total} snippet(s): ` +
+        `${summary.renamed.length} renamed, ${summary.skipped.length} skipped, ${summary.failed.length} failed.`);
+    if (summary.categoriesCreated.length > 0) {
+        console.log(`New categories: ${summary.categoriesCreated.join(', ')}`);
+    }
+    if (summary.languagesCreated.length > 0) {
+        console.log(`New languages: ${summary.languagesCreated.join(', ')}`);
+    }
+    summary.renamed.forEach(item => console.log(`  renamed  ${item.from} -> ${item.to}`));
+    summary.skipped.forEach(item => console.log(`  skipped  ${item.slug}: ${item.reason}`));
+    summary.failed.forEach(item => console.log(`  failed   ${item.title}: ${item.error}`));
+}
+
+/**
+ * Lists the files below a directory as sorted relative paths with `/`
+ * separators. Hidden entries and `node_modules` folders are left out, as are
+ * files and folders matching an `exclude` glob and, when `include` globs are
+ * given, files matching none of them.
+ */
+async function collectDirectoryFiles(rootPath, include, exclude, relativeDir = '') {
+    const entries = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.name.startsWith('.') || entry.name === 'node_modules' || matchesAnyGlob(relativePath, exclude)) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            files.push(...await collectDirectoryFiles(rootPath, include, exclude, relativePath));
+        } else if (entry.isFile() && (include.length === 0 || matchesAnyGlob(relativePath, include))) {
+            files.push(relativePath);
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Action for the 'import-dir' command. Each file becomes a snippet, named
+ * after the file unless its front matter sets a title, in the category named
+ * after its top-level folder. The import itself runs through the import
+ * service as the initial admin user, with the owner as each snippet's author.
+ */
+async function importDirAction(rootPath, options) {
+    const onConflict = options['on-conflict'] || 'rename';
+    if (!importService.CONFLICT_STRATEGIES.includes(onConflict)) {
+        throw new Error('--on-conflict must be "skip" or "rename".');
+    }
+    const dryRun = !!options['dry-run'];
+    const toGlobList = value => String(value || '').split(',').map(glob => glob.trim()).filter(Boolean);
+
+    let stats;
+    try {
+        stats = await fs.stat(rootPath);
+    } catch (error) {
+        throw new Error(`File system error: Could not read directory '${rootPath}'. ${error.message}`);
+    }
+    if (!stats.isDirectory()) {
+        throw new Error(`'${rootPath}' is not a directory. Use 'create' or 'import' for single files.`);
+    }
+    const filePaths = await collectDirectoryFiles(rootPath, toGlobList(options.include), toGlobList(options.exclude));
+
+    await initializeDbForCli();
+    const admin = await findCliUser();
+    const owner = options.owner ? await findCliUser(options.owner) : admin;
+    const knownHashes = await snippetFileService.findContentHashes();
+
+    const items = [];
+    const categories = new Map();
+    const duplicates = [];
+    const unreadable = [];
+
+    for (const relativePath of filePaths) {
+        const buffer = await fs.readFile(path.join(rootPath, relativePath));
+        if (buffer.includes(0)) {
+            unreadable.push({ file: relativePath, reason: 'Binary file.' });
+            continue;
+        }
+
+        const { data, content } = parseFrontMatter(buffer.toString('utf8'));
+
+        // Files whose content is already stored were imported before.
+        const hash = snippetFileService.hashContent(content);
+        if (knownHashes.has(hash)) {
+            duplicates.push(relativePath);
+            continue;
+        }
+        knownHashes.add(hash);
+
+        const folder = relativePath.includes('/') ? relativePath.split('/')[0] : null;
+        if (folder) {
+            categories.set(slugify(folder), folder);
+        }
+        const filename = path.basename(relativePath);
+        const language = detectLanguage({ filename, content })?.slug || null;
+        const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(',');
+
+        items.push({
+            title: String(data.title || inferTitleFromFilename(filename)),
+            description: data.description ? String(data.description) : `Imported from ${relativePath}`,
+            files: [{ filename, language, content }],
+            language,
+            category: folder ? slugify(folder) : null,
+            tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+            is_private: !!options.private,
+            author: owner.username,
+        });
+    }
+
+    info(`⏳ ${dryRun ? 'Previewing' : 'Importing'} ${items.length} file(s) from '${rootPath}' as '${owner.username}'...`);
+    const summary = await importService.importSnippets(items, admin, {
+        onConflict,
+        dryRun,
+        categories: [...categories].map(([slug, name]) => ({ slug, name })),
+        createCategories: !!options['create-categories'],
+    });
+
+    if (jsonOutput) {
+        printJson({ ...summary, duplicates, unreadable });
+        return;
+    }
+
+    printImportSummary(summary);
+    duplicates.forEach(file => console.log(`  duplicate ${file}: Already imported.`));
+    unreadable.forEach(item => console.log(`  ignored  ${item.file}: ${item.reason}`));
+}
+
+/**
+ * Action for the 'migrate' command.
+ * Connects without running the automatic migrations so pending ones can be listed.
+ */
+async function migrateAction(subcommand) {
+    try {
+        await connectDatabase(true);
+    } catch (dbError) {
+        console.error('\nFATAL: Could not connect to the database.');
+        console.error(dbError.message);
+        process.exit(1);
+    }
 
-        // Call the snippet service to create the entry in the database.
-        console.log(`🚀 Creating snippet with title: '${snippetData.title}'...`);
-        const newSnippet = await snippetService.create(snippetData);
+    const migrations = await getMigrationStatus();
+    const pending = migrations.filter(m => !m.applied);
 
-        console.log("✅ Snippet created successfully!");
-        console.log(`Response: { snippetId: ${newSnippet.lastID} }`);
-        console.log(`🌐 View it in your dashboard: http://localhost:3000/admin/snippets`);
+    if (subcommand === 'status') {
+        if (jsonOutput) {
+            printJson(migrations);
+            return;
+        }
 
+        const tableHeaders = ['Version', 'Name', 'Status', 'Applied At'];
+        const columnMap = {
+            'Version': 'version',
+            'Name': 'name',
+            'Status': 'status',
+            'Applied At': 'applied_at'
+        };
+
+        const formattedMigrations = migrations.map(m => ({
+            version: String(m.version).padStart(3, '0'),
+            name: m.name,
+            status: m.applied ? 'Applied' : 'Pending',
+            applied_at: m.applied_at
+        }));
+
+        console.log('\n--- Schema Migrations ---\n');
+        console.log(formatCliTable(formattedMigrations, tableHeaders, columnMap));
+        console.log(pending.length > 0
+            ? `${pending.length} pending migration(s). Run 'node manage.js migrate up' to apply them.\n`
+            : 'Database schema is up to date.\n');
+        return;
+    }
+
+    try {
+        await runMigrations(jsonOutput);
     } catch (error) {
-        console.error(`❌ An error occurred: ${error.message}`);
-        throw error;
+        console.error(`❌ ${error.message}`);
+        console.error('The failed migration was rolled back. The server will not start until it succeeds.');
+        process.exit(1);
+    }
+    if (jsonOutput) {
+        printJson({ applied: pending.map(m => m.name) });
+    } else {
+        console.log('✅ Migrations complete.');
     }
 }
 
@@ -299,7 +1324,7 @@ async function initializeDbForCli() {
         await new Promise(resolve => setTimeout(resolve, 50));
         getDb();
         dbInitialized = true;
-        console.log("Database initialized for direct access commands.");
+        info("Database initialized for direct access commands.");
     } catch (dbError) {
         console.error("\nFATAL: Could not initialize database for CLI direct access.");
         console.error(dbError.message);
@@ -311,107 +1336,164 @@ async function initializeDbForCli() {
  * Parses command-line arguments
  */
 async function woot() {
-    const args = process.argv.slice(2);
+    // The global options may appear anywhere on the command line.
+    const args = process.argv.slice(2).filter(arg => {
+        if (arg === '--json') {
+            jsonOutput = true;
+            return false;
+        }
+        if (arg === '--yes' || arg === '-y') {
+            assumeYes = true;
+            return false;
+        }
+        return true;
+    });
 
     if (args.length === 0 || args[0] === '--help') {
-        console.log(`
-Usage: node manage.js <command> [arguments]
-
-Commands:
-  list                                List all snippets in the database (direct DB access).
-  delete <snippetId>                  Delete a snippet by its ID (direct DB access). Prompts for confirmation.
-  create <filePath> [options]         Create a new snippet from a file (direct DB access).
-                                      See 'create --help' for options.
-
-Example:
-  node manage.js list
-  node manage.js delete 123
-  node manage.js create ./my_code.js --title "My CLI Snippet" --language "JavaScript"
-
-Global Options:
-  --help                            Display this help message.
-        `);
+        console.log(HELP.main);
         return;
     }
 
     const command = args[0].toLowerCase();
     const commandArgs = args.slice(1);
 
+    if (commandArgs.includes('--help')) {
+        console.log(HELP[command] || HELP.main);
+        return;
+    }
+
     switch (command) {
         case 'list':
             await listSnippetsAction();
             break;
 
+        case 'show':
+            requireArguments([commandArgs[0]], 'show', 'show <snippet>');
+            await showSnippetAction(commandArgs[0]);
+            break;
+
+        case 'search': {
+            const { options, positional } = parseCommandOptions(commandArgs, ['page', 'limit']);
+            await searchSnippetsAction(positional.join(' '), options);
+            break;
+        }
+
         case 'delete':
-            const snippetId = parseInt(commandArgs[0], 10);
-            if (isNaN(snippetId) || snippetId <= 0) {
-                console.error('\nError: For "delete" command, please provide a valid snippet ID.');
-                console.error('Usage: node manage.js delete <snippetId>');
+            requireArguments([commandArgs[0]], 'delete', 'delete <snippet> [--yes]');
+            await deleteSnippetAction(commandArgs[0]);
+            break;
+
+        case 'create': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs,
+                ['title', 'description', 'category', 'language', 'tags', 'ref', 'expires-at', 'max-views', 'user'],
+                ['private'],
+                { t: 'title', d: 'description', c: 'category', l: 'language', r: 'ref', p: 'private' }
+            );
+            requireArguments([positional[0]], 'create', 'create <filePath> [options]');
+            await createSnippetAction(positional[0], options);
+            break;
+        }
+
+        case 'edit': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs,
+                ['title', 'description', 'category', 'language', 'tags', 'ref', 'visibility', 'file', 'expires-at', 'max-views'],
+                [],
+                { t: 'title', d: 'description', c: 'category', l: 'language', r: 'ref' }
+            );
+            requireArguments([positional[0]], 'edit', 'edit <snippet> [options]');
+            await editSnippetAction(positional[0], options);
+            break;
+        }
+
+        case 'move': {
+            const { options, positional } = parseCommandOptions(commandArgs, ['user', 'team']);
+            requireArguments([positional[0]], 'move', 'move <snippet> [--user <username>] [--team <slug|none>]');
+            await moveSnippetAction(positional[0], options);
+            break;
+        }
+
+        case 'user': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs, ['email', 'password', 'name', 'expires-in'], ['admin', 'demote']
+            );
+            const subcommand = (positional[0] || '').toLowerCase();
+            const subcommands = ['list', 'create', 'approve', 'revoke', 'promote', 'reset-password', 'rotate-key'];
+            if (!subcommands.includes(subcommand)) {
+                console.error(`\nError: For "user" command, please provide one of: ${subcommands.join(', ')}.`);
+                console.error(HELP.user);
                 process.exit(1);
             }
-            await deleteSnippetAction(snippetId);
+            if (subcommand !== 'list') {
+                requireArguments([positional[1]], `user ${subcommand}`, `user ${subcommand} <username>`);
+            }
+            await userAction(subcommand, positional[1], options);
             break;
+        }
 
-        case 'create':
-            const filePath = commandArgs[0];
-            const options = {};
-            
-            // Manual parsing of options for the 'create' command.
-            for (let i = 1; i < commandArgs.length; i++) {
-                const arg = commandArgs[i];
-                if (arg === '--help') {
-                    console.log(`
-Usage: node manage.js create <filePath> [options]
+        case 'category':
+        case 'language': {
+            const { positional } = parseCommandOptions(commandArgs, []);
+            const [subcommand = '', name, newName] = positional;
+            const usages = { add: 'add <name>', rename: 'rename <name> <newName>', remove: 'remove <name>' };
+            if (!usages[subcommand.toLowerCase()]) {
+                console.error(`\nError: For "${command}" command, please provide "add", "rename" or "remove".`);
+                console.error(HELP[command]);
+                process.exit(1);
+            }
+            const usage = usages[subcommand.toLowerCase()];
+            requireArguments(
+                subcommand.toLowerCase() === 'rename' ? [name, newName] : [name],
+                `${command} ${subcommand}`,
+                `${command} ${usage}`
+            );
+            await taxonomyAction(
+                command === 'category' ? categoryService : languageService,
+                command === 'category' ? 'Category' : 'Language',
+                subcommand.toLowerCase(),
+                name,
+                newName
+            );
+            break;
+        }
 
-Description: Create a new snippet from a local file.
+        case 'export': {
+            const { options } = parseCommandOptions(commandArgs, ['format', 'output', 'user']);
+            await exportAction(options);
+            break;
+        }
 
-Arguments:
-  <filePath>                  Path to the local file containing the snippet code.
+        case 'import': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs, ['format', 'on-conflict', 'user'], ['dry-run']
+            );
+            requireArguments([positional[0]], 'import', 'import <filePath> [options]');
+            await importAction(positional[0], options);
+            break;
+        }
 
-Options:
-  -t, --title <title>         Snippet title (required if not produced from filename)
-  -d, --description <desc>    Snippet description
-  -c, --category <name>       Category name (e.g., "Web Dev")
-  -l, --language <name>       Language name (e.g., "JavaScript")
-  --tags <tags>               Comma-separated tags (e.g., "cli, script")
-  -r, --ref <url>             Reference URL
-  -p, --private               Mark the snippet as private (default is public)
-  --help                      Display help for the 'create' command.
-                    `);
-                    process.exit(0);
-                } else if (arg.startsWith('-')) {
-                    let optionName = arg.startsWith('--') ? arg.slice(2) : arg.slice(1);
-                    if (optionName === 't') optionName = 'title';
-                    if (optionName === 'd') optionName = 'description';
-                    if (optionName === 'c') optionName = 'category';
-                    if (optionName === 'l') optionName = 'language';
-                    if (optionName === 'r') optionName = 'ref';
-                    if (optionName === 'p') optionName = 'private';
-
-                    if (optionName === 'private') {
-                        options.private = true;
-                    } else {
-                        const value = commandArgs[i + 1];
-                        if (value === undefined || value.startsWith('-')) {
-                            console.error(`Error: Option --${optionName} requires a value.`);
-                            process.exit(1);
-                        }
-                        options[optionName] = value;
-                        i++;
-                    }
-                } else {
-                    console.error(`Error: Unexpected argument "${arg}". Expected options after file path.`);
-                    process.exit(1);
-                }
-            }
+        case 'import-dir': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs,
+                ['owner', 'include', 'exclude', 'on-conflict'],
+                ['dry-run', 'create-categories', 'private']
+            );
+            requireArguments([positional[0]], 'import-dir', 'import-dir <path> [options]');
+            await importDirAction(positional[0], options);
+            break;
+        }
 
-            if (!filePath) {
-                console.error('\nError: For "create" command, please provide a file path.');
-                console.error('Usage: node manage.js create <filePath> [options]');
+        case 'migrate': {
+            const subcommand = (commandArgs[0] || '').toLowerCase();
+            if (subcommand !== 'status' && subcommand !== 'up') {
+                console.error('\nError: For "migrate" command, please provide "status" or "up".');
+                console.error('Usage: node manage.js migrate <status|up>');
                 process.exit(1);
             }
-            await createSnippetAction(filePath, options);
+            await migrateAction(subcommand);
             break;
+        }
 
         default:
             console.error(`\nError: Unknown command "${command}".`);
@@ -422,5 +1504,6 @@ Options:
 
 // woot
 woot().catch(error => {
+    console.error(`❌ An error occurred: ${error.message}`);
     process.exit(1);
 });
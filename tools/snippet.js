@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line client for the HTTP API. Unlike manage.js, it does not need
+ * access to the database and can run on any machine that reaches the server.
+ * It authenticates with an API token from the user's profile page.
+ *
+ * Usage:
+ *   node snippet.js <command> [arguments]
+ *
+ * Commands:
+ *   config [--url <url>] [--token <token>]   Show or save the server URL and API token.
+ *   push [filePath] [options]                Create a snippet from a file or from stdin.
+ *   get <snippet> [--file <name>]            Print a snippet's code.
+ *   ls [--page <n>] [--limit <n>]            List your snippets, private ones too.
+ *   search <query> [options]                 Search snippets.
+ *
+ * Global Options:
+ *   --json                                   Print API responses as JSON, for scripting.
+ *   --help                                   Display this help message.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const CONFIG_PATH = process.env.SNIPPET_CONFIG || path.join(os.homedir(), '.snippetrc');
+
+const HELP = {
+    main: `
+Usage: snippet <command> [arguments] [--json]
+
+Commands:
+  config [--url <url>] [--token <token>]   Show the configuration, or save the server URL and
+                                           API token to ${CONFIG_PATH}.
+  push [filePath] [options]                Create a snippet from a file, or from stdin when the
+                                           path is "-" or left out. See 'push --help'.
+  get <snippet> [--file <name>]            Print the code of a snippet, by ID, slug or short ID.
+  ls [--page <n>] [--limit <n>]            List your snippets, private ones too.
+  search <query> [--page <n>] [--limit <n>]
+                                           Search snippets with the search box syntax, e.g.
+                                           "lang:python tag:cli -lang:php". "is:private" finds
+                                           your own private snippets.
+
+The SNIPPET_URL and SNIPPET_TOKEN environment variables override the saved configuration.
+
+Example:
+  snippet config --url https://snippets.example.com --token 0123abcd...
+  snippet push ./retry.js --tags "http, retry" --category "Web Dev"
+  pbpaste | snippet push --title "Cleanup query" --language sql --private
+  snippet get a1B2c3D4 > retry.js
+  snippet search "lang:javascript retry" --json
+  snippet search retry -lang:php -tag:legacy
+
+Global Options:
+  --json                                   Print the API's JSON responses instead of text.
+  --help                                   Display this help message.
+`,
+    push: `
+Usage: snippet push [filePath] [options]
+
+Description: Create a snippet from a local file, or from stdin when the path is "-" or
+left out. Without --language, the server detects the language from the filename and code.
+
+Options:
+  -t, --title <title>         Snippet title (default: produced from the filename; required for stdin)
+  -d, --description <desc>    Snippet description
+  -c, --category <name>       Category name or slug (e.g., "Web Dev")
+  -l, --language <name>       Language name or slug (e.g., "Python")
+  --tags <tags>               Comma-separated tags (e.g., "cli, script")
+  -r, --ref <url>             Reference URL
+  -p, --private               Make the snippet private (default is public)
+  --filename <name>           Filename to store stdin input under
+  --help                      Display help for the 'push' command.
+`,
+};
+
+let jsonOutput = false;
+
+/**
+ * Reads the saved configuration. A missing file is an empty configuration.
+ */
+async function readConfig() {
+    try {
+        return JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw new Error(`Could not read the configuration in '${CONFIG_PATH}'. ${error.message}`);
+    }
+}
+
+/**
+ * Resolves the server URL and API token, with the environment taking precedence.
+ */
+async function loadSettings() {
+    const config = await readConfig();
+    const url = process.env.SNIPPET_URL || config.url;
+    const token = process.env.SNIPPET_TOKEN || config.token;
+    if (!url || !token) {
+        throw new Error("No server URL or API token configured. Run 'snippet config --url <url> --token <token>'.");
+    }
+    return { url: url.replace(/\/+$/, ''), token };
+}
+
+/**
+ * Sends a request to the API and resolves with the parsed JSON response.
+ * Responses with an error status are thrown as errors with the API's message.
+ */
+async function apiRequest(settings, method, apiPath, body) {
+    let response;
+    try {
+        response = await fetch(`${settings.url}/api/v1${apiPath}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${settings.token}`,
+                Accept: 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        throw new Error(`Could not reach ${settings.url}. ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (error) {
+        throw new Error(`Unexpected response from ${settings.url} (HTTP ${response.status}). Is the URL correct?`);
+    }
+    if (!response.ok) {
+        const error = new Error(`${data.message || 'Request failed.'} (HTTP ${response.status})`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Looks up the ID of a category or language by name or slug through the API's
+ * lookup endpoints. Unknown names are an error.
+ */
+async function lookupId(settings, type, name) {
+    try {
+        const item = await apiRequest(settings, 'GET', `/${type}/lookup/${encodeURIComponent(name)}`);
+        return item.id;
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`${type === 'categories' ? 'Category' : 'Language'} "${name}" not found on the server.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads all of stdin as text.
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Produces a human-readable snippet title from a given filename.
+ */
+function inferTitleFromFilename(filename) {
+    const nameWithoutExt = path.basename(filename, path.extname(filename));
+    return nameWithoutExt.split(/[-_]/)
+                         .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                         .join(' ');
+}
+
+/**
+ * Prints rows as aligned text columns. `columns` maps headings to row keys.
+ */
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log('No snippets found.');
+        return;
+    }
+
+    const headings = Object.keys(columns);
+    const cells = rows.map(row => headings.map(heading => {
+        const value = row[columns[heading]];
+        return value === null || value === undefined ? '-' : String(value);
+    }));
+    const widths = headings.map((heading, i) => Math.max(heading.length, ...cells.map(cell => cell[i].length)));
+
+    console.log(headings.map((heading, i) => heading.toUpperCase().padEnd(widths[i])).join('  ').trimEnd());
+    cells.forEach(cell => console.log(cell.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()));
+}
+
+/**
+ * Action for the 'config' command. Saves the given settings, or shows the
+ * current ones with the token shortened.
+ */
+async function configAction(options) {
+    const config = await readConfig();
+
+    if (options.url || options.token) {
+        if (options.url) {
+            if (!/^https?:\/\//.test(options.url)) {
+                throw new Error('--url must start with http:// or https://.');
+            }
+            config.url = options.url.replace(/\/+$/, '');
+        }
+        if (options.token) {
+            config.token = options.token;
+        }
+        // The file holds a credential, so only its owner may read it.
+        await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+        await fs.chmod(CONFIG_PATH, 0o600);
+        if (!jsonOutput) {
+            console.log(`Configuration saved to '${CONFIG_PATH}'.`);
+            return;
+        }
+    }
+
+    const shown = {
+        path: CONFIG_PATH,
+        url: config.url || null,
+        token: config.token ? `${config.token.slice(0, 8)}…` : null
+    };
+    if (jsonOutput) {
+        console.log(JSON.stringify(shown, null, 2));
+        return;
+    }
+    console.log(`Config file: ${shown.path}`);
+    console.log(`Server URL:  ${shown.url || '(not set)'}`);
+    console.log(`API token:   ${shown.token || '(not set)'}`);
+}
+
+/**
+ * Action for the 'push' command.
+ */
+async function pushAction(filePath, options) {
+    const fromStdin = !filePath || filePath === '-';
+    if (fromStdin && process.stdin.isTTY) {
+        throw new Error('Nothing to push. Give a file path or pipe the code to stdin.');
+    }
+
+    let code;
+    if (fromStdin) {
+        code = await readStdin();
+    } else {
+        try {
+            code = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            throw new Error(`File system error: Could not read file '${filePath}'. ${error.message}`);
+        }
+    }
+    if (!code.trim()) {
+        throw new Error('The snippet has no code.');
+    }
+
+    const filename = fromStdin ? options.filename : path.basename(filePath);
+    const title = options.title || (filename ? inferTitleFromFilename(filename) : '');
+    if (!title) {
+        throw new Error('A title is required for code from stdin. Use --title.');
+    }
+
+    const settings = await loadSettings();
+    const languageId = options.language ? await lookupId(settings, 'languages', options.language) : null;
+    const categoryId = options.category ? await lookupId(settings, 'categories', options.category) : null;
+
+    const created = await apiRequest(settings, 'POST', '/snippets', {
+        title,
+        description: options.description || '',
+        tags: options.tags || '',
+        category_id: categoryId,
+        language_id: languageId,
+        reference_url: options.ref || null,
+        is_private: !!options.private,
+        files: [{ filename: filename || '', language_id: languageId, content: code }]
+    });
+    const { data: snippet } = await apiRequest(settings, 'GET', `/snippets/${created.snippetId}`);
+
+    if (jsonOutput) {
+        console.log(JSON.stringify(snippet, null, 2));
+        return;
+    }
+    console.log(`Created snippet ${snippet.id}: ${snippet.title}`);
+    for (const detected of created.detectedLanguages || []) {
+        console.log(`Detected language: ${detected.name} (from the ${detected.source}, ${Math.round(detected.confidence * 100)}% sure)`);
+    }
+    console.log(`${settings.url}/${snippet.short_id || snippet.slug}`);
+}
+
+/**
+ * Action for the 'get' command. Prints only the code, so it can be redirected to a file.
+ */
+async function getAction(identifier, options) {
+    const settings = await loadSettings();
+    const { data: snippet } = await apiRequest(settings, 'GET', `/snippets/${encodeURIComponent(identifier)}`);
+
+    if (jsonOutput) {
+        console.log(JSON.stringify(snippet, null, 2));
+        return;
+    }
+
+    const files = snippet.files || [];
+    const file = options.file ? files.find(f => f.filename === options.file) : files[0];
+    if (options.file && !file) {
+        throw new Error(`The snippet has no file named '${options.file}'. Its files: ${files.map(f => f.filename).join(', ')}.`);
+    }
+    if (!options.file && files.length > 1) {
+        console.error(`Printing '${file.filename}', the first of ${files.length} files. Use --file to choose another.`);
+    }
+    process.stdout.write(file ? file.content : snippet.code);
+}
+
+/**
+ * Action for the 'ls' and 'search' commands.
+ */
+async function listAction(queryText, options) {
+    const settings = await loadSettings();
+    const params = new URLSearchParams();
+    if (queryText !== null) {
+        params.set('q', queryText);
+    }
+    if (options.page) {
+        params.set('page', options.page);
+    }
+    if (options.limit) {
+        params.set('limit', options.limit);
+    }
+
+    const result = await apiRequest(settings, 'GET', `${queryText === null ? '/snippets' : '/search'}?${params}`);
+    if (jsonOutput) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    printTable(result.data, {
+        'Short ID': 'short_id',
+        'Title': 'title',
+        'Language': 'language_name',
+        'Tags': 'tags',
+        'Created': 'created_at'
+    });
+    const { totalItems, currentPage, totalPages } = result.meta;
+    console.log(`\n${totalItems} snippet(s), page ${currentPage} of ${Math.max(1, totalPages)}.`);
+}
+
+/**
+ * Parses `--name value` options (and boolean `--flag`s) following a command.
+ * `aliases` maps short options such as `-t` to their long names. Arguments
+ * after `--` are never options. With `keepUnknown`, unknown arguments that
+ * start with "-" are kept as positional ones instead of being an error, for
+ * search queries with negated terms such as `-lang:php`.
+ */
+function parseCommandOptions(commandArgs, knownOptions, booleanOptions = [], aliases = {}, keepUnknown = false) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < commandArgs.length; i++) {
+        const arg = commandArgs[i];
+        if (arg === '--') {
+            positional.push(...commandArgs.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        const optionName = arg.startsWith('--') ? arg.slice(2) : aliases[arg.slice(1)];
+        if (booleanOptions.includes(optionName)) {
+            options[optionName] = true;
+        } else if (knownOptions.includes(optionName)) {
+            const value = commandArgs[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`Option --${optionName} requires a value.`);
+            }
+            options[optionName] = value;
+            i++;
+        } else if (keepUnknown) {
+            positional.push(arg);
+        } else {
+            throw new Error(`Unknown option "${arg}".`);
+        }
+    }
+
+    return { options, positional };
+}
+
+/**
+ * Parses command-line arguments
+ */
+async function main() {
+    const args = process.argv.slice(2).filter(arg => {
+        if (arg === '--json') {
+            jsonOutput = true;
+            return false;
+        }
+        return true;
+    });
+
+    if (args.length === 0 || args[0] === '--help') {
+        console.log(HELP.main);
+        return;
+    }
+
+    const command = args[0].toLowerCase();
+    const commandArgs = args.slice(1);
+
+    if (commandArgs.includes('--help')) {
+        console.log(HELP[command] || HELP.main);
+        return;
+    }
+
+    switch (command) {
+        case 'config': {
+            const { options } = parseCommandOptions(commandArgs, ['url', 'token']);
+            await configAction(options);
+            break;
+        }
+
+        case 'push': {
+            const { options, positional } = parseCommandOptions(
+                commandArgs,
+                ['title', 'description', 'category', 'language', 'tags', 'ref', 'filename'],
+                ['private'],
+                { t: 'title', d: 'description', c: 'category', l: 'language', r: 'ref', p: 'private' }
+            );
+            await pushAction(positional[0], options);
+            break;
+        }
+
+        case 'get': {
+            const { options, positional } = parseCommandOptions(commandArgs, ['file']);
+            if (!positional[0]) {
+                throw new Error('Usage: snippet get <snippet> [--file <name>]');
+            }
+            await getAction(positional[0], options);
+            break;
+        }
+
+        case 'ls': {
+            const { options } = parseCommandOptions(commandArgs, ['page', 'limit']);
+            await listAction(null, options);
+            break;
+        }
+
+        case 'search': {
+            const { options, positional } = parseCommandOptions(commandArgs, ['page', 'limit'], [], {}, true);
+            if (positional.length === 0) {
+                throw new Error('Usage: snippet search <query> [--page <n>] [--limit <n>]');
+            }
+            await listAction(positional.join(' '), options);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}". Run with --help for usage information.`);
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,168 @@
+/**
+ * Line-level diff utility.
+ */
+
+// Beyond this many edits the diff falls back to "remove everything, add everything"
+// to keep memory use bounded on huge, completely rewritten snippets.
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Splits a text into lines, normalizing Windows line endings.
+ */
+function splitLines(text) {
+  if (text === null || text === undefined || text === "") {
+    return [];
+  }
+  return String(text).replace(/\r\n/g, "\n").split("\n");
+}
+
+/**
+ * Finds the shortest edit script between two arrays of lines (Myers' algorithm)
+ * and returns it as a list of "equal", "removed" and "added" operations.
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * offset + 1).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only the diagonals reachable in d steps matter, so store just that window.
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too many changes: treat the whole block as replaced.
+  return [
+    ...a.map((text) => ({ type: "removed", text })),
+    ...b.map((text) => ({ type: "added", text })),
+  ];
+}
+
+/**
+ * Walks the recorded Myers trace backwards to rebuild the edit operations.
+ */
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const window = trace[d];
+    const at = (k) => window[k + d];
+    const k = x - y;
+
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", text: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: "added", text: b[--y] });
+    } else {
+      ops.push({ type: "removed", text: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: "equal", text: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Computes a line-level diff between two texts.
+ * Each returned line has a `type` ("equal", "removed" or "added"), its `text`,
+ * and its line number in the old and/or new text.
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Strip the common prefix and suffix before running the diff proper.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map((text) => ({ type: "equal", text })),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map((text) => ({ type: "equal", text })),
+  ];
+
+  let oldLine = 0;
+  let newLine = 0;
+  return ops.map((op) => ({
+    ...op,
+    oldLine: op.type === "added" ? null : ++oldLine,
+    newLine: op.type === "removed" ? null : ++newLine,
+  }));
+}
+
+/**
+ * Computes line-level diffs between two lists of files (`{ filename, content }`),
+ * pairing them by position. Each returned entry has the `oldName` and `newName`
+ * of the file, whether it was `added` or `removed`, whether it `changed` at all,
+ * and the diffed `lines` of its content.
+ */
+function diffFiles(oldFiles, newFiles) {
+  const count = Math.max(oldFiles.length, newFiles.length);
+  return Array.from({ length: count }, (_, index) => {
+    const oldFile = oldFiles[index];
+    const newFile = newFiles[index];
+    const oldName = oldFile ? oldFile.filename : null;
+    const newName = newFile ? newFile.filename : null;
+    const lines = diffLines(oldFile ? oldFile.content : "", newFile ? newFile.content : "");
+    return {
+      oldName,
+      newName,
+      added: !oldFile,
+      removed: !newFile,
+      changed:
+        !oldFile ||
+        !newFile ||
+        Boolean(oldName && oldName !== newName) ||
+        lines.some((line) => line.type !== "equal"),
+      lines,
+    };
+  });
+}
+
+module.exports = {
+  diffLines,
+  diffFiles,
+};
@@ -0,0 +1,43 @@
+/**
+ * Looks up languages from filenames, using the language map in reverse.
+ */
+
+const path = require("path");
+const languageExtensionMap = require("./language-map");
+
+// Extensions the language map does not list, mapped to the language slug they belong to.
+const EXTRA_EXTENSIONS = {
+  ".htm": "html",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".jsx": "javascript",
+  ".tsx": "typescript",
+  ".bash": "bash",
+  ".zsh": "bash",
+  ".h": "c",
+  ".cc": "cpp",
+  ".cxx": "cpp",
+  ".hpp": "cpp",
+  ".kts": "kotlin",
+  ".yml": "yaml",
+  ".markdown": "markdown",
+};
+
+const extensionToLanguage = {
+  ...Object.fromEntries(
+    Object.entries(languageExtensionMap).map(([slug, extension]) => [extension, slug])
+  ),
+  ...EXTRA_EXTENSIONS,
+};
+
+/**
+ * Returns the slug of the language a filename's extension belongs to, or null.
+ */
+function findLanguageSlugByFilename(filename) {
+  const extension = path.extname(String(filename || "")).toLowerCase();
+  return extensionToLanguage[extension] || null;
+}
+
+module.exports = {
+  findLanguageSlugByFilename,
+};
@@ -0,0 +1,101 @@
+/**
+ * Parser for the front matter at the top of snippet files: a block between
+ * two `---` lines holding either a JSON object or simple YAML.
+ */
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * The keys snippet front matter may hold. A block with any other key is part
+ * of the file itself, like the first document of a multi-document YAML file
+ * or the front matter of a Jekyll page.
+ */
+const FRONT_MATTER_KEYS = ["title", "description", "tags"];
+
+/**
+ * Removes the quotes around a YAML scalar, if any.
+ */
+function unquote(value) {
+  const text = value.trim();
+  if (text.length >= 2 && text[0] === text[text.length - 1] && (text[0] === '"' || text[0] === "'")) {
+    return text.slice(1, -1);
+  }
+  return text;
+}
+
+/**
+ * Parses the subset of YAML that front matter commonly uses: `key: value` pairs,
+ * inline lists (`tags: [a, b]`) and block lists of `- item` lines.
+ * Comments and blank lines are ignored.
+ */
+function parseSimpleYaml(text) {
+  const data = {};
+  let listKey = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      return;
+    }
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Line ${index + 1} of the front matter is not a "key: value" pair.`);
+    }
+
+    const [, key, value] = pair;
+    listKey = null;
+    if (value === "") {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = value
+        .trim()
+        .slice(1, -1)
+        .split(",")
+        .map(unquote)
+        .filter(Boolean);
+    } else {
+      data[key] = unquote(value);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Splits a file's text into its front matter and the remaining content.
+ * A leading `---` block only counts as front matter when it parses and holds
+ * nothing but FRONT_MATTER_KEYS; otherwise, and for files without one, the
+ * whole text comes back as content with empty `data`.
+ */
+function parseFrontMatter(text) {
+  const noFrontMatter = { data: {}, content: String(text) };
+  const match = String(text).match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return noFrontMatter;
+  }
+
+  const source = match[1].trim();
+  let data;
+  try {
+    data = source.startsWith("{") ? JSON.parse(source) : parseSimpleYaml(source);
+  } catch (err) {
+    return noFrontMatter;
+  }
+
+  const keys = data && typeof data === "object" && !Array.isArray(data) ? Object.keys(data) : [];
+  if (keys.length === 0 || !keys.every((key) => FRONT_MATTER_KEYS.includes(key))) {
+    return noFrontMatter;
+  }
+  return { data, content: String(text).slice(match[0].length) };
+}
+
+module.exports = {
+  parseFrontMatter,
+};
@@ -0,0 +1,48 @@
+/**
+ * Matches relative file paths against glob patterns such as `*.js`,
+ * `src/**\/*.py` or `test?.sh`.
+ */
+
+/**
+ * Converts a glob pattern to a regular expression. `**` matches any number of
+ * folders, `*` anything within one path segment and `?` a single character.
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // `**/` may also match no folder at all.
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i++;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a relative path (with `/` separators) matches any of the
+ * patterns. Like in `.gitignore`, patterns without a slash match the file's
+ * name in any folder.
+ */
+function matchesAnyGlob(relativePath, patterns) {
+  const name = relativePath.split("/").pop();
+  return patterns.some((pattern) =>
+    globToRegExp(pattern).test(pattern.includes("/") ? relativePath : name)
+  );
+}
+
+module.exports = {
+  matchesAnyGlob,
+};
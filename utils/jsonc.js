@@ -0,0 +1,71 @@
+/**
+ * Parser for JSON with comments (JSONC), as used by VS Code settings and snippet files.
+ */
+
+/**
+ * Finds the next character that is neither whitespace nor part of a comment.
+ */
+function nextSignificantChar(text, index) {
+  let i = index;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith("//", i)) {
+      const end = text.indexOf("\n", i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      return text[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Removes comments and trailing commas from JSONC text, leaving strings untouched.
+ */
+function stripJsonc(text) {
+  let output = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"') {
+      // Copy the whole string literal, including escaped quotes.
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      output += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (text.startsWith("//", i)) {
+      const end = text.indexOf("\n", i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (char === "," && ["}", "]"].includes(nextSignificantChar(text, i + 1))) {
+      i++;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Parses JSONC text. Throws a SyntaxError like JSON.parse when it is invalid.
+ */
+function parseJsonc(text) {
+  // A byte order mark is common in files saved by Windows editors.
+  return JSON.parse(stripJsonc(text.replace(/^\uFEFF/, "")));
+}
+
+module.exports = {
+  parseJsonc,
+};
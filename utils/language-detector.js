@@ -0,0 +1,320 @@
+/**
+ * Guesses the language of a piece of code from its filename, its shebang line
+ * and characteristic tokens. Results are language slugs from the language map
+ * with a confidence between 0 and 1.
+ */
+
+const { findLanguageSlugByFilename } = require("./file-language");
+
+// Interpreters named on a shebang line, mapped to the language slug they run.
+const SHEBANG_INTERPRETERS = {
+  python: "python",
+  node: "javascript",
+  nodejs: "javascript",
+  deno: "typescript",
+  "ts-node": "typescript",
+  bash: "bash",
+  sh: "bash",
+  zsh: "bash",
+  dash: "bash",
+  ksh: "bash",
+  ruby: "ruby",
+  perl: "perl",
+  php: "php",
+  pwsh: "powershell",
+  powershell: "powershell",
+  kotlin: "kotlin",
+  swift: "swift",
+};
+
+/**
+ * Characteristic tokens of each language, with how strongly each one points
+ * to it. Every pattern counts once, however often it matches. Line-based
+ * (`/m`) patterns only match spaces and tabs as whitespace: `\s` would run on
+ * across blank lines from every line start, which takes quadratic time.
+ */
+const TOKEN_RULES = {
+  python: [
+    [/^[ \t]*def \w+\(.*\)[ \t]*(->[ \t]*[\w[\], ]+)?:[ \t]*$/m, 3],
+    [/^[ \t]*class \w+(\(.*\))?:[ \t]*$/m, 3],
+    [/^[ \t]*(from [\w.]+ )?import [\w.]+( as \w+)?(, [\w.]+)*[ \t]*$/m, 1],
+    [/^[ \t]*elif\b.*:[ \t]*$/m, 3],
+    [/\bself\.\w+/, 2],
+    [/if __name__ == ["']__main__["']/, 4],
+    [/\b(None|True|False)\b/, 1],
+    [/^[ \t]*@\w+(\.\w+)*(\(.*\))?[ \t]*$/m, 1],
+  ],
+  javascript: [
+    [/\b(const|let)\s+\w+\s*=/, 1],
+    [/=>/, 1],
+    [/\bfunction\s*\w*\s*\(/, 1],
+    [/\bconsole\.(log|error|warn)\(/, 2],
+    [/\brequire\(["'][\w@./-]+["']\)/, 2],
+    [/\bmodule\.exports\b/, 3],
+    [/\b(document|window)\.\w+/, 2],
+    [/^[ \t]*(import .+ from|export (default|const|function|class)) /m, 1],
+    [/[!=]==/, 1],
+  ],
+  typescript: [
+    [/:\s*(string|number|boolean|any|void|unknown|never)(\[\])?\s*[,;)=]/, 3],
+    [/\binterface\s+\w+(<.+>)?\s*(extends [\w, ]+)?\{/, 3],
+    [/^[ \t]*(export )?type[ \t]+\w+(<.+>)?[ \t]*=/m, 2],
+    [/\b(public|private|protected|readonly)\s+\w+\s*[:?]/, 2],
+    [/\bas\s+(string|number|const|unknown)\b/, 2],
+    [/^[ \t]*import type /m, 3],
+  ],
+  php: [
+    [/<\?php/, 5],
+    [/\$\w+\s*=/, 1],
+    [/\bfunction\s+\w+\s*\([^)]*\$\w+/, 2],
+    [/\$this->\w+/, 3],
+    [/^[ \t]*(namespace|use)[ \t]+[\w\\]+;/m, 1],
+  ],
+  ruby: [
+    [/^[ \t]*def \w+[?!]?(\(.*\))?[ \t]*$/m, 2],
+    [/^[ \t]*end[ \t]*$/m, 2],
+    [/^[ \t]*puts[ \t]/m, 2],
+    [/\.each(_with_index)?\s+do\s*\|/, 3],
+    [/\battr_(accessor|reader|writer)\b/, 3],
+    [/^[ \t]*require(_relative)?[ \t]+["']/m, 1],
+    [/:\w+\s*=>/, 1],
+  ],
+  bash: [
+    [/^[ \t]*(if|while|elif)[ \t]+\[\[?[ \t]/m, 3],
+    [/^[ \t]*fi[ \t]*$/m, 3],
+    [/^[ \t]*done[ \t]*$/m, 2],
+    [/;[ \t]*then[ \t]*$|^[ \t]*then[ \t]*$/m, 2],
+    [/^[ \t]*echo[ \t]/m, 1],
+    [/\$\{\w+(:-[^}]*)?\}/, 1],
+    [/^[ \t]*(export|local|readonly)[ \t]+\w+=/m, 2],
+    [/\|\s*(grep|awk|sed|xargs|sort|uniq|wc)\b/, 2],
+    [/^[ \t]*(sudo|apt-get|apt|yum|brew|curl|wget|chmod|mkdir|cd)[ \t]/m, 1],
+  ],
+  powershell: [
+    [/\b(Get|Set|New|Remove|Write|Invoke|Import)-[A-Z]\w+/, 3],
+    [/^[ \t]*param[ \t]*\(/im, 2],
+    [/\s-(eq|ne|lt|gt|like|match)\s/, 2],
+    [/\$\w+\s*=\s*@[({]/, 2],
+  ],
+  perl: [
+    [/\bmy\s+[$@%]\w+/, 3],
+    [/^[ \t]*use[ \t]+(strict|warnings);/m, 4],
+    [/^[ \t]*sub[ \t]+\w+[ \t]*\{/m, 2],
+    [/=~\s*[ms]?\//, 2],
+  ],
+  c: [
+    [/^[ \t]*#include[ \t]*<\w+\.h>/m, 3],
+    [/\bint\s+main\s*\(/, 2],
+    [/\bprintf\s*\(/, 2],
+    [/\b(malloc|calloc|free)\s*\(/, 2],
+    [/\bstruct\s+\w+\s*\{/, 1],
+    [/^[ \t]*#define[ \t]+\w+/m, 1],
+  ],
+  cpp: [
+    [/^[ \t]*#include[ \t]*<(iostream|vector|string|map|memory|algorithm|unordered_map)>/m, 4],
+    [/\bstd::\w+/, 3],
+    [/\b(cout|cerr)\s*<</, 3],
+    [/\btemplate\s*</, 2],
+    [/^[ \t]*using namespace \w+;/m, 3],
+  ],
+  csharp: [
+    [/^[ \t]*using[ \t]+System(\.\w+)*;/m, 4],
+    [/\bConsole\.Write(Line)?\(/, 3],
+    [/\{\s*get;\s*(private\s+)?(set;)?\s*\}/, 3],
+    [/\bpublic\s+(static\s+)?(async\s+)?(void|string|int|bool|Task)\s+\w+\(/, 1],
+    [/\bvar\s+\w+\s*=\s*new\b/, 2],
+    [/^[ \t]*namespace[ \t]+[\w.]+/m, 1],
+  ],
+  go: [
+    [/^[ \t]*package[ \t]+\w+[ \t]*$/m, 3],
+    [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\(/, 3],
+    [/:=/, 2],
+    [/\bfmt\.\w+\(/, 3],
+    [/^[ \t]*import[ \t]+\(/m, 2],
+    [/\bgo\s+func\b|\bchan\s+\w+/, 2],
+    [/\bif err != nil\b/, 4],
+  ],
+  java: [
+    [/\bpublic\s+(final\s+|abstract\s+)?class\s+\w+/, 2],
+    [/\bpublic\s+static\s+void\s+main\s*\(String/, 4],
+    [/\bSystem\.out\.print/, 4],
+    [/^[ \t]*import[ \t]+java\./m, 4],
+    [/^[ \t]*@Override\b/m, 2],
+    [/^[ \t]*package[ \t]+[\w.]+;/m, 3],
+  ],
+  kotlin: [
+    [/\bfun\s+(<.+>\s*)?\w+\s*\(/, 3],
+    [/\bval\s+\w+(\s*:\s*[\w<>?]+)?\s*=/, 2],
+    [/\bdata\s+class\b/, 3],
+    [/\bwhen\s*(\(.*\))?\s*\{/, 1],
+    [/^[ \t]*import[ \t]+kotlin(x)?\./m, 4],
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(<.*>)?\(/, 3],
+    [/\blet\s+mut\s+/, 4],
+    [/^[ \t]*impl\b/m, 2],
+    [/\b(println|format|vec|panic)!\(/, 4],
+    [/^[ \t]*use[ \t]+(std|crate)::/m, 4],
+    [/&(mut\s+)?(str|self)\b/, 2],
+    [/\bmatch\s+[\w.]+\s*\{/, 1],
+  ],
+  swift: [
+    [/^[ \t]*import[ \t]+(UIKit|Foundation|SwiftUI)\b/m, 4],
+    [/\bfunc\s+\w+\s*\(.*\)\s*(->\s*\w+)?\s*\{/, 2],
+    [/\b(guard|if)\s+let\b/, 3],
+    [/\bvar\s+\w+\s*:\s*\w+/, 1],
+    [/\bstruct\s+\w+\s*:\s*\w+/, 2],
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 3],
+    [/\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW)|ALTER\s+TABLE)\b/i, 3],
+    [/\bWHERE\b/i, 1],
+    [/\b(INNER |LEFT |RIGHT )?JOIN\b|\bGROUP BY\b|\bORDER BY\b/i, 1],
+  ],
+  css: [
+    [/^[ \t]*[.#]?[\w-]+([ \t>+~,]+[.#]?[\w-]+)*[ \t]*\{[ \t]*$/m, 2],
+    [/^[ \t]*(color|margin|padding|display|font-size|background|border|width|height)[ \t]*:[^;\n]+;/m, 3],
+    [/@(media|import|keyframes|font-face)\b/, 2],
+  ],
+  html: [
+    [/<!DOCTYPE html>/i, 5],
+    [/<\/?(html|head|body|div|span|p|a|ul|li|section|script|form|table)\b[^>]*>/i, 3],
+  ],
+  xml: [
+    [/^\s*<\?xml\b/, 5],
+    [/<\/\w+:\w+>/, 2],
+  ],
+  yaml: [
+    [/^[\w-]+:[ \t]*$/m, 1],
+    [/^[ \t]*-[ \t]+[\w-]+:[ \t]/m, 2],
+    [/^[\w-]+:[ \t]+\S/m, 1],
+  ],
+  markdown: [
+    [/^#{1,6}[ \t]+\S/m, 2],
+    [/\[[^\]]+\]\([^)\s]+\)/, 2],
+    [/^```/m, 3],
+    [/\*\*[^*\n]+\*\*/, 1],
+  ],
+};
+
+/**
+ * Languages whose code also matches the rules of another language, which
+ * count toward them as well: TypeScript is mostly JavaScript, C++ mostly C.
+ */
+const INHERITED_RULES = {
+  typescript: "javascript",
+  cpp: "c",
+};
+
+/**
+ * How much a source of evidence can be trusted.
+ */
+const EXTENSION_CONFIDENCE = 0.95;
+const SHEBANG_CONFIDENCE = 0.9;
+const STRUCTURE_CONFIDENCE = 0.9;
+const MAX_TOKEN_CONFIDENCE = 0.85;
+
+// How much of the content the token rules look at, which bounds their run time.
+const MAX_TOKEN_SCAN_LENGTH = 16 * 1024;
+
+/**
+ * Guesses the language from a `#!` line, e.g. `#!/usr/bin/env python3`.
+ */
+function detectByShebang(content) {
+  const match = content.match(/^#!\s*(\S+)(?:\s+(?:-\S+\s+)*(\S+))?/);
+  if (!match) {
+    return null;
+  }
+  const program = match[1].endsWith("/env") ? match[2] : match[1];
+  const name = String(program || "")
+    .split("/")
+    .pop()
+    .replace(/[\d.]+$/, "");
+  return SHEBANG_INTERPRETERS[name] || null;
+}
+
+/**
+ * Recognizes content whose format can be checked exactly: JSON documents.
+ */
+function detectByStructure(content) {
+  const text = content.trim();
+  if (!/^[[{]/.test(text)) {
+    return null;
+  }
+  try {
+    JSON.parse(text);
+    return "json";
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Scores the start of the content against the token rules of every language
+ * and returns the best match. The confidence grows with the amount of evidence and
+ * shrinks when other languages match nearly as well.
+ */
+function detectByTokens(content) {
+  const text = content.slice(0, MAX_TOKEN_SCAN_LENGTH);
+  const ownScores = Object.fromEntries(
+    Object.entries(TOKEN_RULES).map(([slug, rules]) => [
+      slug,
+      rules.reduce((score, [pattern, weight]) => score + (pattern.test(text) ? weight : 0), 0),
+    ])
+  );
+  const scores = Object.entries(ownScores).map(([slug, score]) => {
+    const parent = INHERITED_RULES[slug];
+    // Inherited rules only count once the language's own rules match.
+    return [slug, score > 0 && parent ? score + ownScores[parent] : score];
+  });
+
+  scores.sort((a, b) => b[1] - a[1]);
+  const [[slug, best], [, runnerUp]] = scores;
+  if (best < 2) {
+    return null;
+  }
+
+  const evidence = 1 - 1 / (1 + best / 2);
+  const margin = (best - runnerUp) / best;
+  const confidence = MAX_TOKEN_CONFIDENCE * evidence * (0.5 + margin / 2);
+  return { slug, confidence };
+}
+
+/**
+ * Guesses the language of a file. Resolves the evidence in order of
+ * reliability: the filename's extension, a shebang line, the structure of
+ * the content and finally its tokens. Returns `{ slug, confidence, source }`,
+ * or null when nothing points to a language. Plain-text extensions such as
+ * `.txt` do not prevent the content from being examined.
+ */
+function detectLanguage({ filename = "", content = "" } = {}) {
+  const text = String(content || "");
+  const byExtension = findLanguageSlugByFilename(filename);
+  if (byExtension && byExtension !== "plaintext") {
+    return { slug: byExtension, confidence: EXTENSION_CONFIDENCE, source: "extension" };
+  }
+
+  const byShebang = detectByShebang(text);
+  if (byShebang) {
+    return { slug: byShebang, confidence: SHEBANG_CONFIDENCE, source: "shebang" };
+  }
+
+  const byStructure = detectByStructure(text);
+  if (byStructure) {
+    return { slug: byStructure, confidence: STRUCTURE_CONFIDENCE, source: "content" };
+  }
+
+  const byTokens = detectByTokens(text);
+  if (byTokens) {
+    return {
+      slug: byTokens.slug,
+      confidence: Math.round(byTokens.confidence * 100) / 100,
+      source: "content",
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  detectLanguage,
+};
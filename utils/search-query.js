@@ -0,0 +1,180 @@
+/**
+ * Search query utility for the SQLite FTS5 full-text index.
+ */
+
+// Control characters used by FTS5 highlight()/snippet() to mark matches.
+// HTML escaping leaves them alone, so the text is escaped before the markers
+// are turned into <mark> tags. Snippet content may contain them too, which
+// renderMatches tolerates by only ever producing balanced tags.
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const MARKER_PATTERN = new RegExp(`[${MATCH_START}${MATCH_END}]`, "g");
+
+// Qualifiers understood by the search box, mapped to the filter they set.
+const FILTER_QUALIFIERS = {
+  lang: "language",
+  language: "language",
+  tag: "tag",
+  author: "author",
+  category: "category",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD form.
+ */
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parses a GitHub-style search string into a query object.
+ *
+ * Supported syntax:
+ *   word            free-text term           word*      prefix match
+ *   "some phrase"   exact phrase             -word      exclude a term or phrase
+ *   lang:python     language (name or slug)  tag:regex  exact tag
+ *   author:alice    author username          category:devops  category (name or slug)
+ *   is:private      only private snippets    is:public  only public snippets
+ *   before:2025-01-01 / after:2025-01-01     creation date bounds (exclusive)
+ *
+ * Filters can be negated with a leading `-` (e.g. `-lang:php`). Values containing
+ * spaces can be quoted (e.g. `category:"web dev"`). Unknown qualifiers are kept
+ * as plain search text.
+ */
+function parseSearchQuery(input = "") {
+  const parsed = {
+    terms: [],
+    excludedTerms: [],
+    filters: { language: [], tag: [], author: [], category: [] },
+    excludedFilters: { language: [], tag: [], author: [], category: [] },
+    visibility: null,
+    before: null,
+    after: null,
+  };
+
+  const pattern = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [raw, negation, rawQualifier, quoted, bare] = match;
+    const isNegated = negation === "-";
+    const isPhrase = quoted !== undefined;
+    const value = (isPhrase ? quoted : bare || "").trim();
+    const qualifier = rawQualifier ? rawQualifier.toLowerCase() : null;
+
+    if (qualifier && FILTER_QUALIFIERS[qualifier]) {
+      if (value) {
+        const target = isNegated ? parsed.excludedFilters : parsed.filters;
+        target[FILTER_QUALIFIERS[qualifier]].push(value);
+      }
+      continue;
+    }
+
+    if (qualifier === "is" && ["private", "public"].includes(value.toLowerCase())) {
+      const isPrivate = value.toLowerCase() === "private";
+      parsed.visibility = isPrivate !== isNegated ? "private" : "public";
+      continue;
+    }
+
+    if ((qualifier === "before" || qualifier === "after") && isValidDate(value)) {
+      parsed[qualifier] = value;
+      continue;
+    }
+
+    // Anything else is free text, including unknown "qualifiers" such as URLs.
+    let text = qualifier ? raw.slice(negation.length) : value;
+    let prefix = false;
+    if (!isPhrase || qualifier) {
+      const trimmed = text.replace(/\*+$/, "");
+      prefix = trimmed !== text;
+      text = trimmed;
+    }
+    if (!text) {
+      continue;
+    }
+
+    const term = { text, phrase: isPhrase && !qualifier, prefix };
+    (isNegated ? parsed.excludedTerms : parsed.terms).push(term);
+  }
+
+  return parsed;
+}
+
+/**
+ * Converts search terms into an FTS5 MATCH expression. Every term is quoted so
+ * that FTS5 operators and punctuation in the user's input are treated as text.
+ * Terms are combined with AND by default, or with OR when `operator` is "OR".
+ * Returns null when nothing searchable is left.
+ */
+function toMatchExpression(terms, operator = "AND") {
+  const parts = terms
+    // Terms without any letters or digits produce no tokens and would match nothing.
+    .filter((term) => /[\p{L}\p{N}]/u.test(term.text))
+    .map((term) => {
+      const quoted = `"${term.text.replace(/"/g, '""')}"`;
+      return term.prefix ? `${quoted}*` : quoted;
+    });
+
+  return parts.length > 0 ? parts.join(` ${operator} `) : null;
+}
+
+/**
+ * Checks whether a parsed query has anything to search for.
+ */
+function isEmptyQuery(parsed) {
+  const hasFilters = (filters) =>
+    Object.values(filters).some((values) => values.length > 0);
+
+  return (
+    !toMatchExpression(parsed.terms) &&
+    !toMatchExpression(parsed.excludedTerms) &&
+    !hasFilters(parsed.filters) &&
+    !hasFilters(parsed.excludedFilters) &&
+    !parsed.visibility &&
+    !parsed.before &&
+    !parsed.after
+  );
+}
+
+/**
+ * HTML-escapes text returned by FTS5 highlight()/snippet() and wraps the
+ * matched terms in <mark> tags. Markers that do not fit, such as a start
+ * marker inside a match or an end marker outside one, come from the content
+ * itself and are dropped, so the tags always balance.
+ */
+function renderMatches(text) {
+  if (text === null || text === undefined) {
+    return "";
+  }
+
+  let inMatch = false;
+  const html = String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(MARKER_PATTERN, (marker) => {
+      if ((marker === MATCH_START) === inMatch) {
+        return "";
+      }
+      inMatch = !inMatch;
+      return inMatch ? "<mark>" : "</mark>";
+    });
+  return inMatch ? `${html}</mark>` : html;
+}
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  parseSearchQuery,
+  toMatchExpression,
+  isEmptyQuery,
+  renderMatches,
+};
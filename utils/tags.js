@@ -0,0 +1,29 @@
+/**
+ * Tag list utility.
+ */
+
+/**
+ * Splits a comma-separated tag string (or an array of tags) into a clean list
+ * of tag names: trimmed, without empties, and without case-insensitive duplicates.
+ */
+function parseTags(input) {
+  if (input === null || input === undefined) {
+    return [];
+  }
+
+  const rawTags = Array.isArray(input) ? input : String(input).split(",");
+  const seen = new Set();
+
+  return rawTags
+    .map((tag) => String(tag).trim().replace(/\s+/g, " "))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = parseTags;
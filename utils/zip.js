@@ -0,0 +1,180 @@
+/**
+ * Minimal ZIP archive writer and reader.
+ */
+
+const zlib = require("zlib");
+
+// Lookup table for the CRC-32 checksum required by every ZIP entry.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of a buffer.
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date into the MS-DOS time and date fields used by ZIP headers.
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Builds a ZIP archive from a list of `{ name, content }` entries, where
+ * `content` is a string (stored as UTF-8) or a Buffer. Entries are compressed
+ * with DEFLATE. Returns the archive as a Buffer.
+ */
+function createZip(entries, modifiedAt = new Date()) {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.content)
+      ? entry.content
+      : Buffer.from(String(entry.content || ""), "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(0x0800, 6); // Flags: file name is UTF-8
+    local.writeUInt16LE(8, 8); // Compression method: DEFLATE
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number and attributes are all left at zero.
+    central.writeUInt32LE(offset, 42); // Offset of the local header
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8); // Entries on this disk
+  end.writeUInt16LE(entries.length, 10); // Total entries
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Reads the files of a ZIP archive into `{ name, content }` entries, where
+ * `content` is a Buffer. Directories are left out. Only stored and DEFLATE
+ * compressed entries are supported. Throws when the data is not a readable
+ * archive or unpacks to more than `maxSize` bytes.
+ */
+function readZip(buffer, maxSize = 50 * 1024 * 1024) {
+  // The end of central directory record sits at the end, after an optional comment.
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("The file is not a ZIP archive.");
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  let remaining = maxSize;
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("The ZIP archive is damaged.");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported (${name}).`);
+    }
+
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = Buffer.from(data);
+    } else if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (err) {
+        throw new Error(
+          err.code === "ERR_BUFFER_TOO_LARGE"
+            ? "The ZIP archive is too large to import."
+            : `The ZIP entry ${name} could not be unpacked.`
+        );
+      }
+    } else {
+      throw new Error(`Unsupported compression method in ZIP entry ${name}.`);
+    }
+
+    remaining -= content.length;
+    if (remaining < 0) {
+      throw new Error("The ZIP archive is too large to import.");
+    }
+    entries.push({ name, content });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+};